@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+import BulkEventCreator from './index.js';
+import { ConsoleReporter } from './reporter.js';
+import { TriggerServer } from './server.js';
+import { Watcher } from './watch.js';
+import { logger } from './utils/logger.js';
+
+// Exit codes scripts can rely on
+export const EXIT_OK = 0;
+export const EXIT_FAILURES = 1; // some events were invalid or failed
+export const EXIT_ERROR = 2;    // bad arguments or the run could not start
+
+const COMMANDS = {
+  validate: 'Validate pending rows without creating anything',
+  create: 'Create pending rows in Universe (default)',
+  publish: 'Publish created events that are still drafts',
+  unpublish: 'Take published events back to draft',
+  cancel: 'Cancel created events (needs --yes)',
+  delete: 'Delete created events without ticket sales (needs --yes)',
+  status: 'Summarise rows by status',
+  'retry-errors': 'Re-validate and create rows marked Error',
+  sync: 'Push row edits to events already created',
+  verify: 'Compare created events with their rows and list events without a row',
+  templates: 'List templates and the rows using them, or preview one with --preview',
+  serve: 'Run the HTTP trigger server for Airtable buttons and automations',
+  watch: 'Keep polling the source and process new and edited rows as they appear'
+};
+
+const CONFIRM_COMMANDS = ['cancel', 'delete'];
+
+const OPTIONS = {
+  ids: { type: 'string' },
+  view: { type: 'string' },
+  limit: { type: 'string' },
+  filter: { type: 'string', multiple: true },
+  source: { type: 'string' },
+  file: { type: 'string' },
+  mapping: { type: 'string' },
+  timezone: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  concurrency: { type: 'string' },
+  'max-concurrency': { type: 'string' },
+  'batch-size': { type: 'string' },
+  retries: { type: 'string' },
+  'edited-only': { type: 'boolean' },
+  'skip-verify': { type: 'boolean' },
+  port: { type: 'string' },
+  interval: { type: 'string' },
+  sync: { type: 'boolean' },
+  preview: { type: 'string' },
+  yes: { type: 'boolean', short: 'y' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `Usage: universe-bulk <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, description]) => `  ${name.padEnd(14)}${description}`).join('\n')}
+
+Record selection:
+  --ids=rec1,rec2          Only these record IDs (row-N for file sources without an id column)
+  --view=NAME              Only rows in this Airtable view
+  --limit=N                At most N rows
+  --filter=EXPR            field=value or field!=value (repeatable); Airtable also takes a formula
+
+Source:
+  --source=airtable|csv|json   --file=PATH   --mapping=PATH
+
+Run options:
+  --dry-run                Show what would happen without calling Universe or writing rows
+  --timezone=ZONE          Default IANA timezone for rows without one
+  --concurrency=N          Events in flight at the start (--batch-size is an alias)
+  --max-concurrency=N      Upper bound while requests stay healthy
+  --retries=N              Retries for transient failures
+  --edited-only            retry-errors: skip rows unchanged since they failed
+  --skip-verify            create, retry-errors: don't read back the events just created
+  --port=N                 serve: port to listen on (default TRIGGER_PORT or 8787)
+  --interval=SECONDS       watch: time between polls (default WATCH_INTERVAL or 60)
+  --sync                   watch: also push edits of created rows each cycle
+  --preview=NAME           templates: show what the template gives each row using it
+  --yes, -y                Confirm cancel and delete (not needed with --dry-run)
+
+Exit codes: 0 success, 1 some events invalid or failed, 2 usage or fatal error`;
+
+export function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  const command = positionals[0] || 'create';
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}"`);
+  }
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected argument "${positionals[1]}"`);
+  }
+  // Cancelling and deleting can't be undone, so they need an explicit go-ahead
+  if (CONFIRM_COMMANDS.includes(command) && !values.yes && !values['dry-run']) {
+    throw new Error(`${command} can't be undone - pass --yes to confirm, or --dry-run to preview`);
+  }
+
+  const selection = {
+    ids: values.ids ? values.ids.split(',').map(id => id.trim()).filter(Boolean) : [],
+    view: values.view,
+    limit: toPositiveInteger(values.limit, '--limit'),
+    filters: values.filter || []
+  };
+
+  return {
+    command,
+    help: values.help,
+    creatorOptions: {
+      source: { type: values.source, file: values.file, mappingFile: values.mapping },
+      concurrency: toPositiveInteger(values.concurrency ?? values['batch-size'], '--concurrency'),
+      maxConcurrency: toPositiveInteger(values['max-concurrency'], '--max-concurrency'),
+      maxRetries: toCount(values.retries, '--retries')
+    },
+    serverOptions: {
+      port: toCount(values.port, '--port')
+    },
+    watchOptions: {
+      interval: toPositiveInteger(values.interval, '--interval'),
+      sync: values.sync || undefined
+    },
+    runOptions: {
+      selection,
+      dryRun: values['dry-run'] || undefined,
+      timezone: values.timezone,
+      editedOnly: values['edited-only'] || undefined,
+      skipVerify: values['skip-verify'] || undefined,
+      preview: values.preview
+    }
+  };
+}
+
+// Resolves to the process exit code
+export async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  logger.startRun(parsed.command, { args: argv });
+
+  let creator;
+  try {
+    creator = new BulkEventCreator(parsed.creatorOptions);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    return EXIT_ERROR;
+  }
+  new ConsoleReporter().attach(creator);
+
+  if (parsed.command === 'serve') {
+    return serve(creator, parsed.serverOptions);
+  }
+  if (parsed.command === 'watch') {
+    return watch(creator, { ...parsed.watchOptions, selection: parsed.runOptions.selection, timezone: parsed.runOptions.timezone });
+  }
+
+  const { runOptions } = parsed;
+  let result;
+
+  switch (parsed.command) {
+    case 'validate':
+      result = await creator.validate(runOptions);
+      break;
+    case 'publish':
+    case 'unpublish':
+    case 'cancel':
+    case 'delete':
+      result = await creator.lifecycle(parsed.command, runOptions);
+      break;
+    case 'status':
+      result = await creator.status(runOptions);
+      break;
+    case 'retry-errors':
+      result = await creator.run({ ...runOptions, retryErrors: true });
+      break;
+    case 'sync':
+      result = await creator.sync(runOptions);
+      break;
+    case 'verify':
+      result = await creator.verify(runOptions);
+      break;
+    case 'templates':
+      result = await creator.templates(runOptions);
+      break;
+    default:
+      result = await creator.run(runOptions);
+  }
+
+  const exitCode = getExitCode(result);
+  logger.info(`Run ${logger.runId} finished: ${parsed.command} (exit code ${exitCode})`, result);
+  return exitCode;
+}
+
+// Serve until interrupted; queued requests finish before exiting
+async function serve(creator, options) {
+  let server;
+  try {
+    server = await new TriggerServer(creator, options).listen();
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    return EXIT_ERROR;
+  }
+  console.log(chalk.bold.blue(`\n🔔 Trigger server listening on http://${server.host}:${server.port} (Ctrl+C to stop)\n`));
+
+  await waitForShutdown();
+  await server.close();
+  return EXIT_OK;
+}
+
+// Poll until interrupted; a first Ctrl+C finishes the rows in flight, a second one exits at once
+async function watch(creator, options) {
+  const watcher = new Watcher(creator, options);
+  console.log(chalk.bold.blue(`\n👀 Watching ${creator.source.label} every ${watcher.interval / 1000}s (Ctrl+C to stop)\n`));
+
+  waitForShutdown().then(() => {
+    console.log(chalk.yellow('\nStopping after the events in flight - press Ctrl+C again to exit now'));
+    watcher.stop();
+    return waitForShutdown();
+  }).then(() => process.exit(EXIT_ERROR));
+
+  await watcher.start();
+  return EXIT_OK;
+}
+
+function waitForShutdown() {
+  return new Promise(resolve => {
+    const onSignal = () => {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+      resolve();
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+  });
+}
+
+export function getExitCode(result) {
+  if (result.error) return EXIT_ERROR;
+  const problems = (result.invalid || 0) + (result.failed || 0) + (result.orphans || 0) + (result.verification?.failed || 0);
+  return problems > 0 ? EXIT_FAILURES : EXIT_OK;
+}
+
+function toPositiveInteger(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${flag} must be a whole number of at least 1`);
+  }
+  return number;
+}
+
+function toCount(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${flag} must be a whole number (0 or more)`);
+  }
+  return number;
+}
+
+// Run when executed directly or through the npm bin link
+if (process.argv[1] && fileURLToPath(import.meta.url) === fs.realpathSync(process.argv[1])) {
+  process.exitCode = await main();
+}
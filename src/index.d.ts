@@ -0,0 +1,320 @@
+// Types for the library API in index.js: constructor options, progress events and the result
+// each command resolves to. Rows are plain objects of internal field names (see utils/schema.js).
+
+import { EventEmitter } from 'events';
+
+export type Row = { recordId: string; [field: string]: any };
+
+// Narrows any read to specific records (see sources/selection.js)
+export interface Selection {
+  ids?: string[];
+  view?: string;
+  limit?: number;
+  filters?: string[];
+}
+
+// What every event source implements (see sources/index.js)
+export interface EventSource {
+  label: string;
+  limiter?: object;
+  getUnprocessedEvents(selection?: Selection): Promise<Row[]>;
+  getEventsToSync(selection?: Selection): Promise<Row[]>;
+  getErrorEvents(selection?: Selection): Promise<Row[]>;
+  getEvents(selection?: Selection): Promise<Row[]>;
+  markAsCreated(recordId: string, universeEventId: string, universeUrl: string, clientMutationId: string, extraFields?: object): Promise<unknown>;
+  markAsError(recordId: string, errorMessage: string, details?: object): Promise<boolean>;
+  markAsSynced(recordId: string, syncHash: string): Promise<unknown>;
+  updateRecord(recordId: string, fields: object): Promise<unknown>;
+  checkMapping(): Promise<string[]>;
+}
+
+export interface SourceOptions {
+  type?: 'airtable' | 'csv' | 'json';
+  file?: string;
+  mappingFile?: string;
+  [option: string]: any;
+}
+
+export interface UniverseServiceOptions {
+  account?: string;
+  clientId?: string;
+  clientSecret?: string;
+  hostId?: string;
+  baseUrl?: string;
+  imageCache?: object;
+}
+
+export class UniverseService {
+  constructor(options?: UniverseServiceOptions);
+  account: string;
+  getEventUrl(slug: string): string;
+  [method: string]: any;
+}
+
+export class UniverseAccounts {
+  constructor(env?: Record<string, string | undefined>, options?: { service?: UniverseService });
+  names: string[];
+  get(name: string): UniverseService;
+  all(): UniverseService[];
+  resolve(row: Row): string;
+  forEvent(row: Row): UniverseService;
+}
+
+export interface Validation {
+  isValid: boolean;
+  errors: string[];
+  warnings: string[];
+  inherited: Record<string, string[]>;
+}
+
+export class ValidatorService {
+  constructor(options?: { accounts?: UniverseAccounts });
+  validateEvent(row: Row): Validation;
+  [method: string]: any;
+}
+
+export function createEventSource(options?: SourceOptions): EventSource;
+
+// Called for every log entry instead of the console and logs/ (see utils/logger.js withSink)
+export type LogMethod = (message: string, fields: { runId: string; recordId?: string; correlationId?: string; data?: unknown }) => void;
+
+export interface Logger {
+  debug?: LogMethod;
+  info: LogMethod;
+  warn?: LogMethod;
+  error?: LogMethod;
+}
+
+export interface CreatorOptions {
+  source?: EventSource | SourceOptions;
+  universe?: UniverseService | UniverseAccounts;
+  validator?: ValidatorService;
+  logger?: Logger;
+  concurrency?: number;
+  maxConcurrency?: number;
+  maxRetries?: number;
+}
+
+export type LifecycleAction = 'publish' | 'unpublish' | 'cancel' | 'delete';
+export type Command = 'create' | 'retry-errors' | 'validate' | 'status' | 'templates' | 'sync' | 'verify' | LifecycleAction;
+export type ErrorCategory = 'validation' | 'auth' | 'rate_limit' | 'network' | 'schema' | 'business' | 'unknown';
+
+export interface CreatorEvents {
+  start: { command: Command; dryRun: boolean; source: string };
+  stage: {
+    stage: 'reconcile' | 'fetch' | 'validate' | 'process' | 'verify' | 'orphans';
+    status: 'start' | 'update' | 'done';
+    message: string;
+    completed?: number;
+    total?: number;
+    [detail: string]: any;
+  };
+  notice: { level: 'info' | 'warn' | 'error'; message: string; items?: string[] };
+  validated: { recordId: string; title: string; account: string; valid: boolean; errors: string[]; warnings: string[]; inherited: Record<string, string[]> };
+  creating: { recordId: string; title: string; account: string; occurrence: number; occurrences: number };
+  published: { recordId: string; title: string; eventId: string; occurrence: number };
+  created: { recordId: string; title: string; account: string; universeEventId: string; universeUrl: string; universeState: string; attempts: number };
+  retrying: { recordId: string; title: string; action: string; step: string; category: ErrorCategory; attempt: number; maxAttempts: number; delayMs: number; error: string };
+  failed: { recordId: string; title: string; account?: string; action: string; step?: string; category: ErrorCategory; error: string; attempts?: number };
+  skipped: { recordId: string; title: string; reason: string };
+  updated: { recordId: string; title: string; universeEventId: string; dryRun: boolean };
+  changed: { recordId: string; title: string; action: LifecycleAction; universeEventId: string; dryRun: boolean };
+  verified: VerifiedRow;
+  done: { command: Command; result: object };
+}
+
+export interface AccountCounts {
+  total: number;
+  invalid: number;
+  created: number;
+  failed: number;
+  skipped: number;
+}
+
+export interface RowOutcome {
+  recordId: string;
+  title: string;
+  account: string;
+  outcome: 'valid' | 'invalid' | 'created' | 'failed' | 'skipped';
+  warnings: string[];
+  errors?: string[];
+  universeEventId?: string;
+  universeUrl?: string;
+  attempts?: number;
+  errorCategory?: ErrorCategory;
+  failedStep?: string;
+  error?: string;
+  reason?: string;
+}
+
+export interface PayloadSummary {
+  recordId: string;
+  title: string;
+  account: string;
+  start: string;
+  end: string;
+  slots: number;
+  venue: string;
+  rates: number;
+  images: number;
+  publish: boolean;
+  fallbacks: string[];
+}
+
+export interface VerifiedRow {
+  recordId: string;
+  title: string;
+  eventIds: string;
+  status: 'ok' | 'mismatch' | 'missing' | 'error';
+  mismatches: string[];
+}
+
+export interface Orphan {
+  id: string;
+  title: string;
+  state: string;
+  account: string;
+  url: string;
+}
+
+export interface VerifyResult {
+  total: number;
+  matched: number;
+  mismatched: number;
+  missing: number;
+  errors: number;
+  orphans: number;
+  failed: number;
+  orphanEvents?: Orphan[];
+  report?: string;
+  error?: string;
+}
+
+export interface RunResult {
+  total: number;
+  valid: number;
+  invalid: number;
+  created: number;
+  failed: number;
+  skipped: number;
+  accounts: Record<string, AccountCounts>;
+  events: RowOutcome[];
+  dryRun: boolean;
+  payloads?: PayloadSummary[];
+  dryRunFile?: string;
+  verification?: VerifyResult;
+  report?: string;
+  error?: string;
+}
+
+export interface ValidateResult {
+  total: number;
+  valid: number;
+  invalid: number;
+  warnings: number;
+  error?: string;
+}
+
+export interface LifecycleResult {
+  total: number;
+  changed: number;
+  skipped: number;
+  failed: number;
+  dryRun: boolean;
+  error?: string;
+}
+
+export interface StatusResult {
+  total: number;
+  statuses: Record<string, number>;
+  errorCategories: Record<string, number>;
+  error?: string;
+}
+
+export interface TemplatePreviewRow {
+  recordId: string;
+  title: string;
+  status: string;
+  inherited: Record<string, unknown>;
+  inheritedFrom: Record<string, string>;
+  errors: string[];
+  warnings: string[];
+  changes: string[] | null;
+  error?: string;
+}
+
+export interface TemplatesResult {
+  total: number;
+  templates: { name: string; extends: string[]; fields: string[]; rows: number }[];
+  templateSource?: string;
+  unknown: { recordId: string; title: string; templates: string[] }[];
+  previewTemplate?: string;
+  preview?: TemplatePreviewRow[];
+  invalid?: number;
+  failed?: number;
+  error?: string;
+}
+
+export interface SyncResult {
+  total: number;
+  changed: number;
+  invalid: number;
+  updated: number;
+  failed: number;
+  dryRun: boolean;
+  error?: string;
+}
+
+// `status` is the HTTP status the trigger server answers with; the other fields depend on the action
+export interface TriggerResult {
+  ok: boolean;
+  status: number;
+  action: string;
+  recordId: string;
+  title?: string;
+  error?: string;
+  [field: string]: any;
+}
+
+export interface CommandOptions {
+  selection?: Selection;
+  timezone?: string;
+}
+
+export interface RunOptions extends CommandOptions {
+  retryErrors?: boolean;
+  editedOnly?: boolean;
+  dryRun?: boolean;
+  skipVerify?: boolean;
+}
+
+export const LIFECYCLE_ACTIONS: Record<LifecycleAction, { icon: string; title: string; done: string; [field: string]: any }>;
+export const TRIGGER_ACTIONS: Record<string, string>;
+
+declare class BulkEventCreator extends EventEmitter {
+  constructor(options?: CreatorOptions);
+
+  source: EventSource;
+  universe: UniverseService;
+  accounts: UniverseAccounts;
+  validator: ValidatorService;
+
+  run(options?: RunOptions): Promise<RunResult>;
+  validate(options?: CommandOptions & { retryErrors?: boolean }): Promise<ValidateResult>;
+  publish(options?: { selection?: Selection; dryRun?: boolean }): Promise<LifecycleResult>;
+  lifecycle(action: LifecycleAction, options?: { selection?: Selection; dryRun?: boolean }): Promise<LifecycleResult>;
+  status(options?: { selection?: Selection }): Promise<StatusResult>;
+  templates(options?: CommandOptions & { preview?: string }): Promise<TemplatesResult>;
+  sync(options?: CommandOptions & { dryRun?: boolean }): Promise<SyncResult>;
+  verify(options?: CommandOptions & { dryRun?: boolean; orphans?: boolean }): Promise<VerifyResult>;
+  triggerRecord(action: string, recordId: string): Promise<TriggerResult>;
+  stop(): void;
+  close(): void;
+
+  on<E extends keyof CreatorEvents>(event: E, listener: (payload: CreatorEvents[E]) => void): this;
+  once<E extends keyof CreatorEvents>(event: E, listener: (payload: CreatorEvents[E]) => void): this;
+  off<E extends keyof CreatorEvents>(event: E, listener: (payload: CreatorEvents[E]) => void): this;
+  emit<E extends keyof CreatorEvents>(event: E, payload: CreatorEvents[E]): boolean;
+}
+
+export default BulkEventCreator;
@@ -1,191 +1,1505 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
 import dotenv from 'dotenv';
-import ora from 'ora';
-import chalk from 'chalk';
-import UniverseService from './services/universe.js';
-import AirtableService from './services/airtable.js';
+import { UniverseAccounts } from './services/accounts.js';
 import ValidatorService from './services/validator.js';
+import SyncService from './services/sync.js';
+import VerificationService from './services/verifier.js';
+import RunJournal from './utils/journal.js';
+import { RunReport } from './utils/report.js';
+import { RecordLocks } from './utils/locks.js';
+import { TemplateLibrary, templateNames } from './utils/templates.js';
+import { AdaptivePool, retryDelay, sleep } from './utils/scheduler.js';
+import { ERROR_CATEGORIES, SkippedError, classifyError, appendErrorHistory } from './utils/errors.js';
+import { createEventSource } from './sources/index.js';
+import { IMAGE_FIELDS, rowFingerprint } from './utils/schema.js';
+import { parseImages, imageDownloads } from './utils/images.js';
 import { logger } from './utils/logger.js';
+import { isRecurring, getRecurrenceMode, splitOccurrences } from './utils/recurrence.js';
+import { isValidTimeZone, getOffsetMinutes, formatOffset } from './utils/timezone.js';
 
 dotenv.config();
 
-class BulkEventCreator {
-  constructor() {
-    this.universe = new UniverseService();
-    this.airtable = new AirtableService();
-    this.validator = new ValidatorService();
-    this.batchSize = parseInt(process.env.BATCH_SIZE) || 5;
-    this.delayBetweenBatches = parseInt(process.env.DELAY_BETWEEN_BATCHES) || 2000;
-    this.maxRetries = parseInt(process.env.MAX_RETRIES) || 3;
+// Bulk actions on events that already exist in Universe, and the state each one leads to
+export const LIFECYCLE_ACTIONS = {
+  publish: { method: 'publishEvent', state: 'POSTED', title: 'Publish', done: 'Published', icon: '📣' },
+  unpublish: { method: 'unpublishEvent', state: 'DRAFT', title: 'Unpublish', done: 'Unpublished', icon: '📝' },
+  cancel: { method: 'cancelEvent', state: 'CANCELLED', title: 'Cancel', done: 'Cancelled', icon: '🚫' },
+  delete: { method: 'deleteEvent', state: 'DELETED', title: 'Delete', done: 'Deleted', icon: '🗑️' }
+};
+
+// Actions the trigger server can run on a single row, and the method that runs each
+export const TRIGGER_ACTIONS = {
+  create: 'triggerCreate',
+  publish: 'triggerPublish',
+  sync: 'triggerSync',
+  validate: 'triggerValidate'
+};
+
+// Commands an injected logger is scoped to (see the `logger` option)
+const LOGGED_METHODS = ['run', 'validate', 'lifecycle', 'status', 'templates', 'sync', 'verify', 'triggerRecord'];
+
+// BulkEventCreator is the library API; the CLI, the trigger server and watch mode are built on it.
+// It prints nothing: progress is emitted as events, which the CLI's ConsoleReporter (reporter.js)
+// turns into spinners and summaries. Every command resolves to a result object, and close()
+// releases the creator. index.d.ts types the options, events and results for editors.
+//
+// Options, besides concurrency / maxConcurrency / maxRetries:
+//   source     a source object (see sources/index.js) or options for createEventSource
+//   universe   a UniverseService, used as the default account, or a UniverseAccounts
+//   validator  a ValidatorService
+//   logger     receives everything the commands and the services they call log, instead of the
+//              console and logs/ (see logger.withSink)
+//
+// Events and their payloads:
+//   start      { command, dryRun, source }                          a command started
+//   stage      { stage, status, message, completed?, total?, ... }  status is start, update or done;
+//              stage is one of reconcile, fetch, validate, process, verify, orphans
+//   notice     { level, message, items? }                           info, warn or error worth showing
+//   validated  { recordId, title, account, valid, errors, warnings, inherited }
+//   creating   { recordId, title, account, occurrence, occurrences }
+//   published  { recordId, title, eventId, occurrence }
+//   created    { recordId, title, account, universeEventId, universeUrl, universeState, attempts }
+//   retrying   { recordId, title, action, step, category, attempt, maxAttempts, delayMs, error }
+//   failed     { recordId, title, account?, action, step?, category, error, attempts? }
+//   skipped    { recordId, title, reason }
+//   updated    { recordId, title, universeEventId, dryRun }          sync pushed a row's edits
+//   changed    { recordId, title, action, universeEventId, dryRun }  a lifecycle action changed a row
+//   verified   { recordId, title, eventIds, status, mismatches }
+//   done       { command, result }                                  the command's resolved result
+// `action` is create, write-back, sync, verify or a lifecycle action; nothing is emitted as 'error'.
+class BulkEventCreator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.accounts = options.universe?.forEvent
+      ? options.universe
+      : new UniverseAccounts(process.env, { service: options.universe });
+    // The default account; rows are sent through their own account's service (see accounts.js)
+    this.universe = this.accounts.get('default');
+    this.source = options.source?.getUnprocessedEvents ? options.source : createEventSource(options.source);
+    this.validator = options.validator || new ValidatorService({ accounts: this.accounts });
+    this.syncService = new SyncService();
+    this.verifier = new VerificationService();
+    this.journal = new RunJournal();
+    this.locks = new RecordLocks();
+    this.stopping = false;
+    this.maxRetries = options.maxRetries ?? (parseInt(process.env.MAX_RETRIES) || 3);
+    this.retryBaseDelay = parseInt(process.env.RETRY_BASE_DELAY) || 1000;
+
+    // Events in flight adapt to the error rate of every API the run talks to
+    const concurrency = options.concurrency || parseInt(process.env.CONCURRENCY) || parseInt(process.env.BATCH_SIZE) || 5;
+    this.pool = new AdaptivePool({
+      concurrency,
+      maxConcurrency: options.maxConcurrency || parseInt(process.env.MAX_CONCURRENCY) || concurrency * 2
+    });
+    this.unwatch = this.getLimiters().map(limiter => this.pool.watch(limiter));
+    this.dryRun = process.env.DRY_RUN === 'true';
+    this.dryRunDir = process.env.DRY_RUN_DIR || 'dry-run';
+    this.reportDir = process.env.REPORT_DIR || 'reports';
+    this.verifyAfterRun = process.env.VERIFY_AFTER_RUN !== 'false';
+    this.defaultTimezone = process.env.DEFAULT_TIMEZONE || null;
+
+    this.logger = options.logger || null;
+    if (this.logger) {
+      for (const name of LOGGED_METHODS) {
+        const method = this[name];
+        this[name] = (...args) => logger.withSink(this.logger, () => method.apply(this, args));
+      }
+    }
+  }
+
+  // Emit `done` and hand the result back, so every command can end with `return this.finish(...)`
+  finish(command, result) {
+    this.emit('done', { command, result });
+    return result;
   }
 
-  async run() {
-    console.log(chalk.bold.blue('\n🚀 Universe Bulk Event Creator\n'));
-    
+  stage(stage, status, message, details = {}) {
+    this.emit('stage', { stage, status, message, ...details });
+  }
+
+  notice(level, message, items) {
+    this.emit('notice', { level, message, ...(items && { items }) });
+  }
+
+  // Create pending rows (or, with `retryErrors`, rows whose last attempt failed).
+  // Resolves to { total, valid, invalid, created, failed, skipped, accounts, events, dryRun, payloads?,
+  // dryRunFile?, verification?, report?, error? } where `accounts` holds the same counts per Universe
+  // account and `events` the outcome of each row: { recordId, title, account, outcome, warnings, ... }
+  // with outcome valid (dry run), invalid, created, failed or skipped
+  async run(options = {}) {
+    const command = options.retryErrors ? 'retry-errors' : 'create';
+    const dryRun = options.dryRun ?? this.dryRun;
+    const defaultTimezone = options.timezone || this.defaultTimezone;
+    const selection = options.selection || {};
+    const result = { total: 0, valid: 0, invalid: 0, created: 0, failed: 0, skipped: 0, accounts: {}, events: [], dryRun };
+    const report = dryRun ? null : this.startReport(command);
+
+    this.emit('start', { command, dryRun, source: this.source.label });
+
     try {
+      // Finish anything an interrupted run left between Universe and the source
+      if (!dryRun) {
+        this.stage('reconcile', 'start', 'Checking run journal...');
+        await this.reconcileJournal();
+        this.stage('reconcile', 'done', 'Run journal reconciled');
+      }
+
+      await this.checkColumnMapping();
+
       // Fetch unprocessed events
-      const spinner = ora('Fetching events from Airtable...').start();
-      const events = await this.airtable.getUnprocessedEvents();
-      spinner.succeed(`Found ${events.length} events to process`);
+      this.stage('fetch', 'start', `Fetching events from ${this.source.label}...`);
+      const fetchedAt = Date.now();
+      const events = options.retryErrors
+        ? await this.source.getErrorEvents(selection)
+        : await this.source.getUnprocessedEvents(selection);
+      this.stage('fetch', 'done', `Found ${events.length} events to process`, { total: events.length });
+
+      // Fingerprint after templates, so editing a template counts as editing its rows, but
+      // before run defaults are applied
+      await this.applyTemplates(events);
+      events.forEach(event => {
+        event.rowFingerprint = rowFingerprint(event);
+        event.fetchedAt = fetchedAt;
+      });
+
+      // Rows nobody has touched since they failed would fail the same way again
+      if (options.retryErrors && options.editedOnly) {
+        const edited = events.filter(event => !event.errorRowHash || event.errorRowHash !== event.rowFingerprint);
+        if (edited.length < events.length) {
+          this.notice('info', `Skipping ${events.length - edited.length} error rows not edited since they failed`);
+        }
+        events.splice(0, events.length, ...edited);
+      }
+      result.total = events.length;
 
       if (events.length === 0) {
-        console.log(chalk.yellow('No events to process. Exiting.'));
-        return;
+        this.notice('warn', 'No events to process. Exiting.');
+        return this.finishRun(command, result, report);
+      }
+
+      // Rows without their own timezone use the run's default
+      if (defaultTimezone) {
+        this.applyDefaultTimezone(events, defaultTimezone);
       }
 
       // Validate events
-      spinner.start('Validating events...');
-      const validation = this.validator.validateBatch(events);
-      spinner.succeed(`Validation complete: ${validation.valid.length} valid events`);
+      this.stage('validate', 'start', 'Validating events...', { total: events.length });
+      const validation = this.validateEvents(events);
+      this.stage('validate', 'done', `Validation complete: ${validation.valid.length} valid events`, { total: events.length });
+      result.valid = validation.valid.length;
+      result.invalid = validation.invalid.length;
+
+      const outcomes = new Map();
+      for (const event of events) {
+        const counts = this.countAccount(result.accounts, event);
+        const { isValid, errors, warnings } = validation.byRecord.get(event.recordId).validation;
+        const account = this.accounts.resolve(event);
+        counts.total++;
+        if (!isValid) counts.invalid++;
+
+        outcomes.set(event.recordId, {
+          recordId: event.recordId,
+          title: event.title,
+          account,
+          outcome: isValid ? 'valid' : 'invalid',
+          warnings,
+          ...(!isValid && { errors })
+        });
+        report?.addEvent(event.recordId, {
+          title: event.title,
+          account,
+          warnings,
+          ...(!isValid && { outcome: 'invalid', failedStep: 'validate', errorCategory: ERROR_CATEGORIES.VALIDATION, error: errors.join('; ') })
+        });
+      }
+      result.events = [...outcomes.values()];
 
       if (validation.invalid.length > 0) {
-        console.log(chalk.yellow(`\n⚠️  ${validation.invalid.length} invalid events found:`));
-        for (const invalid of validation.invalid) {
-          console.log(chalk.red(`   • ${invalid.title}: ${invalid.validation.errors.join(', ')}`));
-          await this.airtable.markAsError(
-            invalid.airtableId, 
-            invalid.validation.errors.join('; ')
-          );
+        this.notice('warn', `${validation.invalid.length} invalid events found:`, validation.invalid.map(invalid => `${invalid.title}: ${invalid.validation.errors.join(', ')}`));
+        if (!dryRun) {
+          for (const invalid of validation.invalid) {
+            await this.markInvalid(events.find(e => e.recordId === invalid.recordId), invalid.validation.errors);
+          }
         }
       }
 
-      // Process valid events in batches
+      // Process valid events
       const validEvents = validation.valid.map(v => 
-        events.find(e => e.airtableId === v.airtableId)
+        events.find(e => e.recordId === v.recordId)
       );
 
       if (validEvents.length === 0) {
-        console.log(chalk.red('No valid events to process. Exiting.'));
-        return;
+        this.notice('error', 'No valid events to process. Exiting.');
+        return this.finishRun(command, result, report);
+      }
+
+      if (dryRun) {
+        Object.assign(result, this.renderDryRun(validEvents));
+        return this.finish(command, result);
+      }
+
+      const { createdRows, accounts, rows, ...counts } = await this.processEvents(validEvents, report);
+      Object.assign(result, counts);
+      for (const [name, { created, failed, skipped }] of Object.entries(accounts)) {
+        Object.assign(result.accounts[name], { created, failed, skipped });
+      }
+      for (const row of rows) {
+        Object.assign(outcomes.get(row.recordId), row);
       }
 
-      await this.processBatches(validEvents);
+      // Read back what Universe stored for the rows created just now
+      if (this.verifyAfterRun && !options.skipVerify && createdRows.length > 0) {
+        result.verification = await this.runVerification(createdRows);
+      }
 
     } catch (error) {
       logger.error('Failed to run bulk creator:', error.message);
-      console.log(chalk.red(`\n❌ Error: ${error.message}`));
+      result.error = error.message;
     }
+
+    return this.finishRun(command, result, report);
   }
 
-  async processBatches(events) {
-    const batches = this.createBatches(events);
-    let successCount = 0;
-    let errorCount = 0;
+  // Write the run report (for runs that fetched rows or failed) and emit `done`. The report stops
+  // listening to the rate limiters either way, so runs that end early don't leave it subscribed
+  finishRun(command, result, report) {
+    try {
+      if (report && (result.total > 0 || result.error)) {
+        result.report = report.write(this.reportDir, result);
+      }
+    } finally {
+      report?.dispose();
+    }
+    return this.finish(command, result);
+  }
+
+  // validateBatch, plus a `validated` event per row in source order and the results by record ID
+  validateEvents(events) {
+    const validation = this.validator.validateBatch(events);
+    validation.byRecord = new Map([...validation.valid, ...validation.invalid].map(item => [item.recordId, item]));
+
+    for (const event of events) {
+      const { isValid, errors, warnings, inherited } = validation.byRecord.get(event.recordId).validation;
+      this.emit('validated', {
+        recordId: event.recordId,
+        title: event.title,
+        account: this.accounts.resolve(event),
+        valid: isValid,
+        errors,
+        warnings,
+        inherited
+      });
+    }
+    return validation;
+  }
 
-    console.log(chalk.blue(`\n📦 Processing ${events.length} events in ${batches.length} batches...\n`));
+  async markInvalid(event, errors) {
+    return this.source.markAsError(event.recordId, errors.join('; '), {
+      category: ERROR_CATEGORIES.VALIDATION,
+      step: 'validate',
+      attempts: 0,
+      rowHash: event.rowFingerprint,
+      history: appendErrorHistory(event)
+    });
+  }
 
-    for (let i = 0; i < batches.length; i++) {
-      const batch = batches[i];
-      const spinner = ora(`Processing batch ${i + 1}/${batches.length} (${batch.length} events)`).start();
+  // Report for this run, timing every Universe and source request from now on
+  startReport(command) {
+    const report = new RunReport({ runId: logger.runId, command, source: this.source.label });
+    this.getLimiters().forEach(limiter => report.watch(limiter));
+    return report;
+  }
 
-      try {
-        const results = await this.processBatch(batch);
-        successCount += results.success;
-        errorCount += results.errors;
-        
-        spinner.succeed(`Batch ${i + 1} complete: ${results.success} created, ${results.errors} errors`);
-
-        // Delay between batches (except for the last one)
-        if (i < batches.length - 1) {
-          await this.delay(this.delayBetweenBatches);
+  // Rate limits of every API a run talks to: each Universe account, the source and image downloads
+  getLimiters() {
+    return [...this.accounts.all().map(universe => universe.limiter), this.source.limiter, imageDownloads].filter(Boolean);
+  }
+
+  // Validate rows without creating anything. Resolves to { total, valid, invalid, warnings, error? }
+  // and emits `validated` for every row
+  async validate(options = {}) {
+    const defaultTimezone = options.timezone || this.defaultTimezone;
+    const selection = options.selection || {};
+    const result = { total: 0, valid: 0, invalid: 0, warnings: 0 };
+
+    this.emit('start', { command: 'validate', dryRun: true, source: this.source.label });
+
+    try {
+      await this.checkColumnMapping();
+
+      this.stage('fetch', 'start', `Fetching events from ${this.source.label}...`);
+      const events = options.retryErrors
+        ? await this.source.getErrorEvents(selection)
+        : await this.source.getUnprocessedEvents(selection);
+      this.stage('fetch', 'done', `Found ${events.length} events to validate`, { total: events.length });
+      result.total = events.length;
+
+      await this.applyTemplates(events);
+      if (defaultTimezone) {
+        this.applyDefaultTimezone(events, defaultTimezone);
+      }
+
+      const validation = this.validateEvents(events);
+      result.valid = validation.valid.length;
+      result.invalid = validation.invalid.length;
+      result.warnings = events.reduce((sum, event) => sum + validation.byRecord.get(event.recordId).validation.warnings.length, 0);
+    } catch (error) {
+      logger.error('Failed to validate events:', error.message);
+      result.error = error.message;
+    }
+
+    return this.finish('validate', result);
+  }
+
+  // Publish created rows whose Universe events are still drafts
+  async publish(options = {}) {
+    return this.lifecycle('publish', options);
+  }
+
+  // Apply a lifecycle action (see LIFECYCLE_ACTIONS) to every created row in the selection.
+  // Resolves to { total, changed, skipped, failed, dryRun, error? }
+  async lifecycle(action, options = {}) {
+    const spec = LIFECYCLE_ACTIONS[action];
+    if (!spec) {
+      throw new Error(`Unknown lifecycle action "${action}"`);
+    }
+
+    const dryRun = options.dryRun ?? this.dryRun;
+    const selection = options.selection || {};
+    const result = { total: 0, changed: 0, skipped: 0, failed: 0, dryRun };
+
+    this.emit('start', { command: action, dryRun, source: this.source.label });
+
+    try {
+      this.stage('fetch', 'start', `Fetching created events from ${this.source.label}...`);
+      const events = (await this.source.getEventsToSync(selection)).filter(event => !isDeleted(event));
+      this.stage('fetch', 'done', `Found ${events.length} created events`, { total: events.length });
+      result.total = events.length;
+
+      await this.pool.map(events, event => logger.withContext({ recordId: event.recordId }, () => this.applyLifecycle(event, action, dryRun)), (outcome, event) => {
+        if (outcome.status === 'fulfilled') {
+          result[outcome.value ? 'changed' : 'skipped']++;
+          if (outcome.value) {
+            this.emit('changed', { recordId: event.recordId, title: event.title, action, universeEventId: event.universeEventId, dryRun });
+          }
+        } else {
+          result.failed++;
+          logger.error(`${spec.title} failed for ${event.title}:`, outcome.reason.message);
+          this.emit('failed', { recordId: event.recordId, title: event.title, action, category: classifyError(outcome.reason).category, error: outcome.reason.message });
         }
+      });
+    } catch (error) {
+      logger.error(`Failed to ${action} events:`, error.message);
+      result.error = error.message;
+    }
 
-      } catch (error) {
-        spinner.fail(`Batch ${i + 1} failed: ${error.message}`);
-        errorCount += batch.length;
-        
-        // Mark all events in failed batch as errors
-        for (const event of batch) {
-          await this.airtable.markAsError(event.airtableId, `Batch processing failed: ${error.message}`);
+    return this.finish(action, result);
+  }
+
+  // Apply an action to every occurrence of a row and record the resulting states on it.
+  // Resolves to whether anything changed. Transient failures are retried like creates;
+  // occurrences already in the target state are skipped, so a retry picks up where it stopped.
+  async applyLifecycle(event, action, dryRun = false, retryCount = 0) {
+    const spec = LIFECYCLE_ACTIONS[action];
+    const universe = this.accounts.forEvent(event);
+    const eventIds = String(event.universeEventId).split(',').map(id => id.trim()).filter(Boolean);
+
+    try {
+      const states = [];
+      const pending = [];
+
+      for (const eventId of eventIds) {
+        const details = await universe.getEventDetails(eventId);
+        if (!details && action !== 'delete') {
+          throw new Error(`Universe event ${eventId} not found`);
+        }
+
+        const state = details ? details.state : 'DELETED';
+        states.push(state);
+        if (state !== spec.state) pending.push(eventId);
+      }
+
+      // Check every occurrence before deleting any, so a row is never left half deleted
+      if (action === 'delete') {
+        for (const eventId of pending) {
+          const sold = await universe.getSoldTicketCount(eventId);
+          if (sold > 0) {
+            const error = new Error(`Universe event ${eventId} has ${sold} tickets sold - refusing to delete (cancel it instead)`);
+            error.category = ERROR_CATEGORIES.BUSINESS;
+            throw error;
+          }
+        }
+      }
+
+      for (const eventId of pending) {
+        if (dryRun) {
+          logger.info(`[dry run] Would ${action} ${event.title} (${eventId})`);
+          continue;
         }
+
+        const changed = await universe[spec.method](eventId);
+        states[eventIds.indexOf(eventId)] = changed?.state || spec.state;
+        logger.info(`${spec.done} ${event.title} (${eventId})`);
+      }
+
+      const universeState = states.join(', ');
+      if (!dryRun && universeState !== event.universeState) {
+        await this.source.updateRecord(event.recordId, {
+          universeState,
+          lastUpdated: new Date().toISOString().split('T')[0]
+        });
       }
+
+      return pending.length > 0;
+    } catch (error) {
+      const { category, transient } = classifyError(error);
+      if (!transient || retryCount >= this.maxRetries) throw error;
+
+      logger.warn(`Retrying ${action} for ${event.title} after ${category} error (attempt ${retryCount + 2}/${this.maxRetries + 1})`);
+      await this.waitToRetry(event, { action, category, error, retryCount });
+      return this.applyLifecycle(event, action, dryRun, retryCount + 1);
     }
+  }
+
+  // Summarise rows by status. Resolves to { total, statuses, errorCategories, error? }
+  async status(options = {}) {
+    const selection = options.selection || {};
+    const result = { total: 0, statuses: {}, errorCategories: {} };
+
+    this.emit('start', { command: 'status', dryRun: true, source: this.source.label });
+
+    try {
+      const events = await this.source.getEvents(selection);
+      result.total = events.length;
+
+      for (const event of events) {
+        const status = event.status || 'Pending';
+        result.statuses[status] = (result.statuses[status] || 0) + 1;
 
-    // Final summary
-    console.log(chalk.bold.green(`\n✅ Processing complete!`));
-    console.log(chalk.green(`   Success: ${successCount} events created`));
-    if (errorCount > 0) {
-      console.log(chalk.red(`   Errors: ${errorCount} events failed`));
+        if (status === 'Error') {
+          const category = event.errorCategory || 'uncategorised';
+          result.errorCategories[category] = (result.errorCategories[category] || 0) + 1;
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to summarise events:', error.message);
+      result.error = error.message;
     }
+
+    return this.finish('status', result);
   }
 
-  async processBatch(events) {
-    const promises = events.map(event => this.processEvent(event));
-    const results = await Promise.allSettled(promises);
-    
-    let success = 0;
-    let errors = 0;
+  // List templates and how many rows use each. With `preview`, show every row using that template
+  // (directly or through `extends`): what it inherits, whether it is still valid and, for created
+  // rows, what the next sync would change in Universe. Nothing is written.
+  // Resolves to { total, templates, templateSource, unknown, previewTemplate?, preview?, invalid?, failed?, error? }
+  async templates(options = {}) {
+    const defaultTimezone = options.timezone || this.defaultTimezone;
+    const selection = options.selection || {};
+    const result = { total: 0, templates: [], unknown: [] };
 
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled') {
-        success++;
-      } else {
-        errors++;
-        logger.error(`Event ${events[index].title} failed:`, result.reason.message);
+    this.emit('start', { command: 'templates', dryRun: true, source: this.source.label });
+
+    try {
+      const templates = await this.loadTemplates();
+      const events = (await this.source.getEvents(selection)).filter(event => !isDeleted(event));
+      result.total = events.length;
+      result.templateSource = templates.label;
+
+      result.templates = templates.templates.map(template => ({
+        name: template.name,
+        extends: template.extends.map(reference => templates.find(reference)?.name || reference),
+        fields: Object.keys(template.fields),
+        rows: events.filter(event => templates.usedBy(event).includes(template.name)).length
+      }));
+
+      // Rows naming templates that don't exist
+      result.unknown = events
+        .filter(event => templateNames(event.template).some(reference => !templates.find(reference)))
+        .map(event => ({ recordId: event.recordId, title: event.title, templates: templateNames(event.template) }));
+
+      if (options.preview) {
+        const template = templates.find(options.preview);
+        if (!template) {
+          throw new Error(`Template "${options.preview}" not found in ${templates.label}`);
+        }
+
+        const affected = events.filter(event => templates.usedBy(event).includes(template.name));
+        result.previewTemplate = template.name;
+        Object.assign(result, await this.previewTemplate(template, templates, affected, defaultTimezone));
       }
+    } catch (error) {
+      logger.error('Failed to list templates:', error.message);
+      result.error = error.message;
+    }
+
+    return this.finish('templates', result);
+  }
+
+  // Resolves to { preview, invalid, failed }, a preview row being { recordId, title, status, inherited,
+  // inheritedFrom, errors, warnings, changes, error? } with the inherited values and the template of each
+  async previewTemplate(template, templates, events, defaultTimezone) {
+    const result = { preview: [], invalid: 0, failed: 0 };
+
+    // Fields from this template or the ones it extends are the ones an edit to it can change
+    const origins = new Set(templates.usedBy({ template: template.name }));
+    events.forEach(event => templates.apply(event));
+    if (defaultTimezone) {
+      this.applyDefaultTimezone(events, defaultTimezone);
+    }
+
+    const outcomes = await this.pool.map(events, event => logger.withContext({ recordId: event.recordId }, async () => {
+      const { errors, warnings } = this.validator.validateEvent(event);
+      const fields = Object.keys(event.templateFields).filter(field => origins.has(event.templateFields[field]));
+      const inherited = Object.fromEntries(fields.map(field => [field, event[field]]));
+      const inheritedFrom = Object.fromEntries(fields.map(field => [field, event.templateFields[field]]));
+
+      // Created rows only change in Universe on the next sync
+      const changes = errors.length === 0 && event.status === 'Created' && event.universeEventId
+        ? (await this.diffEvent(event)).flatMap(diff => diff.changes.map(change => `${diff.eventId}: ${change}`))
+        : null;
+
+      return { recordId: event.recordId, title: event.title, status: event.status || 'Pending', inherited, inheritedFrom, errors, warnings, changes };
+    }));
+
+    outcomes.forEach((outcome, index) => {
+      const event = events[index];
+      const row = outcome.status === 'fulfilled'
+        ? outcome.value
+        : { recordId: event.recordId, title: event.title, status: event.status || 'Pending', inherited: {}, inheritedFrom: {}, errors: [], warnings: [], changes: null, error: outcome.reason.message };
+      result.preview.push(row);
+      if (row.errors.length > 0) result.invalid++;
+      if (row.error) result.failed++;
     });
 
-    return { success, errors };
+    return result;
   }
 
-  async processEvent(event, retryCount = 0) {
+  // Push row edits to created events. Resolves to { total, changed, invalid, updated, failed, dryRun, error? }
+  async sync(options = {}) {
+    const dryRun = options.dryRun ?? this.dryRun;
+    const defaultTimezone = options.timezone || this.defaultTimezone;
+    const selection = options.selection || {};
+    const result = { total: 0, changed: 0, invalid: 0, updated: 0, failed: 0, dryRun };
+
+    this.emit('start', { command: 'sync', dryRun, source: this.source.label });
+
     try {
-      // Create the event in Universe
-      const universeEvent = await this.universe.createEvent(event);
-      
-      // Optionally publish the event if requested
-      if (event.publish === true && universeEvent.state !== 'POSTED') {
-        try {
-          await this.universe.publishEvent(universeEvent.id);
-          logger.info(`Event published: ${event.title}`);
-        } catch (publishError) {
-          logger.warn(`Event created but failed to publish: ${event.title}`, publishError.message);
+      await this.checkColumnMapping();
+
+      this.stage('fetch', 'start', `Fetching created events from ${this.source.label}...`);
+      // Deleted events have nothing left to update
+      const events = (await this.source.getEventsToSync(selection)).filter(event => !isDeleted(event));
+      this.stage('fetch', 'done', `Found ${events.length} created events`, { total: events.length });
+      result.total = events.length;
+
+      await this.applyTemplates(events);
+      if (defaultTimezone) {
+        this.applyDefaultTimezone(events, defaultTimezone);
+      }
+
+      // Only rows whose payload changed since the last sync need a Universe round trip
+      const changed = events.filter(event => {
+        event.syncHash = this.getSyncHash(event);
+        return event.syncHash !== event.lastSyncHash;
+      });
+      this.notice('info', `${changed.length} changed since last sync, ${events.length - changed.length} unchanged`);
+      result.changed = changed.length;
+
+      const validation = this.validator.validateBatch(changed);
+      result.invalid = validation.invalid.length;
+      if (validation.invalid.length > 0) {
+        this.notice('warn', `${validation.invalid.length} changed events are invalid and will not be synced:`, validation.invalid.map(invalid => `${invalid.title}: ${invalid.validation.errors.join(', ')}`));
+      }
+
+      const validEvents = validation.valid.map(v =>
+        changed.find(e => e.recordId === v.recordId)
+      );
+
+      await this.pool.map(validEvents, event => logger.withContext({ recordId: event.recordId }, () => this.syncEvent(event, dryRun)), (outcome, event) => {
+        if (outcome.status === 'fulfilled') {
+          if (outcome.value) {
+            result.updated++;
+            this.emit('updated', { recordId: event.recordId, title: event.title, universeEventId: event.universeEventId, dryRun });
+          }
+        } else {
+          result.failed++;
+          logger.error(`Sync failed for ${event.title}:`, outcome.reason.message);
+          this.emit('failed', { recordId: event.recordId, title: event.title, action: 'sync', category: classifyError(outcome.reason).category, error: outcome.reason.message });
         }
+      });
+    } catch (error) {
+      logger.error('Failed to sync events:', error.message);
+      result.error = error.message;
+    }
+
+    return this.finish('sync', result);
+  }
+
+  // Check created events against their rows and look for Universe events with no row.
+  // Resolves to { total, matched, mismatched, missing, errors, orphans, failed, orphanEvents, report, error? }
+  async verify(options = {}) {
+    const dryRun = options.dryRun ?? this.dryRun;
+    const defaultTimezone = options.timezone || this.defaultTimezone;
+    const selection = options.selection || {};
+    const result = { total: 0, matched: 0, mismatched: 0, missing: 0, errors: 0, orphans: 0, failed: 0 };
+
+    this.emit('start', { command: 'verify', dryRun, source: this.source.label });
+
+    try {
+      await this.checkColumnMapping();
+
+      this.stage('fetch', 'start', `Fetching created events from ${this.source.label}...`);
+      const events = (await this.source.getEventsToSync(selection)).filter(event => !isDeleted(event));
+      this.stage('fetch', 'done', `Found ${events.length} created events`, { total: events.length });
+
+      await this.applyTemplates(events);
+      if (defaultTimezone) {
+        this.applyDefaultTimezone(events, defaultTimezone);
       }
 
-      // Get the event URL
-      const eventUrl = this.universe.getEventUrl(universeEvent.slug);
+      Object.assign(result, await this.runVerification(events, { dryRun, orphans: options.orphans !== false }));
+    } catch (error) {
+      logger.error('Failed to verify events:', error.message);
+      result.error = error.message;
+    }
 
-      // Update Airtable with success
-      await this.airtable.markAsCreated(
-        event.airtableId, 
-        universeEvent.id, 
-        eventUrl,
-        universeEvent.clientMutationId
+    return this.finish('verify', result);
+  }
+
+  // Verify rows, write each row's verification column and a report file
+  async runVerification(events, { dryRun = false, orphans = false } = {}) {
+    const summary = { total: events.length, matched: 0, mismatched: 0, missing: 0, errors: 0, orphans: 0 };
+    const entries = [];
+
+    this.stage('verify', 'start', `Verifying events: 0/${events.length}`, { completed: 0, total: events.length });
+    await this.pool.map(events, event => logger.withContext({ recordId: event.recordId }, () => this.verifyRow(event, dryRun)), (outcome, event) => {
+      const entry = outcome.status === 'fulfilled'
+        ? outcome.value
+        : { recordId: event.recordId, title: event.title, eventIds: event.universeEventId, status: 'error', mismatches: [outcome.reason.message] };
+
+      entries.push(entry);
+      summary[{ ok: 'matched', mismatch: 'mismatched', missing: 'missing', error: 'errors' }[entry.status]]++;
+      this.emit('verified', entry);
+      this.stage('verify', 'update', `Verifying events: ${entries.length}/${events.length}`, { completed: entries.length, total: events.length });
+    });
+    this.stage('verify', 'done', `Verified ${events.length} events: ${summary.matched} match, ${summary.mismatched + summary.missing} differ`, { completed: entries.length, total: events.length });
+
+    const orphaned = orphans ? await this.findOrphans() : [];
+    summary.orphans = orphaned.length;
+    summary.failed = summary.mismatched + summary.missing + summary.errors;
+
+    summary.report = this.writeVerificationReport({ summary, events: entries, orphans: orphaned });
+    summary.orphanEvents = orphaned;
+    this.notice('info', `Verification report written to ${summary.report}`);
+
+    return summary;
+  }
+
+  // Resolves to { recordId, title, eventIds, status: ok | mismatch | missing, mismatches }
+  async verifyRow(event, dryRun = false, retryCount = 0) {
+    const occurrences = this.expandEvent(event);
+    const eventIds = String(event.universeEventId).split(',').map(id => id.trim()).filter(Boolean);
+    const entry = { recordId: event.recordId, title: event.title, eventIds: eventIds.join(', '), status: 'ok', mismatches: [] };
+
+    try {
+      const universe = this.accounts.forEvent(event);
+      if (occurrences.length !== eventIds.length) {
+        entry.status = 'mismatch';
+        entry.mismatches.push(`Row describes ${occurrences.length} events but has ${eventIds.length} Universe IDs`);
+      }
+
+      for (let i = 0; i < Math.min(occurrences.length, eventIds.length); i++) {
+        const details = await universe.getEventDetails(eventIds[i]);
+        const prefix = eventIds.length > 1 ? `${eventIds[i]} ` : '';
+
+        if (!details) {
+          entry.status = 'missing';
+          entry.mismatches.push(`${prefix}not found in Universe`);
+          continue;
+        }
+
+        const mismatches = this.verifier.compare(details, universe.transformToEventCreateInput(occurrences[i]));
+        if (mismatches.length > 0 && entry.status === 'ok') entry.status = 'mismatch';
+        entry.mismatches.push(...mismatches.map(mismatch => prefix + this.verifier.describe(mismatch)));
+      }
+    } catch (error) {
+      const { category, transient } = classifyError(error);
+      if (!transient || retryCount >= this.maxRetries) throw error;
+
+      logger.warn(`Retrying verification of ${event.title} after ${category} error (attempt ${retryCount + 2}/${this.maxRetries + 1})`);
+      await this.waitToRetry(event, { action: 'verify', category, error, retryCount });
+      return this.verifyRow(event, dryRun, retryCount + 1);
+    }
+
+    if (!dryRun) {
+      await this.source.updateRecord(event.recordId, {
+        verification: entry.status === 'ok' ? 'OK' : entry.mismatches.join('\n').substring(0, 1000),
+        verifiedAt: new Date().toISOString()
+      });
+    }
+
+    return entry;
+  }
+
+  // Hosted events no row points at, e.g. because the row was deleted after the event was created.
+  // Every row is checked regardless of the selection; events already cancelled are left out.
+  async findOrphans() {
+    this.stage('orphans', 'start', 'Looking for Universe events without a row...');
+
+    const rows = await this.source.getEvents();
+    const referenced = new Set(rows.flatMap(row =>
+      String(row.universeEventId || '').split(',').map(id => id.trim()).filter(Boolean)
+    ));
+
+    // Every configured account hosts its own events
+    const hosted = [];
+    for (const name of this.accounts.names.length > 0 ? this.accounts.names : ['default']) {
+      const events = await this.accounts.get(name).listHostedEvents();
+      hosted.push(...events.map(event => ({ ...event, account: name })));
+    }
+
+    const orphans = hosted
+      .filter(event => !referenced.has(event.id) && !['CANCELLED', 'DELETED'].includes(String(event.state).toUpperCase()))
+      .map(event => ({ id: event.id, title: event.title, state: event.state, account: event.account, url: this.universe.getEventUrl(event.slug) }));
+
+    this.stage('orphans', 'done', `Checked ${hosted.length} Universe events: ${orphans.length} without a row`, { total: hosted.length, orphans });
+    return orphans;
+  }
+
+  writeVerificationReport(report) {
+    if (!fs.existsSync(this.reportDir)) {
+      fs.mkdirSync(this.reportDir, { recursive: true });
+    }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = path.join(this.reportDir, `verification-${timestamp}.json`);
+    fs.writeFileSync(filename, JSON.stringify({ generatedAt: new Date().toISOString(), source: this.source.label, ...report }, null, 2));
+    logger.info(`Verification report written to ${filename}`);
+    return filename;
+  }
+
+  // One action on one row, for the trigger server. Resolves to { ok, status, action, recordId, ... }
+  // where status is the HTTP status to answer with; nothing is thrown for row-level failures.
+  async triggerRecord(action, recordId) {
+    const handler = TRIGGER_ACTIONS[action];
+    if (!handler) {
+      return { ok: false, status: 404, action, recordId, error: `Unknown action "${action}"` };
+    }
+
+    const fetchedAt = Date.now();
+    const [event] = await this.source.getEvents({ ids: [recordId] });
+    if (!event) {
+      return { ok: false, status: 404, action, recordId, error: `Record ${recordId} not found in ${this.source.label}` };
+    }
+
+    await this.applyTemplates([event]);
+    event.rowFingerprint = rowFingerprint(event);
+    event.fetchedAt = fetchedAt;
+    if (this.defaultTimezone && !event.timezone) {
+      event.timezone = this.defaultTimezone;
+    }
+
+    const outcome = await this[handler](event);
+    return { action, recordId, title: event.title, ...outcome };
+  }
+
+  async triggerValidate(event) {
+    const { isValid, errors, warnings, inherited } = this.validator.validateEvent(event);
+    return { ok: isValid, status: 200, valid: isValid, errors, warnings, inherited };
+  }
+
+  // Create one row. A row that is already created answers with its event, so a double click is harmless.
+  async triggerCreate(event) {
+    if (event.status === 'Created' && event.universeEventId) {
+      return { ok: true, status: 200, created: false, universeEventId: event.universeEventId, universeUrl: event.universeUrl };
+    }
+
+    const { isValid, errors, warnings } = this.validator.validateEvent(event);
+    if (!isValid) {
+      await this.markInvalid(event, errors);
+      return { ok: false, status: 422, errors, warnings };
+    }
+
+    try {
+      const created = [].concat(await this.processLocked(event));
+      return {
+        ok: true,
+        status: 201,
+        created: true,
+        ...this.describeCreated(created),
+        universeState: created.map(e => e.state).join(', '),
+        warnings
+      };
+    } catch (error) {
+      if (error instanceof SkippedError) {
+        return { ok: false, status: 409, error: `Row is ${error.message} - try again shortly`, warnings };
+      }
+      const { category } = classifyError(error);
+      return { ok: false, status: 502, error: error.message, errorCategory: category, failedStep: error.step, warnings };
+    }
+  }
+
+  async triggerPublish(event) {
+    if (event.status !== 'Created' || !event.universeEventId) {
+      return { ok: false, status: 409, error: 'Row has not been created in Universe yet' };
+    }
+
+    try {
+      const changed = await this.applyLifecycle(event, 'publish');
+      return { ok: true, status: 200, changed, universeEventId: event.universeEventId, universeUrl: event.universeUrl };
+    } catch (error) {
+      const { category } = classifyError(error);
+      return { ok: false, status: 502, error: error.message, errorCategory: category };
+    }
+  }
+
+  async triggerSync(event) {
+    if (event.status !== 'Created' || !event.universeEventId) {
+      return { ok: false, status: 409, error: 'Row has not been created in Universe yet' };
+    }
+
+    const { isValid, errors, warnings } = this.validator.validateEvent(event);
+    if (!isValid) {
+      return { ok: false, status: 422, errors, warnings };
+    }
+
+    try {
+      event.syncHash = this.getSyncHash(event);
+      const updated = await this.syncEvent(event);
+      return { ok: true, status: 200, updated, universeEventId: event.universeEventId, universeUrl: event.universeUrl, warnings };
+    } catch (error) {
+      const { category } = classifyError(error);
+      return { ok: false, status: 502, error: error.message, errorCategory: category };
+    }
+  }
+
+  // Report mapping problems up front instead of failing row by row
+  async checkColumnMapping() {
+    const problems = await this.source.checkMapping();
+    if (problems.length === 0) return;
+
+    for (const problem of problems) {
+      logger.warn(`Column mapping: ${problem}`);
+    }
+    this.notice('warn', `Column mapping problems in ${this.source.label}:`, problems);
+  }
+
+  // Templates are read for every command, so edits reach the next run or watch cycle
+  async loadTemplates() {
+    if (process.env.TEMPLATES_FILE) {
+      return TemplateLibrary.load(process.env.TEMPLATES_FILE, this.source.mapping);
+    }
+    if (this.source.getTemplates) {
+      return new TemplateLibrary(await this.source.getTemplates(), `${this.source.label} templates`);
+    }
+    return new TemplateLibrary();
+  }
+
+  // Fill rows from the templates they name; templates are only read when some row names one
+  async applyTemplates(events) {
+    if (!events.some(event => templateNames(event.template).length > 0)) return events;
+
+    const templates = await this.loadTemplates();
+    events.forEach(event => templates.apply(event));
+    return events;
+  }
+
+  getSyncHash(event) {
+    try {
+      return this.syncService.hashPayload(
+        this.expandEvent(event).map(occurrence => this.universe.transformToEventCreateInput(occurrence))
       );
+    } catch {
+      // Rows that can't be transformed are reported by validation
+      return null;
+    }
+  }
+
+  // What each of a row's Universe events needs to match the row: [{ eventId, attributes, changes, warnings }]
+  async diffEvent(event) {
+    const occurrences = this.expandEvent(event);
+    const eventIds = String(event.universeEventId).split(',').map(id => id.trim()).filter(Boolean);
+
+    if (occurrences.length !== eventIds.length) {
+      throw new Error(`Row describes ${occurrences.length} events but has ${eventIds.length} Universe IDs - update them by hand`);
+    }
+
+    const universe = this.accounts.forEvent(event);
+    const diffs = [];
+    for (let i = 0; i < eventIds.length; i++) {
+      const input = universe.transformToEventCreateInput(occurrences[i]);
+      const details = await universe.getEventDetails(eventIds[i]);
+      if (!details) {
+        throw new Error(`Universe event ${eventIds[i]} not found`);
+      }
+
+      diffs.push({ eventId: eventIds[i], ...this.syncService.buildUpdate(details, input) });
+    }
+    return diffs;
+  }
+
+  async syncEvent(event, dryRun = false) {
+    let updated = false;
+
+    for (const { eventId, attributes, changes, warnings } of await this.diffEvent(event)) {
+      warnings.forEach(warning => logger.warn(`${event.title}: ${warning}`));
+
+      if (Object.keys(attributes).length === 0) continue;
+
+      logger.info(`Syncing ${event.title} (${eventId}): ${changes.join('; ') || 'refreshing fields Universe does not report'}`);
+      if (!dryRun) {
+        await this.accounts.forEvent(event).updateEvent(eventId, attributes);
+      }
+      updated = true;
+    }
+
+    if (!dryRun) {
+      await this.source.markAsSynced(event.recordId, event.syncHash);
+    }
+
+    return updated;
+  }
+
+  applyDefaultTimezone(events, timeZone) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Default timezone "${timeZone}" is not a valid IANA timezone`);
+    }
+
+    const offset = formatOffset(getOffsetMinutes(timeZone, Date.now()));
+    logger.info(`Default timezone: ${timeZone} (currently UTC${offset})`);
+
+    for (const event of events) {
+      if (!event.timezone) {
+        event.timezone = timeZone;
+      }
+    }
+  }
+
+  // Write the payloads a dry run would send. Returns { dryRunFile, payloads }, a payload summary
+  // being { recordId, title, account, start, end, slots, venue, rates, images, publish, fallbacks }
+  renderDryRun(events) {
+    const payloads = events.flatMap(event => this.expandEvent(event)).map(event => {
+      const input = this.universe.transformToEventCreateInput(event);
+      return {
+        recordId: event.recordId,
+        title: event.title,
+        account: this.accounts.resolve(event),
+        fallbacks: this.universe.getPayloadFallbacks(event),
+        // Uploaded when the event is created, so only counted here
+        images: IMAGE_FIELDS.reduce((count, field) => count + parseImages(event[field]).length, 0),
+        variables: { input }
+      };
+    });
+
+    if (!fs.existsSync(this.dryRunDir)) {
+      fs.mkdirSync(this.dryRunDir, { recursive: true });
+    }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = path.join(this.dryRunDir, `dry-run-${timestamp}.json`);
+    fs.writeFileSync(filename, JSON.stringify(payloads, null, 2));
+
+    logger.info(`Dry run complete: ${payloads.length} payloads written to ${filename}`);
+    return {
+      dryRunFile: filename,
+      payloads: payloads.map(({ recordId, title, account, variables, fallbacks, images }) => {
+        const { timeSlots } = variables.input.event;
+        return {
+          recordId,
+          title,
+          account,
+          start: timeSlots[0]?.startAt || null,
+          end: timeSlots[0]?.endAt || null,
+          slots: timeSlots.length,
+          venue: variables.input.event.venueName || null,
+          rates: variables.input.event.rates.length,
+          images,
+          publish: variables.input.publish,
+          fallbacks
+        };
+      })
+    };
+  }
+
+  // Resolves to { created, failed, skipped, accounts, createdRows, rows } where `rows` holds each
+  // row's outcome for the run result
+  async processEvents(events, report = null) {
+    let successCount = 0;
+    let errorCount = 0;
+    let skippedCount = 0;
+
+    this.stage('process', 'start', `Processing events: 0/${events.length}`, { completed: 0, total: events.length, concurrency: this.pool.limit });
+
+    const createdRows = [];
+    const accounts = {};
+    const rows = [];
+
+    const startedAt = new Map();
+
+    await this.pool.map(events, event => logger.withContext({ recordId: event.recordId }, () => {
+      startedAt.set(event.recordId, Date.now());
+      return this.processLocked(event);
+    }), (result, event) => {
+      const durationMs = Date.now() - startedAt.get(event.recordId);
+
+      const counts = this.countAccount(accounts, event);
+
+      if (result.status === 'fulfilled') {
+        successCount++;
+        counts.created++;
+        const created = [].concat(result.value);
+        createdRows.push({ ...event, universeEventId: created.map(e => e.id).join(', ') });
+        rows.push({ recordId: event.recordId, outcome: 'created', ...this.describeCreated(created), attempts: event.attempts });
+        report?.addEvent(event.recordId, {
+          outcome: 'created',
+          ...this.describeCreated(created),
+          publish: event.publish === true ? 'published' : 'not requested',
+          attempts: event.attempts,
+          durationMs
+        });
+      } else if (result.reason instanceof SkippedError) {
+        skippedCount++;
+        counts.skipped++;
+        logger.warn(`Skipped ${event.title}: ${result.reason.message}`);
+        rows.push({ recordId: event.recordId, outcome: 'skipped', reason: result.reason.message });
+        report?.addEvent(event.recordId, { outcome: 'skipped', error: result.reason.message, durationMs });
+      } else {
+        errorCount++;
+        counts.failed++;
+        logger.error(`Event ${event.title} failed:`, result.reason.message);
+        const { category } = classifyError(result.reason);
+        rows.push({
+          recordId: event.recordId,
+          outcome: 'failed',
+          ...(result.reason.createdEvents?.length > 0 && this.describeCreated(result.reason.createdEvents)),
+          attempts: result.reason.attempts ?? 1,
+          failedStep: result.reason.step || null,
+          errorCategory: category,
+          error: result.reason.message
+        });
+        report?.addEvent(event.recordId, {
+          outcome: 'failed',
+          ...(result.reason.createdEvents?.length > 0 && this.describeCreated(result.reason.createdEvents)),
+          publish: result.reason.step === 'publish' ? 'failed' : (event.publish === true ? 'not reached' : 'not requested'),
+          attempts: result.reason.attempts ?? 1,
+          failedStep: result.reason.step || '',
+          errorCategory: category,
+          error: result.reason.message,
+          durationMs
+        });
+      }
+      const completed = successCount + errorCount + skippedCount;
+      this.stage('process', 'update', `Processing events: ${completed}/${events.length} (${this.pool.limit} in flight)`, { completed, total: events.length, concurrency: this.pool.limit });
+    });
+
+    this.stage('process', 'done', `Processed ${events.length} events: ${successCount} created, ${errorCount} errors`, {
+      completed: events.length,
+      total: events.length,
+      created: successCount,
+      failed: errorCount,
+      skipped: skippedCount
+    });
+
+    return { created: successCount, failed: errorCount, skipped: skippedCount, accounts, createdRows, rows };
+  }
+
+  // The counts for a row's Universe account, created on first use
+  countAccount(accounts, event) {
+    const name = this.accounts.resolve(event);
+    accounts[name] ||= { total: 0, invalid: 0, created: 0, failed: 0, skipped: 0 };
+    return accounts[name];
+  }
+
+  // Stop starting new rows; rows already in flight finish normally
+  stop() {
+    this.stopping = true;
+  }
+
+  // Release what a creator holds in a long-lived process: its pool's subscriptions to the rate
+  // limiters, which outlive it when the Universe client or source is shared, and any record locks.
+  // Starts no new rows; call it once the commands in flight have resolved
+  close() {
+    this.stop();
+    this.unwatch.forEach(unwatch => unwatch());
+    this.unwatch = [];
+    this.locks.close();
+  }
+
+  // processEvent under the row's lock. Throws SkippedError when the row is locked, was
+  // finished by someone else after this copy was fetched, or the process is stopping.
+  async processLocked(event) {
+    if (this.stopping) {
+      throw this.skip(event, 'stopping before it was started');
+    }
+
+    const release = this.locks.acquire(event.recordId);
+    if (!release) {
+      throw this.skip(event, 'being processed by another instance');
+    }
+
+    try {
+      if (event.fetchedAt && this.locks.finishedSince(event.recordId, event.fetchedAt)) {
+        throw this.skip(event, 'already processed by another instance since it was fetched');
+      }
 
-      logger.success(`Event created: ${event.title} -> ${eventUrl}`);
-      return universeEvent;
+      // A create whose outcome never came back may exist in Universe; creating again could duplicate it
+      try {
+        await this.resolveIntents(this.journal.getRecord(event.recordId));
+      } catch (error) {
+        throw this.skip(event, `waiting to learn whether an earlier create reached Universe (${error.message})`);
+      }
+      return await this.processEvent(event);
+    } finally {
+      release();
+    }
+  }
 
+  skip(event, reason) {
+    this.emit('skipped', { recordId: event.recordId, title: event.title, reason });
+    return new SkippedError(reason);
+  }
+
+  // Emit `retrying` and wait out the backoff before attempt `retryCount + 2`
+  async waitToRetry(event, { action, step = action, category, error, retryCount }) {
+    const delayMs = retryDelay(error, retryCount, { baseDelay: this.retryBaseDelay });
+    this.emit('retrying', {
+      recordId: event.recordId,
+      title: event.title,
+      action,
+      step,
+      category,
+      attempt: retryCount + 2,
+      maxAttempts: this.maxRetries + 1,
+      delayMs,
+      error: error.message
+    });
+    await sleep(delayMs);
+  }
+
+  // Rows recurring in EVENTS mode become one Universe event per occurrence
+  expandEvent(event) {
+    if (isRecurring(event) && getRecurrenceMode(event) === 'EVENTS') {
+      return splitOccurrences(event);
+    }
+    return [event];
+  }
+
+  async processEvent(event, retryCount = 0, createdEvents = null) {
+    const occurrences = this.expandEvent(event);
+    let step = 'resume';
+
+    try {
+      // Resume from the journal and from events already on the row (e.g. created but publish failed),
+      // so neither a crash nor a retry creates an occurrence twice
+      createdEvents = createdEvents || await this.getResumeState(event);
+
+      for (let i = 0; i < occurrences.length; i++) {
+        if (!createdEvents[i]) {
+          step = 'create';
+          this.emit('creating', {
+            recordId: event.recordId,
+            title: event.title,
+            account: this.accounts.resolve(event),
+            occurrence: i,
+            occurrences: occurrences.length
+          });
+          createdEvents[i] = await this.createOccurrence(occurrences[i], event.recordId, i, occurrences.length);
+        }
+
+        // Optionally publish the event if requested
+        if (occurrences[i].publish === true && createdEvents[i].state !== 'POSTED') {
+          step = 'publish';
+          await this.publishOccurrence(createdEvents[i], event, i);
+          this.emit('published', { recordId: event.recordId, title: event.title, eventId: createdEvents[i].id, occurrence: i });
+        }
+      }
     } catch (error) {
-      if (retryCount < this.maxRetries) {
-        logger.warn(`Retrying event ${event.title} (attempt ${retryCount + 1}/${this.maxRetries + 1})`);
-        await this.delay(1000 * (retryCount + 1)); // Exponential backoff
-        return this.processEvent(event, retryCount + 1);
+      const { category, transient, field } = classifyError(error);
+
+      // Only transient failures are retried. An unresolved create may exist in Universe; retrying now could duplicate it
+      if (transient && !error.unresolved && retryCount < this.maxRetries) {
+        logger.warn(`Retrying event ${event.title} after ${category} error in ${step} (attempt ${retryCount + 2}/${this.maxRetries + 1})`);
+        await this.waitToRetry(event, { action: 'create', step, category, error, retryCount });
+        return this.processEvent(event, retryCount + 1, createdEvents);
       }
 
-      // Mark as error in Airtable
-      await this.airtable.markAsError(event.airtableId, error.message);
+      // Mark as error in the source, keeping any events already created so a retry resumes from this step
+      const created = (createdEvents || []).filter(Boolean);
+      const written = await this.source.markAsError(event.recordId, error.message, {
+        category,
+        field,
+        step,
+        attempts: retryCount + 1,
+        rowHash: event.rowFingerprint,
+        history: appendErrorHistory(event),
+        ...(created.length > 0 && this.describeCreated(created))
+      });
+
+      // The row now holds the created events, so the journal no longer needs to reconcile them
+      if (written && created.length > 0) {
+        this.journal.recordWritten(event.recordId);
+      }
+      Object.assign(error, { step, attempts: retryCount + 1, createdEvents: created });
+      this.emit('failed', {
+        recordId: event.recordId,
+        title: event.title,
+        account: this.accounts.resolve(event),
+        action: 'create',
+        step,
+        category,
+        error: error.message,
+        attempts: retryCount + 1
+      });
       throw error;
     }
+
+    event.attempts = retryCount + 1;
+
+    // Writing back is retried on its own: a failed source update must never re-run eventCreate
+    const universeState = createdEvents.map(e => e.state).join(', ');
+    await this.writeBackCreated(event.recordId, event.title, createdEvents, {
+      universeState,
+      ...this.getClearedErrorFields(event)
+    });
+    this.emit('created', {
+      recordId: event.recordId,
+      title: event.title,
+      account: this.accounts.resolve(event),
+      ...this.describeCreated(createdEvents),
+      universeState,
+      attempts: event.attempts
+    });
+    return createdEvents.length === 1 ? createdEvents[0] : createdEvents;
+  }
+
+  // Events already created for a row: from the journal, then from universeEventId on the row
+  async getResumeState(event) {
+    const createdEvents = this.journal.getCreatedEvents(event.recordId);
+    if (!event.universeEventId) return createdEvents;
+
+    const eventIds = String(event.universeEventId).split(',').map(id => id.trim()).filter(Boolean);
+    for (let i = 0; i < eventIds.length; i++) {
+      if (createdEvents[i]) continue;
+
+      const details = await this.accounts.forEvent(event).getEventDetails(eventIds[i]);
+      if (!details) {
+        throw new Error(`Universe event ${eventIds[i]} on this row no longer exists - clear universeEventId to create it again`);
+      }
+
+      logger.info(`Resuming ${event.title}: ${eventIds[i]} already exists in Universe (${details.state})`);
+      createdEvents[i] = { ...details, clientMutationId: event.clientMutationId };
+    }
+
+    return createdEvents;
+  }
+
+  describeCreated(createdEvents) {
+    return {
+      universeEventId: createdEvents.map(e => e.id).join(', '),
+      universeUrl: createdEvents.map(e => this.universe.getEventUrl(e.slug)).join(', ')
+    };
+  }
+
+  // A row that failed before moves its last error into the history once it succeeds
+  getClearedErrorFields(event) {
+    if (!event.errorMessage) return {};
+
+    return {
+      errorMessage: null,
+      errorCategory: null,
+      errorField: null,
+      failedStep: null,
+      errorHistory: appendErrorHistory(event)
+    };
   }
 
-  createBatches(events) {
-    const batches = [];
-    for (let i = 0; i < events.length; i += this.batchSize) {
-      batches.push(events.slice(i, i + this.batchSize));
+  async createOccurrence(event, recordId, occurrence = 0, total = 1) {
+    const [firstSlot] = this.universe.transformToEventCreateInput(event).event.timeSlots;
+    const startAt = firstSlot?.startAt || null;
+
+    this.journal.recordIntent(recordId, occurrence, {
+      total,
+      title: event.title,
+      startAt,
+      publish: event.publish === true,
+      account: this.accounts.resolve(event)
+    });
+
+    // Create the event in Universe
+    const universe = this.accounts.forEvent(event);
+    let universeEvent;
+    try {
+      universeEvent = await universe.createEvent(event);
+    } catch (error) {
+      universeEvent = await this.resolveFailedCreate(universe, error, event.title, startAt);
+      if (!universeEvent) {
+        this.journal.recordFailed(recordId, occurrence, error.message);
+        throw error;
+      }
+      logger.warn(`Create for ${event.title} errored but the event exists in Universe (${universeEvent.id}) - using it`);
     }
-    return batches;
+    this.journal.recordCreated(recordId, occurrence, universeEvent);
+
+    return universeEvent;
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async publishOccurrence(universeEvent, event, occurrence) {
+    const published = await this.accounts.forEvent(event).publishEvent(universeEvent.id);
+    universeEvent.state = published?.state || 'POSTED';
+    this.journal.recordPublished(event.recordId, occurrence);
+    logger.info(`Event published: ${event.title}`);
+  }
+
+  // After a failed eventCreate, find out whether the account's Universe created the event anyway
+  async resolveFailedCreate(universe, error, title, startAt) {
+    // Universe answered and refused (GraphQL errors or a 4xx), so nothing was created
+    if (error.rejected || (error.response?.status && error.response.status < 500)) {
+      return null;
+    }
+
+    try {
+      return await universe.findHostedEvent(title, startAt);
+    } catch (lookupError) {
+      const unresolved = new Error(
+        `Create outcome unknown (${error.message}) and Universe lookup failed (${lookupError.message}) - will be checked on the next run`
+      );
+      unresolved.unresolved = true;
+      unresolved.category = classifyError(error).category;
+      throw unresolved;
+    }
+  }
+
+  async writeBackCreated(recordId, title, createdEvents, extraFields = {}) {
+    const { universeEventId: eventIds, universeUrl: eventUrl } = this.describeCreated(createdEvents);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Update the source with success
+        await this.source.markAsCreated(
+          recordId, 
+          eventIds, 
+          eventUrl,
+          createdEvents[createdEvents.length - 1].clientMutationId,
+          extraFields
+        );
+        break;
+      } catch (error) {
+        const { category } = classifyError(error);
+        if (attempt >= this.maxRetries) {
+          const failure = new Error(`Created in Universe (${eventIds}) but write-back to ${this.source.label} failed: ${error.message} - it will be retried from the journal on the next run`);
+          this.emit('failed', { recordId, title, action: 'write-back', category, error: failure.message, attempts: attempt + 1 });
+          throw failure;
+        }
+        await this.waitToRetry({ recordId, title }, { action: 'write-back', category, error, retryCount: attempt });
+      }
+    }
+
+    this.journal.recordWritten(recordId);
+    logger.success(`Event created: ${title} -> ${eventUrl}`);
+  }
+
+  // Look up creates of a journal record that never reported back, recording each as created when
+  // Universe has the event and as failed when it doesn't. Throws when Universe can't be asked
+  async resolveIntents(record) {
+    if (!record || record.written) return;
+
+    // Entries written before accounts existed belong to the default account
+    const universe = this.accounts.get(record.account || 'default');
+    for (const [index, occurrence] of record.occurrences) {
+      if (occurrence.status !== 'intent') continue;
+
+      const existing = await universe.findHostedEvent(record.title, occurrence.startAt);
+      if (existing) {
+        logger.info(`Found ${record.title} in Universe (${existing.id}) from an interrupted create`);
+        this.journal.recordCreated(record.recordId, index, existing);
+      } else {
+        this.journal.recordFailed(record.recordId, index, 'Not found in Universe during reconciliation');
+      }
+    }
+  }
+
+  // Finish work a previous run left behind before anything new is created. Each record is
+  // reconciled under its row lock; rows another instance is processing are left to it
+  async reconcileJournal() {
+    const unfinished = this.journal.getUnfinished();
+    if (unfinished.length === 0) {
+      // Nothing to reconcile, but finished records are still dropped so the journal doesn't grow run after run
+      this.compactJournal();
+      return;
+    }
+
+    logger.warn(`Journal has ${unfinished.length} unfinished records from a previous run - reconciling`);
+
+    for (const record of unfinished) {
+      const release = this.locks.acquire(record.recordId);
+      if (!release) {
+        logger.info(`Leaving ${record.title} (${record.recordId}) to the instance processing it`);
+        continue;
+      }
+
+      try {
+        // Entries written before accounts existed belong to the default account
+        const universe = this.accounts.get(record.account || 'default');
+        await this.resolveIntents(record);
+
+        const created = this.journal.getCreatedEvents(record.recordId);
+        const createdCount = created.filter(Boolean).length;
+
+        if (createdCount < (record.total || 1)) {
+          if (createdCount > 0) {
+            logger.info(`${record.title}: ${createdCount}/${record.total} events already created - the rest will be created when the row is processed`);
+          }
+          continue;
+        }
+
+        // Publish anything that was created but never published
+        if (record.publish) {
+          for (const [index, occurrence] of this.journal.getRecord(record.recordId).occurrences) {
+            if (occurrence.published || occurrence.event?.state === 'POSTED') continue;
+            await universe.publishEvent(occurrence.event.id);
+            this.journal.recordPublished(record.recordId, index);
+          }
+        }
+
+        await this.writeBackCreated(record.recordId, record.title, created);
+      } catch (error) {
+        logger.error(`Failed to reconcile ${record.title} (${record.recordId}):`, error.message);
+      } finally {
+        release();
+      }
+    }
+
+    const remaining = this.compactJournal();
+    if (remaining > 0) {
+      logger.warn(`${remaining} journal records still need attention`);
+    }
+  }
+
+  // Other processes append to the journal while they hold a row lock, so it is only rewritten
+  // while none does; otherwise compaction waits for a later run. Returns the unfinished count
+  compactJournal() {
+    const release = this.locks.acquireJournal();
+    if (!release) {
+      logger.debug('Journal not compacted: another instance is processing rows');
+      return this.journal.getUnfinished().length;
+    }
+
+    try {
+      return this.journal.compact();
+    } finally {
+      release();
+    }
   }
 }
 
-// Run the bulk creator
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const creator = new BulkEventCreator();
-  creator.run().catch(console.error);
+// Rows whose events were all removed by the delete command
+function isDeleted(event) {
+  return Boolean(event.universeState) && String(event.universeState).split(',').every(state => state.trim() === 'DELETED');
 }
 
-export default BulkEventCreator;
\ No newline at end of file
+// What a library caller may build and inject (see the constructor options)
+export { UniverseAccounts, ValidatorService, createEventSource };
+export { default as UniverseService } from './services/universe.js';
+
+export default BulkEventCreator;
@@ -0,0 +1,249 @@
+import path from 'path';
+import ora from 'ora';
+import chalk from 'chalk';
+import { LIFECYCLE_ACTIONS } from './index.js';
+import { EVENT_SCHEMA } from './utils/schema.js';
+import { formatValue } from './services/sync.js';
+
+// Console output for the CLI: headers, spinners, tables and summaries, all driven by a
+// BulkEventCreator's progress events (see index.js for the events and their payloads).
+// Row-level events only show up where the command lists rows, e.g. validate.
+
+const HEADERS = {
+  create: '🚀 Universe Bulk Event Creator',
+  'retry-errors': '🚀 Universe Bulk Event Creator',
+  validate: '🔍 Universe Bulk Event Validation',
+  status: '📋 Universe Bulk Event Status',
+  templates: '🧩 Universe Bulk Event Templates',
+  sync: '🔄 Universe Bulk Event Sync',
+  verify: '🔎 Universe Bulk Event Verification',
+  ...Object.fromEntries(Object.entries(LIFECYCLE_ACTIONS).map(([action, spec]) => [action, `${spec.icon} Universe Bulk Event ${spec.title}`]))
+};
+
+const NOTICE_COLORS = { info: chalk.blue, warn: chalk.yellow, error: chalk.red };
+
+export class ConsoleReporter {
+  constructor() {
+    this.command = null;
+    this.source = null;
+    this.spinner = null;
+    this.problems = [];
+  }
+
+  // Subscribe to a creator; returns a function that unsubscribes
+  attach(creator) {
+    const handlers = {
+      start: payload => this.onStart(payload),
+      stage: payload => this.onStage(payload),
+      notice: payload => this.onNotice(payload),
+      validated: payload => this.onValidated(payload),
+      verified: payload => this.onVerified(payload),
+      failed: payload => this.onFailed(payload),
+      done: payload => this.onDone(payload)
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => creator.on(event, handler));
+    return () => Object.entries(handlers).forEach(([event, handler]) => creator.off(event, handler));
+  }
+
+  onStart({ command, dryRun, source }) {
+    this.command = command;
+    this.source = source;
+    this.problems = [];
+
+    console.log(chalk.bold.blue(`\n${HEADERS[command] || command}\n`));
+    if (dryRun && (command === 'create' || command === 'retry-errors')) {
+      console.log(chalk.yellow(`🧪 Dry run: nothing will be sent to Universe or written to ${source}\n`));
+    }
+    if (dryRun && command === 'sync') {
+      console.log(chalk.yellow(`🧪 Dry run: changes will be listed but not sent to Universe or ${source}\n`));
+    }
+  }
+
+  onStage({ stage, status, message, ...details }) {
+    if (status === 'start') {
+      if (stage === 'process') {
+        console.log(chalk.blue(`\n📦 Processing ${details.total} events (up to ${details.concurrency} at a time)...\n`));
+      }
+      this.spinner = ora(message).start();
+      return;
+    }
+    if (status === 'update') {
+      if (this.spinner) this.spinner.text = message;
+      return;
+    }
+
+    this.spinner?.succeed(message);
+    this.spinner = null;
+
+    if (stage === 'process') {
+      console.log(chalk.bold.green(`\n✅ Processing complete!`));
+      console.log(chalk.green(`   Success: ${details.created} events created`));
+      if (details.failed > 0) {
+        console.log(chalk.red(`   Errors: ${details.failed} events failed`));
+      }
+      if (details.skipped > 0) {
+        console.log(chalk.yellow(`   Skipped: ${details.skipped} events (locked by another instance or stopping)`));
+      }
+    }
+    if (stage === 'verify') {
+      for (const entry of this.problems) {
+        console.log(chalk.red(`   • ${entry.title} (${entry.recordId}): ${entry.status}`));
+        entry.mismatches.forEach(mismatch => console.log(chalk.red(`       ${mismatch}`)));
+      }
+      this.problems = [];
+    }
+    if (stage === 'orphans' && details.orphans.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  ${details.orphans.length} Universe events have no row in ${this.source}:`));
+      details.orphans.forEach(event => console.log(chalk.yellow(`   • ${event.title} (${event.id}, ${event.state}, account ${event.account}) ${event.url}`)));
+    }
+  }
+
+  onNotice({ level, message, items }) {
+    const color = NOTICE_COLORS[level] || NOTICE_COLORS.info;
+    if (!items) {
+      console.log(color(message));
+      return;
+    }
+
+    console.log(color(`\n⚠️  ${message}`));
+    items.forEach(item => console.log(color(`   • ${item}`)));
+    console.log('');
+  }
+
+  onValidated({ recordId, title, errors, warnings, inherited }) {
+    if (this.command !== 'validate') return;
+
+    const mark = errors.length > 0 ? chalk.red('✖') : chalk.green('✔');
+    console.log(`${mark} ${title || '(untitled)'} ${chalk.gray(`(${recordId})`)}`);
+    errors.forEach(error => console.log(chalk.red(`     error: ${error}`)));
+    warnings.forEach(warning => console.log(chalk.yellow(`     warning: ${warning}`)));
+    Object.entries(inherited).forEach(([template, fields]) => console.log(chalk.gray(`     from template "${template}": ${fields.join(', ')}`)));
+  }
+
+  onVerified(entry) {
+    if (entry.status !== 'ok') this.problems.push(entry);
+  }
+
+  onFailed({ title, action, error }) {
+    if (LIFECYCLE_ACTIONS[action] && action === this.command) {
+      console.log(chalk.red(`   • ${title}: ${error}`));
+    }
+  }
+
+  onDone({ command, result }) {
+    if (result.error) {
+      this.spinner?.fail();
+      this.spinner = null;
+      console.log(chalk.red(`\n❌ Error: ${result.error}`));
+    } else if (LIFECYCLE_ACTIONS[command]) {
+      this.printLifecycle(LIFECYCLE_ACTIONS[command], result);
+    } else if (command === 'create' || command === 'retry-errors') {
+      this.printRun(result);
+    } else if (command === 'validate') {
+      console.log(chalk.bold(`\n${result.valid} valid, ${result.invalid} invalid, ${result.warnings} warnings`));
+    } else if (command === 'status') {
+      this.printStatus(result);
+    } else if (command === 'templates') {
+      this.printTemplates(result);
+    } else if (command === 'sync') {
+      console.log(chalk.bold.green(`\n✅ Sync complete!`));
+      console.log(chalk.green(`   Updated: ${result.updated} events${result.dryRun ? ' (dry run)' : ''}`));
+      if (result.failed > 0) {
+        console.log(chalk.red(`   Errors: ${result.failed} events failed to sync`));
+      }
+    }
+
+    if ((command === 'create' || command === 'retry-errors') && result.report) {
+      console.log(chalk.bold(`\n📄 Run report: ${path.join(result.report, 'report.html')}`));
+    }
+    this.command = null;
+  }
+
+  printRun(result) {
+    if (result.payloads) {
+      console.table(result.payloads.map(({ title, account, start, end, slots, venue, rates, images, publish, fallbacks }) => ({
+        title,
+        account,
+        start: start || '-',
+        end: end || '-',
+        slots,
+        venue: venue || '-',
+        rates,
+        images,
+        publish,
+        fallbacks: fallbacks.length
+      })));
+
+      const flagged = result.payloads.filter(payload => payload.fallbacks.length > 0);
+      if (flagged.length > 0) {
+        console.log(chalk.yellow(`\n⚠️  ${flagged.length} events rely on fallback values:`));
+        flagged.forEach(payload => console.log(chalk.yellow(`   • ${payload.title}: ${payload.fallbacks.join('; ')}`)));
+      }
+      console.log(chalk.bold.green(`\n✅ Dry run complete! Payloads written to ${result.dryRunFile}`));
+    }
+
+    // Only worth a table once rows go to more than the default account
+    const names = Object.keys(result.accounts || {});
+    if (names.length > 1 || (names.length === 1 && names[0] !== 'default')) {
+      console.log(chalk.bold('\nBy Universe account'));
+      console.table(names.map(account => ({ account, ...result.accounts[account] })));
+    }
+  }
+
+  printLifecycle(spec, result) {
+    console.log(chalk.bold.green(`\n✅ ${spec.title} complete!`));
+    console.log(chalk.green(`   ${spec.done}: ${result.changed} events${result.dryRun ? ' (dry run)' : ''}`));
+    console.log(chalk.gray(`   Already ${spec.done.toLowerCase()}: ${result.skipped} events`));
+    if (result.failed > 0) {
+      console.log(chalk.red(`   Errors: ${result.failed} events failed`));
+    }
+  }
+
+  printStatus(result) {
+    console.log(chalk.bold(`${this.source}: ${result.total} events`));
+    console.table(Object.entries(result.statuses).map(([status, count]) => ({ status, count })));
+
+    if (Object.keys(result.errorCategories).length > 0) {
+      console.log(chalk.bold('Errors by category'));
+      console.table(Object.entries(result.errorCategories).map(([category, count]) => ({ category, count })));
+    }
+  }
+
+  printTemplates(result) {
+    console.log(chalk.bold(`${result.templates.length} templates in ${result.templateSource}`));
+    if (result.templates.length > 0) {
+      console.table(result.templates.map(template => ({
+        template: template.name,
+        extends: template.extends.join(', ') || '-',
+        fields: template.fields.map(field => EVENT_SCHEMA[field].label).join(', '),
+        rows: template.rows
+      })));
+    }
+
+    if (result.unknown.length > 0) {
+      console.log(chalk.yellow(`⚠️  ${result.unknown.length} rows name templates that don't exist:`));
+      result.unknown.forEach(row => console.log(chalk.yellow(`   • ${row.title || row.recordId}: ${row.templates.join(', ')}`)));
+    }
+
+    if (!result.preview) return;
+
+    console.log(chalk.bold(`\nPreview of "${result.previewTemplate}" across ${result.preview.length} rows\n`));
+    for (const row of result.preview) {
+      const mark = row.errors.length > 0 || row.error ? chalk.red('✖') : chalk.green('✔');
+      console.log(`${mark} ${row.title || '(untitled)'} ${chalk.gray(`(${row.recordId}, ${row.status})`)}`);
+      Object.entries(row.inherited).forEach(([field, value]) => {
+        console.log(chalk.gray(`     ${EVENT_SCHEMA[field].label}: ${formatValue(value)} (${row.inheritedFrom[field]})`));
+      });
+      row.errors.forEach(error => console.log(chalk.red(`     error: ${error}`)));
+      if (row.error) console.log(chalk.red(`     could not compare with Universe: ${row.error}`));
+      if (row.changes) {
+        const changes = row.changes.length > 0 ? row.changes : ['no changes'];
+        changes.forEach(change => console.log(chalk.blue(`     sync: ${change}`)));
+      }
+    }
+
+    const created = result.preview.filter(row => row.changes?.length > 0).length;
+    console.log(chalk.bold(`\n${result.preview.length} rows use "${result.previewTemplate}": ${result.invalid} invalid, ${created} created events would change on the next sync`));
+  }
+}
@@ -0,0 +1,241 @@
+import http from 'http';
+import crypto from 'crypto';
+import { TRIGGER_ACTIONS } from './index.js';
+import { logger, createRunId } from './utils/logger.js';
+
+// HTTP trigger server: lets an Airtable automation or button field create, publish, sync or
+// validate one row right away.
+//
+//   POST /records/<recordId>/<action>    automations and other services
+//   GET  /records/<recordId>/<action>    button fields (opened in the browser)
+//   GET  /health                         liveness check, no authentication
+//
+// Requests authenticate with the shared TRIGGER_SECRET in one of three ways:
+//   - Authorization: Bearer <secret>
+//   - X-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<METHOD>.<path>.<body>">
+//     plus X-Timestamp: <unix seconds>, at most SIGNATURE_TOLERANCE old
+//   - ?token=<secret> in the URL, for button fields that can't set headers
+
+const SIGNATURE_TOLERANCE = 5 * 60 * 1000;
+const MAX_BODY_BYTES = 16 * 1024;
+
+const ROUTE = /^\/records\/([^/]+)\/([a-z]+)\/?$/;
+
+export class TriggerServer {
+  constructor(creator, options = {}) {
+    this.creator = creator;
+    this.secret = options.secret ?? process.env.TRIGGER_SECRET;
+    this.port = options.port ?? (parseInt(process.env.TRIGGER_PORT) || 8787);
+    this.host = options.host ?? (process.env.TRIGGER_HOST || '127.0.0.1');
+    this.queue = new RecordQueue(options.concurrency ?? (parseInt(process.env.TRIGGER_CONCURRENCY) || 2));
+    this.server = null;
+
+    if (!this.secret || this.secret.length < 16) {
+      throw new Error('TRIGGER_SECRET must be set to at least 16 characters to run the trigger server');
+    }
+  }
+
+  // Resolves once the server is listening
+  async listen() {
+    // Creates an earlier process left unfinished are settled before their rows can be triggered
+    await this.creator.reconcileJournal();
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        logger.error('Trigger request failed:', error.message);
+        this.send(req, res, 500, { ok: false, error: 'Internal error' });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        logger.info(`Trigger server listening on http://${this.host}:${this.port}`);
+        resolve(this);
+      });
+    });
+  }
+
+  // Stop accepting requests and wait for the queued ones to finish
+  async close() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    await this.queue.drain();
+    this.server = null;
+    logger.info('Trigger server stopped');
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/health') {
+      return this.send(req, res, 200, { ok: true, queued: this.queue.size });
+    }
+
+    const route = url.pathname.match(ROUTE);
+    if (!route || !['GET', 'POST'].includes(req.method)) {
+      return this.send(req, res, 404, { ok: false, error: 'Not found' });
+    }
+
+    const body = await readBody(req);
+    if (body === null) {
+      return this.send(req, res, 413, { ok: false, error: 'Request body too large' });
+    }
+
+    if (!this.isAuthorized(req, url, body)) {
+      logger.warn(`Rejected unauthenticated ${req.method} ${url.pathname} from ${req.socket.remoteAddress}`);
+      return this.send(req, res, 401, { ok: false, error: 'Missing or invalid credentials' });
+    }
+
+    const [, encodedId, action] = route;
+    const recordId = decodeURIComponent(encodedId);
+    if (!TRIGGER_ACTIONS[action]) {
+      return this.send(req, res, 404, { ok: false, action, recordId, error: `Unknown action "${action}"` });
+    }
+
+    // Requests for the same row run one after another, so a double click can't create twice
+    const runId = createRunId();
+    const result = await this.queue.run(recordId, () => logger.withContext({ runId, recordId }, async () => {
+      logger.info(`Trigger: ${action} ${recordId}`);
+      const outcome = await this.creator.triggerRecord(action, recordId);
+      logger.info(`Trigger: ${action} ${recordId} finished with ${outcome.status}`, outcome);
+      return outcome;
+    }));
+
+    const { status, ...payload } = result;
+    return this.send(req, res, status, { ...payload, runId });
+  }
+
+  isAuthorized(req, url, body) {
+    const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+    if (bearer) return safeEqual(bearer, this.secret);
+
+    const signature = req.headers['x-signature']?.replace(/^sha256=/, '');
+    if (signature) {
+      const timestamp = Number(req.headers['x-timestamp']);
+      if (!timestamp || Math.abs(Date.now() - timestamp * 1000) > SIGNATURE_TOLERANCE) return false;
+      return safeEqual(signature, signRequest(this.secret, timestamp, req.method, url.pathname, body));
+    }
+
+    const token = url.searchParams.get('token');
+    return token ? safeEqual(token, this.secret) : false;
+  }
+
+  // JSON for scripts; a short page for people who clicked a button field
+  send(req, res, status, payload) {
+    if (res.headersSent) return;
+
+    if (req.method === 'GET' && /text\/html/.test(req.headers.accept || '')) {
+      res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(renderPage(payload));
+      return;
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+// The X-Signature value for a request, for callers written in JavaScript
+export function signRequest(secret, timestamp, method, pathname, body = '') {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${method}.${pathname}.${body}`).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Resolves to the raw body, or null when it is over MAX_BODY_BYTES
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        resolve(null);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function renderPage(payload) {
+  const escape = value => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const heading = payload.ok ? `${payload.action} succeeded` : `${payload.action || 'Request'} failed`;
+  const links = (payload.universeUrl || '').split(', ').filter(Boolean)
+    .map(url => `<p><a href="${escape(url)}">${escape(url)}</a></p>`).join('');
+  const problems = [payload.error, ...(payload.errors || [])].filter(Boolean)
+    .map(problem => `<li>${escape(problem)}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${escape(heading)}</title></head>
+<body style="font-family: sans-serif; margin: 2rem">
+<h1>${escape(heading)}</h1>
+<p>${escape(payload.title || payload.recordId || '')}</p>
+${links}${problems ? `<ul style="color: #cf222e">${problems}</ul>` : ''}
+</body></html>
+`;
+}
+
+// Runs tasks with at most `concurrency` at once, and never two for the same key at once
+class RecordQueue {
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+    this.tails = new Map();
+    this.size = 0;
+  }
+
+  run(key, task) {
+    this.size++;
+    const previous = this.tails.get(key) || Promise.resolve();
+    const current = previous.then(() => this.acquire()).then(async () => {
+      try {
+        return await task();
+      } finally {
+        this.release();
+      }
+    });
+
+    const tail = current.catch(() => {}).finally(() => {
+      this.size--;
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    });
+    this.tails.set(key, tail);
+    return current;
+  }
+
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  // Resolves once every queued task has finished
+  async drain() {
+    while (this.tails.size > 0) {
+      await Promise.all(this.tails.values());
+    }
+  }
+}
@@ -0,0 +1,97 @@
+import UniverseService from './universe.js';
+import { ImageCache } from '../utils/images.js';
+import { isBlank } from '../utils/schema.js';
+
+// Named Universe credential sets, each with its own token and rate limit:
+//   UNIVERSE_CLIENT_ID, UNIVERSE_CLIENT_SECRET, UNIVERSE_HOST_ID           the "default" account
+//   UNIVERSE_ACCOUNT_<NAME>_CLIENT_ID, _CLIENT_SECRET, _HOST_ID, _RATE_LIMIT  one set per promoter
+// Every account talks to UNIVERSE_BASE_URL.
+// A row picks an account by name in its `account` column (any case; spaces and dashes match
+// underscores). Rows without one use UNIVERSE_DEFAULT_ACCOUNT, or the default account.
+
+export const DEFAULT_ACCOUNT = 'default';
+
+const ACCOUNT_CLIENT_ID = /^UNIVERSE_ACCOUNT_(\w+?)_CLIENT_ID$/;
+
+export class UniverseAccounts {
+  // `options.service` replaces the default account's service, e.g. a client injected by a
+  // library caller; named accounts still come from `env`
+  constructor(env = process.env, options = {}) {
+    // Uploaded images belong to the account that uploaded them, but the cache file is shared
+    const imageCache = new ImageCache();
+
+    this.services = new Map();
+    this.services.set(DEFAULT_ACCOUNT, options.service || new UniverseService({ imageCache }));
+
+    for (const variable of Object.keys(env)) {
+      const prefix = variable.match(ACCOUNT_CLIENT_ID)?.[1];
+      if (!prefix) continue;
+
+      const name = prefix.toLowerCase();
+      this.services.set(name, new UniverseService({
+        account: name,
+        clientId: env[variable],
+        clientSecret: env[`UNIVERSE_ACCOUNT_${prefix}_CLIENT_SECRET`],
+        hostId: env[`UNIVERSE_ACCOUNT_${prefix}_HOST_ID`],
+        ratePerSecond: parseFloat(env[`UNIVERSE_ACCOUNT_${prefix}_RATE_LIMIT`]) || undefined,
+        imageCache
+      }));
+    }
+
+    this.defaultAccount = isBlank(env.UNIVERSE_DEFAULT_ACCOUNT) ? DEFAULT_ACCOUNT : accountKey(env.UNIVERSE_DEFAULT_ACCOUNT);
+  }
+
+  // Accounts with credentials, default first
+  get names() {
+    return [...this.services.values()].filter(service => service.clientId).map(service => service.account);
+  }
+
+  // Every account's service, configured or not, for watching rate limits
+  all() {
+    return [...this.services.values()];
+  }
+
+  // The account name a row uses, whether or not it is configured
+  resolve(event) {
+    return isBlank(event.account) ? this.defaultAccount : accountKey(event.account);
+  }
+
+  // Why a row's account can't be used, or null. Without any named accounts a row may leave it
+  // empty and rely on the default credentials, as before accounts existed.
+  check(event) {
+    const name = this.resolve(event);
+    const service = this.services.get(name);
+
+    if (!service) {
+      const known = this.names.join(', ') || 'none';
+      return isBlank(event.account)
+        ? `UNIVERSE_DEFAULT_ACCOUNT "${name}" is not configured (accounts: ${known})`
+        : `Universe account "${event.account}" is not configured (accounts: ${known})`;
+    }
+    if (name === DEFAULT_ACCOUNT && !service.clientId && this.services.size > 1) {
+      return 'No Universe account set and no default credentials (set the account column, UNIVERSE_DEFAULT_ACCOUNT or UNIVERSE_CLIENT_ID)';
+    }
+    if (name !== DEFAULT_ACCOUNT && !service.clientSecret) {
+      return `Universe account "${name}" has no client secret (set UNIVERSE_ACCOUNT_${name.toUpperCase()}_CLIENT_SECRET)`;
+    }
+    return null;
+  }
+
+  // The service for an account name; unknown names throw, they should have failed validation
+  get(name) {
+    const service = this.services.get(accountKey(name || this.defaultAccount));
+    if (!service) {
+      throw new Error(`Universe account "${name}" is not configured`);
+    }
+    return service;
+  }
+
+  forEvent(event) {
+    return this.get(this.resolve(event));
+  }
+}
+
+// "Promoter A", "promoter-a" and "PROMOTER_A" are the same account
+function accountKey(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_');
+}
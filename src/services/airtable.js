@@ -1,32 +1,220 @@
 import Airtable from 'airtable';
+import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import ColumnMapping, { OPTIONAL_STATUS_FIELDS } from '../utils/mapping.js';
+import { buildErrorFields } from '../utils/errors.js';
+import { RateLimiter } from '../utils/scheduler.js';
+import { isFormula, parseFilter } from '../sources/selection.js';
 
 class AirtableService {
-  constructor() {
-    this.base = new Airtable({ apiKey: process.env.AIRTABLE_API_KEY })
+  constructor(options = {}) {
+    // AIRTABLE_ENDPOINT_URL points the SDK and the metadata API at a stand-in (see test/mocks/airtable.js)
+    this.endpointUrl = (process.env.AIRTABLE_ENDPOINT_URL || 'https://api.airtable.com').replace(/\/+$/, '');
+    // 429s are handled by the shared limiter rather than the SDK's own retry loop
+    this.base = new Airtable({ apiKey: process.env.AIRTABLE_API_KEY, endpointUrl: this.endpointUrl, noRetryIfRateLimited: true })
       .base(process.env.AIRTABLE_BASE_ID);
     this.table = this.base(process.env.AIRTABLE_TABLE_NAME);
+    this.label = 'Airtable';
+    this.mapping = options.mapping || new ColumnMapping();
+    this.missingColumns = new Set();
+    this.ratesTable = process.env.AIRTABLE_RATES_TABLE
+      ? this.base(process.env.AIRTABLE_RATES_TABLE)
+      : null;
+    this.templatesTable = process.env.AIRTABLE_TEMPLATES_TABLE
+      ? this.base(process.env.AIRTABLE_TEMPLATES_TABLE)
+      : null;
+    // Airtable allows 5 requests per second per base and asks for a 30 second pause after a 429
+    this.limiter = new RateLimiter('Airtable', {
+      ratePerSecond: parseFloat(process.env.AIRTABLE_RATE_LIMIT) || 5,
+      rateLimitPause: 30000
+    });
   }
 
-  async getUnprocessedEvents() {
+  async getUnprocessedEvents(selection = {}) {
+    return this.findEvents(
+      `AND(${this.field('status')} != ${this.option('status', 'Created')}, ${this.field('status')} != ${this.option('status', 'Error')}, ${this.field('title')} != '')`,
+      selection,
+      'unprocessed events'
+    );
+  }
+
+  async getEventsToSync(selection = {}) {
+    return this.findEvents(
+      `AND(${this.field('status')} = ${this.option('status', 'Created')}, ${this.field('universeEventId')} != '')`,
+      selection,
+      'created events'
+    );
+  }
+
+  async getErrorEvents(selection = {}) {
+    return this.findEvents(`${this.field('status')} = ${this.option('status', 'Error')}`, selection, 'events with errors');
+  }
+
+  async getEvents(selection = {}) {
+    return this.findEvents(null, selection, 'events');
+  }
+
+  // Fetch rows matching `formula` plus the record selection (ids, view, limit, filters)
+  async findEvents(formula, selection, description) {
+    const { ids = [], view, limit, filters = [] } = selection;
+
+    const conditions = [formula, ...filters.map(filter => this.filterFormula(filter))].filter(Boolean);
+    if (ids.length > 0) {
+      conditions.push(`OR(${ids.map(id => `RECORD_ID() = '${id.replace(/'/g, "\\'")}'`).join(', ')})`);
+    }
+
+    const params = {};
+    if (conditions.length > 0) {
+      params.filterByFormula = conditions.length === 1 ? conditions[0] : `AND(${conditions.join(', ')})`;
+    }
+    if (view) params.view = view;
+    if (limit) params.maxRecords = limit;
+
     try {
-      const records = await this.table.select({
-        filterByFormula: "AND({status} != 'Created', {status} != 'Error', {title} != '')"
-      }).all();
+      const records = await this.limiter.schedule(() => this.table.select(params).all(), 'select');
+
+      const events = records.map(record => this.toEvent(record));
 
-      const events = records.map(record => ({
-        airtableId: record.id,
-        ...record.fields
-      }));
+      await this.resolveLinkedRates(events);
 
-      logger.info(`Found ${events.length} unprocessed events in Airtable`);
+      logger.info(`Found ${events.length} ${description} in Airtable`);
       return events;
     } catch (error) {
-      logger.error('Failed to fetch events from Airtable:', error.message);
+      logger.error(`Failed to fetch ${description} from Airtable:`, error.message);
+      throw error;
+    }
+  }
+
+  // "field=value" filters use the column mapping; raw formulas are passed through
+  filterFormula(filter) {
+    if (isFormula(filter)) return filter;
+
+    const { field, operator, value } = parseFilter(filter);
+    return `${this.field(field)} ${operator} ${this.option(field, value)}`;
+  }
+
+  toEvent(record) {
+    return {
+      recordId: record.id,
+      ...this.mapping.toInternal(record.fields)
+    };
+  }
+
+  // Formula reference to the mapped column for an internal field
+  field(name) {
+    return `{${this.mapping.column(name)}}`;
+  }
+
+  // Formula string literal for the mapped select option of an internal value
+  option(name, value) {
+    return `'${String(this.mapping.value(name, value)).replace(/'/g, "\\'")}'`;
+  }
+
+  // Column names of the events table, from the metadata API when the token allows it,
+  // otherwise from a sample of records (Airtable omits empty fields, so this can miss some)
+  async getColumns() {
+    try {
+      const response = await this.limiter.schedule(() => axios.get(`${this.endpointUrl}/v0/meta/bases/${process.env.AIRTABLE_BASE_ID}/tables`, {
+        headers: { Authorization: `Bearer ${process.env.AIRTABLE_API_KEY}` }
+      }), 'tables');
+      const table = response.data.tables.find(t =>
+        t.name === process.env.AIRTABLE_TABLE_NAME || t.id === process.env.AIRTABLE_TABLE_NAME
+      );
+      if (table) return table.fields.map(f => f.name);
+    } catch (error) {
+      logger.warn('Airtable metadata API unavailable, checking columns from sample records:', error.message);
+    }
+
+    const records = await this.limiter.schedule(() => this.table.select({ maxRecords: 100 }).all(), 'select');
+    return [...new Set(records.flatMap(record => Object.keys(record.fields)))];
+  }
+
+  async checkMapping() {
+    return this.mapping.check(await this.getColumns());
+  }
+
+  // Optional status columns may be missing from a base. Airtable names the unknown column,
+  // so it is dropped (with a warning) and the rest of the update is written.
+  async updateRecord(recordId, updateData) {
+    let fields = this.mapping.toSource(updateData);
+
+    for (;;) {
+      try {
+        await this.limiter.schedule(() => this.table.update(recordId, fields), 'update');
+        return;
+      } catch (error) {
+        const column = error.error === 'UNKNOWN_FIELD_NAME' ? error.message.match(/"(.+?)"/)?.[1] : null;
+        const field = column && this.mapping.internalField(column);
+        if (!column || !(column in fields) || !OPTIONAL_STATUS_FIELDS.includes(field)) throw error;
+
+        if (!this.missingColumns.has(column)) {
+          this.missingColumns.add(column);
+          logger.warn(`Airtable has no "${column}" column - add it to keep ${field} on each row`);
+        }
+
+        const { [column]: _skipped, ...rest } = fields;
+        fields = rest;
+        if (Object.keys(fields).length === 0) return;
+      }
+    }
+  }
+
+  // Templates table rows as { id, name, extends, fields } (see utils/templates.js). The "Name" and
+  // "Extends" columns identify a template; the others use the events table's column names.
+  async getTemplates() {
+    if (!this.templatesTable) return [];
+
+    try {
+      const records = await this.limiter.schedule(() => this.templatesTable.select().all(), 'select templates');
+      const templates = records
+        .map(record => {
+          const { Name: name, Extends: parents, ...columns } = record.fields;
+          // The title only names the template in rate warnings; templates never set it
+          const fields = { ...this.mapping.toInternal(columns), title: `template ${name}` };
+          return { id: record.id, name, extends: parents, fields };
+        })
+        .filter(template => template.name);
+
+      await this.resolveLinkedRates(templates.map(template => template.fields));
+
+      logger.info(`Found ${templates.length} templates in Airtable`);
+      return templates;
+    } catch (error) {
+      logger.error('Failed to fetch templates from Airtable:', error.message);
       throw error;
     }
   }
 
+  // Replace linked "Rates" record IDs with the rate records themselves
+  async resolveLinkedRates(events) {
+    if (!this.ratesTable) return events;
+
+    const isLinked = value => Array.isArray(value) && value.every(id => typeof id === 'string');
+    const rateIds = [...new Set(events.flatMap(event => isLinked(event.rates) ? event.rates : []))];
+    if (rateIds.length === 0) return events;
+
+    const ratesById = new Map();
+    for (let i = 0; i < rateIds.length; i += 50) {
+      const chunk = rateIds.slice(i, i + 50);
+      const formula = `OR(${chunk.map(id => `RECORD_ID() = '${id}'`).join(', ')})`;
+      const records = await this.limiter.schedule(() => this.ratesTable.select({ filterByFormula: formula }).all(), 'select rates');
+      records.forEach(record => ratesById.set(record.id, { ...record.fields }));
+    }
+
+    for (const event of events) {
+      if (!isLinked(event.rates)) continue;
+
+      const missing = event.rates.filter(id => !ratesById.has(id));
+      if (missing.length > 0) {
+        logger.warn(`Linked rates not found for ${event.title}: ${missing.join(', ')}`);
+      }
+      event.rates = event.rates.filter(id => ratesById.has(id)).map(id => ratesById.get(id));
+    }
+
+    logger.info(`Resolved ${ratesById.size} linked rates from Airtable`);
+    return events;
+  }
+
   async updateEventStatus(recordId, status, universeEventId = null, errorMessage = null, clientMutationId = null) {
     try {
       const updateData = {
@@ -46,7 +234,7 @@ class AirtableService {
         updateData.clientMutationId = clientMutationId;
       }
 
-      await this.table.update(recordId, updateData);
+      await this.updateRecord(recordId, updateData);
       logger.info(`Updated Airtable record ${recordId} with status: ${status}`);
     } catch (error) {
       logger.error(`Failed to update Airtable record ${recordId}:`, error.message);
@@ -54,36 +242,48 @@ class AirtableService {
     }
   }
 
-  async markAsCreated(recordId, universeEventId, universeUrl, clientMutationId = null) {
+  async markAsCreated(recordId, universeEventId, universeUrl, clientMutationId = null, extraFields = {}) {
     try {
       const updateData = {
         status: 'Created',
         universeEventId,
         universeUrl,
         createdAt: new Date().toISOString().split('T')[0],
-        lastUpdated: new Date().toISOString().split('T')[0]
+        lastUpdated: new Date().toISOString().split('T')[0],
+        ...extraFields
       };
 
       if (clientMutationId) {
         updateData.clientMutationId = clientMutationId;
       }
 
-      await this.table.update(recordId, updateData);
+      await this.updateRecord(recordId, updateData);
     } catch (error) {
       logger.error(`Failed to mark record ${recordId} as created:`, error.message);
       throw error;
     }
   }
 
-  async markAsError(recordId, errorMessage) {
+  async markAsSynced(recordId, syncHash) {
     try {
-      await this.table.update(recordId, {
-        status: 'Error',
-        errorMessage: errorMessage.substring(0, 1000), // Limit error message length
+      await this.updateRecord(recordId, {
+        lastSyncedAt: new Date().toISOString(),
+        lastSyncHash: syncHash,
         lastUpdated: new Date().toISOString().split('T')[0]
       });
+    } catch (error) {
+      logger.error(`Failed to mark record ${recordId} as synced:`, error.message);
+      throw error;
+    }
+  }
+
+  async markAsError(recordId, errorMessage, details = {}) {
+    try {
+      await this.updateRecord(recordId, buildErrorFields(errorMessage, details));
+      return true;
     } catch (error) {
       logger.error(`Failed to mark record ${recordId} as error:`, error.message);
+      return false;
     }
   }
 }
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+
+// Event attributes compared one-to-one against getEventDetails
+const SCALAR_FIELDS = [
+  'title',
+  'descriptionHtml',
+  'address',
+  'latitude',
+  'longitude',
+  'venueName',
+  'privacy',
+  'virtual',
+  'region',
+  'allowWaitlist',
+  'socialButtons',
+  'hiddenDate',
+  'timedEntry',
+  'maxQuantity',
+  'transactionCurrency'
+];
+
+// Rate attributes returned by getEventDetails; anything else is sent whenever the row changed
+const RATE_FIELDS = ['name', 'price', 'capacity', 'description', 'state'];
+
+// Enum-like values Universe may return in a different case than we send
+const CASE_INSENSITIVE_FIELDS = ['privacy', 'state'];
+
+class SyncService {
+  // Hash of the payload(s) a row would produce, ignoring per-request values
+  hashPayload(inputs) {
+    const comparable = inputs.map(({ clientMutationId, publish, ...rest }) => rest);
+    return crypto.createHash('sha256').update(stableStringify(comparable)).digest('hex');
+  }
+
+  // Build the eventUpdate attributes needed to bring `details` in line with `input`
+  buildUpdate(details, input) {
+    const desired = input.event;
+    const attributes = {};
+    const changes = [];
+    const warnings = [];
+
+    for (const field of SCALAR_FIELDS) {
+      if (!(field in desired)) continue;
+
+      const current = details[field];
+      if (current === undefined || !isSameValue(current, desired[field], field)) {
+        attributes[field] = desired[field];
+        changes.push(`${field}: ${formatValue(current)} -> ${formatValue(desired[field])}`);
+      }
+    }
+
+    // Fields Universe doesn't return are always sent so they can't drift silently
+    for (const field of Object.keys(desired)) {
+      if (SCALAR_FIELDS.includes(field) || ['category', 'timeSlots', 'rates'].includes(field)) continue;
+      attributes[field] = desired[field];
+    }
+
+    if (desired.category?.id && details.category?.id !== desired.category.id) {
+      attributes.category = desired.category;
+      changes.push(`category: ${formatValue(details.category?.id)} -> ${desired.category.id}`);
+    }
+
+    const timeSlots = this.diffTimeSlots(details.timeSlots?.nodes || [], desired.timeSlots, changes, warnings);
+    if (timeSlots.length > 0) {
+      attributes.timeSlots = timeSlots;
+    }
+
+    const rates = this.diffRates(details.rates?.nodes || [], desired.rates, changes, warnings);
+    if (rates.length > 0) {
+      attributes.rates = rates;
+    }
+
+    return { attributes, changes, warnings };
+  }
+
+  // Slots are matched by position (both sorted by start) so a moved date updates the slot in place
+  diffTimeSlots(currentSlots, desiredSlots, changes, warnings) {
+    const current = [...currentSlots].sort((a, b) => Date.parse(a.startAt) - Date.parse(b.startAt));
+    const desired = [...desiredSlots].sort((a, b) => Date.parse(a.startAt) - Date.parse(b.startAt));
+    const updates = [];
+
+    desired.forEach((slot, index) => {
+      const existing = current[index];
+      if (!existing) {
+        updates.push({ startAt: slot.startAt, endAt: slot.endAt });
+        changes.push(`timeSlot added: ${slot.startAt} - ${slot.endAt}`);
+      } else if (Date.parse(existing.startAt) !== Date.parse(slot.startAt) || Date.parse(existing.endAt) !== Date.parse(slot.endAt)) {
+        updates.push({ id: existing.id, startAt: slot.startAt, endAt: slot.endAt });
+        changes.push(`timeSlot ${existing.id}: ${existing.startAt} - ${existing.endAt} -> ${slot.startAt} - ${slot.endAt}`);
+      }
+    });
+
+    for (const extra of current.slice(desired.length)) {
+      warnings.push(`Time slot ${extra.id} (${extra.startAt}) exists in Universe but not in the row - remove it in Universe if needed`);
+    }
+
+    return updates;
+  }
+
+  // Rates are matched by name (case-insensitive)
+  diffRates(currentRates, desiredRates, changes, warnings) {
+    const byName = new Map(currentRates.map(rate => [String(rate.name).toLowerCase(), rate]));
+    const matched = new Set();
+    const updates = [];
+
+    for (const { attributes } of desiredRates) {
+      const existing = byName.get(String(attributes.name).toLowerCase());
+      if (!existing) {
+        updates.push({ attributes });
+        changes.push(`rate added: ${attributes.name}`);
+        continue;
+      }
+
+      matched.add(existing.id);
+      const changed = RATE_FIELDS.filter(field => field in attributes && !isSameValue(existing[field], attributes[field], field));
+      const unverifiable = Object.keys(attributes).filter(field => !RATE_FIELDS.includes(field));
+
+      if (changed.length > 0 || unverifiable.length > 0) {
+        updates.push({ id: existing.id, attributes });
+        for (const field of changed) {
+          changes.push(`rate ${attributes.name} ${field}: ${formatValue(existing[field])} -> ${formatValue(attributes[field])}`);
+        }
+      }
+    }
+
+    for (const rate of currentRates.filter(rate => !matched.has(rate.id))) {
+      warnings.push(`Rate "${rate.name}" exists in Universe but not in the row - hide or remove it in Universe if needed`);
+    }
+
+    return updates;
+  }
+}
+
+export function isSameValue(current, desired, field) {
+  if (current === desired) return true;
+  if (current === null || current === undefined || desired === null || desired === undefined) {
+    return (current ?? '') === (desired ?? '') || (current ?? false) === (desired ?? false);
+  }
+  if (typeof desired === 'number') return Number(current) === desired;
+  if (typeof desired === 'string' && typeof current === 'string') {
+    return CASE_INSENSITIVE_FIELDS.includes(field)
+      ? current.trim().toLowerCase() === desired.trim().toLowerCase()
+      : current.trim() === desired.trim();
+  }
+  return stableStringify(current) === stableStringify(desired);
+}
+
+export function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export default SyncService;
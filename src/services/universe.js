@@ -1,42 +1,127 @@
+import fs from 'fs';
 import { GraphQLClient, gql } from 'graphql-request';
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
-
+import { parseRates } from '../utils/rates.js';
+import { expandOccurrences, toDateString } from '../utils/recurrence.js';
+import { getEventTimeZone, getSystemTimeZone, resolveLocalTime, resolveDateTime } from '../utils/timezone.js';
+import { RateLimiter } from '../utils/scheduler.js';
+import { ERROR_CATEGORIES, UniverseMutationError } from '../utils/errors.js';
+import { DEFAULT_LATITUDE, DEFAULT_LONGITUDE, DEFAULT_CATEGORY_ID, buildInput, isBlank } from '../utils/schema.js';
+import { renderDescription } from '../utils/description.js';
+import { ImageCache, parseImages, describeImage, checkImage, hashImage, downloadImage, imageError } from '../utils/images.js';
+
+// Where the OAuth, GraphQL, image upload and event page URLs live; point UNIVERSE_BASE_URL at a
+// stand-in such as test/mocks/universe.js to run without touching real events
+const DEFAULT_BASE_URL = 'https://www.universe.com';
+
+// Tokens are renewed this long before they expire, so a request waiting for the rate limit
+// never goes out with one that has just run out
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// One Universe account: its credentials, token and rate limit (see services/accounts.js).
+// Without options it uses the default UNIVERSE_CLIENT_ID / UNIVERSE_CLIENT_SECRET credentials.
 class UniverseService {
-  constructor() {
+  constructor(options = {}) {
+    this.account = options.account || 'default';
+    this.clientId = options.clientId ?? process.env.UNIVERSE_CLIENT_ID;
+    this.clientSecret = options.clientSecret ?? process.env.UNIVERSE_CLIENT_SECRET;
+    this.hostId = options.hostId ?? process.env.UNIVERSE_HOST_ID;
+    this.baseUrl = (options.baseUrl || process.env.UNIVERSE_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.hostChecked = false;
     this.accessToken = null;
     this.tokenExpiration = null;
+    this.tokenRefreshAt = null;
     this.client = null;
+    this.tokenRequest = null;
+    this.limiter = new RateLimiter(this.account === 'default' ? 'Universe' : `Universe ${this.account}`, {
+      ratePerSecond: options.ratePerSecond || parseFloat(process.env.UNIVERSE_RATE_LIMIT) || 5
+    });
+    this.imageCache = options.imageCache || new ImageCache();
+    this.imageUploads = new Map();
+  }
+
+  // Every GraphQL call goes through the shared Universe rate limit, named after its operation
+  request(document, variables) {
+    const operation = String(document).match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || 'graphql';
+    return this.limiter.schedule(() => this.client.request(document, variables), operation);
   }
 
   async getAccessToken() {
-    if (this.accessToken && this.tokenExpiration > Date.now()) {
+    if (this.accessToken && this.tokenRefreshAt > Date.now()) {
       return this.accessToken;
     }
 
+    // Events in flight share a single token request
+    this.tokenRequest = this.tokenRequest || this.requestAccessToken().finally(() => {
+      this.tokenRequest = null;
+    });
+    return this.tokenRequest;
+  }
+
+  async requestAccessToken() {
     try {
-      const response = await axios.post('https://www.universe.com/oauth/token', {
+      const response = await this.limiter.schedule(() => axios.post(`${this.baseUrl}/oauth/token`, {
         grant_type: 'client_credentials',
-        client_id: process.env.UNIVERSE_CLIENT_ID,
-        client_secret: process.env.UNIVERSE_CLIENT_SECRET,
-      });
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+      }), 'OAuthToken');
 
+      const lifetime = response.data.expires_in * 1000;
       this.accessToken = response.data.access_token;
-      this.tokenExpiration = Date.now() + response.data.expires_in * 1000;
+      this.tokenExpiration = Date.now() + lifetime;
+      this.tokenRefreshAt = this.tokenExpiration - Math.min(TOKEN_REFRESH_MARGIN, lifetime / 2);
       
-      this.client = new GraphQLClient('https://www.universe.com/graphql', {
+      this.client = new GraphQLClient(`${this.baseUrl}/graphql`, {
         headers: {
           Authorization: `Bearer ${this.accessToken}`,
           'Content-Type': 'application/json',
         },
       });
 
-      logger.info('Universe access token obtained');
+      if (this.hostId && !this.hostChecked) {
+        await this.checkHost();
+      }
+
+      logger.info(`Universe access token obtained${this.describeAccount()}`);
       return this.accessToken;
     } catch (error) {
-      logger.error('Failed to get Universe access token:', error.response?.data || error.message);
+      this.accessToken = null;
+      logger.error(`Failed to get Universe access token${this.describeAccount()}:`, error.response?.data || error.message);
+      // A refused token request is a credentials problem; 5xx and network failures stay transient
+      if (error.response?.status < 500) {
+        error.category = ERROR_CATEGORIES.AUTH;
+      }
+      // Either way nothing was sent with the token, so a create that needed it never happened
+      if (error.category === ERROR_CATEGORIES.AUTH) {
+        error.rejected = true;
+      }
+      throw error;
+    }
+  }
+
+  // Refuse credentials that belong to another host than the one configured, so events never
+  // end up under the wrong promoter
+  async checkHost() {
+    const query = gql`
+      query Viewer {
+        viewer {
+          id
+        }
+      }
+    `;
+
+    const { viewer } = await this.request(query);
+    if (String(viewer?.id) !== String(this.hostId)) {
+      const error = new Error(`Universe credentials${this.describeAccount()} belong to host ${viewer?.id}, not the configured host ${this.hostId}`);
+      error.category = ERROR_CATEGORIES.AUTH;
       throw error;
     }
+    this.hostChecked = true;
+  }
+
+  describeAccount() {
+    return this.account === 'default' ? '' : ` for account ${this.account}`;
   }
 
   async createEvent(eventData) {
@@ -82,12 +167,16 @@ class UniverseService {
 
     try {
       const input = this.transformToEventCreateInput(eventData);
-      logger.info(`Creating event: ${eventData.title} (ClientMutationId: ${input.clientMutationId})`);
+      logger.setContext({ correlationId: input.clientMutationId });
+      Object.assign(input.event, await this.uploadEventImages(eventData));
+      const [firstSlot] = input.event.timeSlots;
+      const startsAt = firstSlot ? `, starts ${firstSlot.startAt} ${getEventTimeZone(eventData)}` : '';
+      logger.info(`Creating event: ${eventData.title} (ClientMutationId: ${input.clientMutationId}${startsAt})`);
       
-      const result = await this.client.request(mutation, { input });
+      const result = await this.request(mutation, { input });
       
-      if (result.eventCreate.errors && result.eventCreate.errors.length > 0) {
-        throw new Error(`Universe API errors: ${result.eventCreate.errors.join(', ')}`);
+      if (hasErrors(result.eventCreate.errors)) {
+        throw new UniverseMutationError('Universe API errors', result.eventCreate.errors);
       }
 
       const event = result.eventCreate.event;
@@ -104,6 +193,87 @@ class UniverseService {
     }
   }
 
+  // Upload a row's cover and additional images; resolves to their EventCreateInput fields
+  async uploadEventImages(eventData) {
+    const [cover] = parseImages(eventData.coverImage);
+    const additional = parseImages(eventData.additionalImages);
+    const fields = {};
+
+    try {
+      if (cover) {
+        fields.coverImageId = (await this.uploadImage(cover, 'coverImage')).id;
+      }
+      if (additional.length > 0) {
+        const uploaded = await Promise.all(additional.map(image => this.uploadImage(image, 'additionalImages')));
+        fields.additionalImageIds = uploaded.map(image => image.id);
+      }
+    } catch (error) {
+      // The event itself was never sent, so there is nothing to look for in Universe
+      error.rejected = true;
+      throw error;
+    }
+
+    return fields;
+  }
+
+  // Upload one image unless the same bytes were uploaded before (this run or an earlier one)
+  async uploadImage(ref, field) {
+    const buffer = await this.loadImage(ref, field);
+    const hash = hashImage(buffer);
+
+    // Other accounts can't use the default account's uploads, nor each other's
+    const cacheKey = this.account === 'default' ? hash : `${this.account}:${hash}`;
+    const cached = this.imageCache.get(cacheKey);
+    if (cached) {
+      logger.info(`Image ${ref.filename} already uploaded (${cached.id})`);
+      return cached;
+    }
+
+    // Rows sharing a photo in the same run wait for a single upload
+    if (!this.imageUploads.has(hash)) {
+      this.imageUploads.set(hash, this.sendImage(ref, field, buffer, cacheKey).finally(() => {
+        this.imageUploads.delete(hash);
+      }));
+    }
+    return this.imageUploads.get(hash);
+  }
+
+  async loadImage(ref, field) {
+    if (ref.path) {
+      return fs.promises.readFile(ref.path);
+    }
+    return downloadImage(ref, field);
+  }
+
+  async sendImage(ref, field, buffer, cacheKey) {
+    // Remote images are only fully checked now that their bytes are here
+    const image = describeImage(ref, buffer);
+    const problems = checkImage(image, field);
+    if (problems.length > 0) {
+      throw imageError(field, problems.join('; '));
+    }
+
+    await this.getAccessToken();
+
+    const form = new FormData();
+    form.append('image', new Blob([buffer], { type: image.type }), image.filename);
+
+    try {
+      logger.info(`Uploading image ${image.filename} (${image.width}x${image.height}, ${Math.round(image.size / 1024)} KB)`);
+      const response = await this.limiter.schedule(() => axios.post(`${this.baseUrl}/api/v2/images`, form, {
+        headers: { Authorization: `Bearer ${this.accessToken}` }
+      }), 'ImageUpload');
+
+      const uploaded = response.data.image || response.data;
+      const entry = { id: uploaded.id, url: uploaded.url, filename: image.filename };
+      this.imageCache.set(cacheKey, entry);
+      return entry;
+    } catch (error) {
+      logger.error(`Failed to upload image ${image.filename}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   generateClientMutationId(operation, identifier = null) {
     const timestamp = Date.now();
     const random = Math.random().toString(36).substring(2, 8);
@@ -112,145 +282,106 @@ class UniverseService {
   }
 
   transformToEventCreateInput(airtableData) {
-    // Build the minimal event structure matching the network payload examples
+    // Scalar fields come from the shared event schema (utils/schema.js)
+    const { publish, event } = buildInput(airtableData);
     const eventInput = {
-      clientMutationId: this.generateClientMutationId('event-create', airtableData.airtableId),
-      publish: airtableData.publish === true,
+      clientMutationId: this.generateClientMutationId('event-create', airtableData.recordId),
+      publish,
       event: {
-        title: airtableData.title,
-        descriptionHtml: this.formatDescription(airtableData.description),
-        address: airtableData.address,
-        latitude: airtableData.latitude ? parseFloat(airtableData.latitude) : 43.653226,
-        longitude: airtableData.longitude ? parseFloat(airtableData.longitude) : -79.3831843,
-        category: {
-          id: airtableData.categoryId || '52cc8f6154c5317943000003'
-        },
+        ...event,
         timeSlots: [],
         rates: []
       }
     };
 
-    // Add time slots with exact format from network payload
-    if (airtableData.startDate && airtableData.startTime && airtableData.endDate && airtableData.endTime) {
-      const startDateTime = this.combineDateAndTime(airtableData.startDate, airtableData.startTime);
-      const endDateTime = this.combineDateAndTime(airtableData.endDate, airtableData.endTime);
-      
+    // Add time slots with exact format from network payload (one per occurrence for recurring rows),
+    // resolved in the event's own timezone
+    const timeZone = getEventTimeZone(airtableData);
+    for (const occurrence of expandOccurrences(airtableData)) {
       eventInput.event.timeSlots.push({
-        startAt: startDateTime,
-        endAt: endDateTime
+        startAt: this.combineDateAndTime(occurrence.startDate, occurrence.startTime, timeZone),
+        endAt: this.combineDateAndTime(occurrence.endDate, occurrence.endTime, timeZone)
       });
     }
 
     // Add ticket rates with attributes wrapper (required by Universe API)
-    if (airtableData.rateName && airtableData.ratePrice) {
+    for (const rate of parseRates(airtableData)) {
       eventInput.event.rates.push({
-        attributes: {
-          name: airtableData.rateName,
-          price: parseFloat(airtableData.ratePrice), // Keep as dollars, not cents
-          capacity: airtableData.rateCapacity ? parseInt(airtableData.rateCapacity) : null,
-          description: airtableData.rateDescription || '',
-          state: 'ACTIVE'
-        }
+        attributes: this.transformRate(rate, timeZone)
       });
     }
 
-    // Add privacy field with correct mapping
-    if (airtableData.privacy) {
-      // Map Airtable values to Universe values
-      let privacyValue = airtableData.privacy.toLowerCase();
-      if (privacyValue === 'private') {
-        privacyValue = 'unlisted'; // Map "private" to "unlisted"
-      }
-      eventInput.event.privacy = privacyValue;
-    }
-
-    if (airtableData.virtual === true) {
-      eventInput.event.virtual = true;
-    }
+    return eventInput;
+  }
 
-    if (airtableData.venueName) {
-      eventInput.event.venueName = airtableData.venueName;
-    }
+  transformRate(rate, timeZone) {
+    const attributes = {
+      name: rate.name,
+      price: rate.price, // Keep as dollars, not cents
+      capacity: rate.capacity !== null ? parseInt(rate.capacity) : null,
+      description: rate.description,
+      state: rate.hidden ? 'HIDDEN' : 'ACTIVE'
+    };
 
-    if (airtableData.region) {
-      eventInput.event.region = airtableData.region;
+    if (rate.saleStart) {
+      attributes.startAt = resolveDateTime(rate.saleStart, timeZone).iso;
     }
 
-    if (airtableData.allowWaitlist === true) {
-      eventInput.event.allowWaitlist = true;
+    if (rate.saleEnd) {
+      attributes.endAt = resolveDateTime(rate.saleEnd, timeZone).iso;
     }
 
-    if (airtableData.socialButtons === true) {
-      eventInput.event.socialButtons = true;
+    if (rate.minPerOrder !== null) {
+      attributes.minQuantity = parseInt(rate.minPerOrder);
     }
 
-    if (airtableData.hiddenDate === true) {
-      eventInput.event.hiddenDate = true;
+    if (rate.maxPerOrder !== null) {
+      attributes.maxQuantity = parseInt(rate.maxPerOrder);
     }
 
-    if (airtableData.timedEntry === true) {
-      eventInput.event.timedEntry = true;
-    }
+    return attributes;
+  }
 
-    if (airtableData.maxQuantity) {
-      eventInput.event.maxQuantity = parseInt(airtableData.maxQuantity);
-    }
+  // List the silent defaults transformToEventCreateInput would apply to this row
+  getPayloadFallbacks(airtableData) {
+    const fallbacks = [];
 
-    if (airtableData.transactionCurrency) {
-      eventInput.event.transactionCurrency = airtableData.transactionCurrency;
+    if (isBlank(airtableData.latitude) || isBlank(airtableData.longitude)) {
+      fallbacks.push(`Missing latitude/longitude - defaults to Toronto (${DEFAULT_LATITUDE}, ${DEFAULT_LONGITUDE})`);
     }
 
-    if (airtableData.availableCountries) {
-      eventInput.event.availableCountries = airtableData.availableCountries.split(',').map(c => c.trim());
+    if (isBlank(airtableData.categoryId)) {
+      fallbacks.push(`Missing categoryId - defaults to ${DEFAULT_CATEGORY_ID}`);
     }
 
-    // countryCode is not supported in Event_EventCreate - removed
-
-    // Analytics fields
-    if (airtableData.tiktokPixelCodes) {
-      eventInput.event.tiktokPixelCodes = airtableData.tiktokPixelCodes.split(',').map(c => c.trim());
+    if (!(airtableData.startDate && airtableData.startTime && airtableData.endDate && airtableData.endTime)) {
+      fallbacks.push('Incomplete start/end date or time - no time slot will be sent');
     }
 
-    if (airtableData.facebookPixelCodes) {
-      eventInput.event.facebookPixelCodes = airtableData.facebookPixelCodes.split(',').map(c => c.trim());
+    if (!airtableData.timezone) {
+      fallbacks.push(`Missing timezone - times resolved in this machine's zone (${getSystemTimeZone()})`);
     }
 
-    if (airtableData.googleAnalytics4Id) {
-      eventInput.event.googleAnalytics4Id = airtableData.googleAnalytics4Id;
+    if (parseRates(airtableData).length === 0) {
+      fallbacks.push('No rates defined - no ticket rate will be sent');
     }
 
-    return eventInput;
+    return fallbacks;
   }
 
   formatDescription(description) {
-    if (!description) return '';
-    
-    // Simple HTML formatting - convert line breaks to <p> tags
-    return description
-      .split('\n\n')
-      .map(paragraph => paragraph.trim())
-      .filter(paragraph => paragraph.length > 0)
-      .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
-      .join('');
+    return renderDescription(description);
   }
 
-  combineDateAndTime(date, time) {
-    // Combine date (YYYY-MM-DD) with time (HH:MM) to create ISO datetime
-    let dateStr;
-    
-    if (typeof date === 'string') {
-      // If date is already a string, use it directly
-      dateStr = date.split('T')[0]; // Take only date part if datetime string
-    } else {
-      // If date is a Date object, format it
-      dateStr = new Date(date).toISOString().split('T')[0];
-    }
-    
+  combineDateAndTime(date, time, timeZone = getSystemTimeZone()) {
+    // Combine date (YYYY-MM-DD) with time (HH:MM) in the given IANA zone
+    const dateStr = toDateString(date);
+
     // Ensure time is in HH:MM format
     const timeStr = time.padStart(5, '0'); // Pad to ensure HH:MM format
-    
-    // Return in ISO format like "2025-07-31T01:00:00"
-    return `${dateStr}T${timeStr}:00`;
+
+    // Return in ISO format with the zone's offset like "2025-07-31T01:00:00-04:00"
+    return resolveLocalTime(dateStr, timeStr, timeZone).iso;
   }
 
   formatDateTime(dateTime) {
@@ -264,8 +395,6 @@ class UniverseService {
   }
 
   async publishEvent(eventId) {
-    await this.getAccessToken();
-
     const mutation = gql`
       mutation EventPublish($input: EventPublishInput!) {
         eventPublish(input: $input) {
@@ -280,24 +409,112 @@ class UniverseService {
       }
     `;
 
+    return this.changeEventState(mutation, 'eventPublish', 'publish', eventId);
+  }
+
+  // Take a published event back to draft
+  async unpublishEvent(eventId) {
+    const mutation = gql`
+      mutation EventUnpublish($input: EventUnpublishInput!) {
+        eventUnpublish(input: $input) {
+          clientMutationId
+          errors
+          event {
+            id
+            state
+          }
+        }
+      }
+    `;
+
+    return this.changeEventState(mutation, 'eventUnpublish', 'unpublish', eventId);
+  }
+
+  async cancelEvent(eventId) {
+    const mutation = gql`
+      mutation EventCancel($input: EventCancelInput!) {
+        eventCancel(input: $input) {
+          clientMutationId
+          errors
+          event {
+            id
+            state
+          }
+        }
+      }
+    `;
+
+    return this.changeEventState(mutation, 'eventCancel', 'cancel', eventId);
+  }
+
+  // Universe refuses to delete events it can't (e.g. with orders); the caller also checks sold tickets first
+  async deleteEvent(eventId) {
+    const mutation = gql`
+      mutation EventDelete($input: EventDeleteInput!) {
+        eventDelete(input: $input) {
+          clientMutationId
+          errors
+        }
+      }
+    `;
+
+    const result = await this.changeEventState(mutation, 'eventDelete', 'delete', eventId);
+    return { ...result, id: eventId, state: 'DELETED' };
+  }
+
+  // Shared by the lifecycle mutations: same input shape, same error handling
+  async changeEventState(mutation, payloadName, action, eventId) {
+    await this.getAccessToken();
+
+    const verb = action.charAt(0).toUpperCase() + action.slice(1);
+
     try {
       const input = {
-        clientMutationId: this.generateClientMutationId('event-publish', eventId),
+        clientMutationId: this.generateClientMutationId(`event-${action}`, eventId),
         id: eventId
       };
 
-      logger.info(`Publishing event: ${eventId} (ClientMutationId: ${input.clientMutationId})`);
-      const result = await this.client.request(mutation, { input });
+      logger.setContext({ correlationId: input.clientMutationId });
+      logger.info(`${verb} event: ${eventId} (ClientMutationId: ${input.clientMutationId})`);
+      const result = await this.request(mutation, { input });
+      const payload = result[payloadName];
+
+      if (hasErrors(payload.errors)) {
+        throw new UniverseMutationError(`${verb} errors`, payload.errors);
+      }
 
-      if (result.eventPublish.errors && result.eventPublish.errors.length > 0) {
-        throw new Error(`Publish errors: ${result.eventPublish.errors.join(', ')}`);
+      logger.info(`${verb} done: ${eventId} (MutationId: ${payload.clientMutationId})`);
+      return { ...payload.event, clientMutationId: payload.clientMutationId };
+    } catch (error) {
+      logger.error(`Failed to ${action} event ${eventId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Tickets sold across all of an event's rates; events with sales are never deleted
+  async getSoldTicketCount(eventId) {
+    await this.getAccessToken();
+
+    const query = gql`
+      query EventSales($eventId: ID!) {
+        event(id: $eventId) {
+          id
+          rates {
+            nodes {
+              id
+              soldCount
+            }
+          }
+        }
       }
+    `;
 
-      const returnedMutationId = result.eventPublish.clientMutationId;
-      logger.info(`Event published: ${eventId} (MutationId: ${returnedMutationId})`);
-      return { ...result.eventPublish.event, clientMutationId: returnedMutationId };
+    try {
+      const result = await this.request(query, { eventId });
+      if (!result.event) return 0;
+      return result.event.rates.nodes.reduce((total, rate) => total + (rate.soldCount || 0), 0);
     } catch (error) {
-      logger.error(`Failed to publish event ${eventId}:`, error.message);
+      logger.error(`Failed to get ticket sales for ${eventId}:`, error.message);
       throw error;
     }
   }
@@ -326,11 +543,12 @@ class UniverseService {
         attributes: updateData
       };
 
+      logger.setContext({ correlationId: input.clientMutationId });
       logger.info(`Updating event: ${eventId} (ClientMutationId: ${input.clientMutationId})`);
-      const result = await this.client.request(mutation, { input });
+      const result = await this.request(mutation, { input });
 
-      if (result.eventUpdate.errors && result.eventUpdate.errors.length > 0) {
-        throw new Error(`Update errors: ${result.eventUpdate.errors.join(', ')}`);
+      if (hasErrors(result.eventUpdate.errors)) {
+        throw new UniverseMutationError('Update errors', result.eventUpdate.errors);
       }
 
       const returnedMutationId = result.eventUpdate.clientMutationId;
@@ -358,6 +576,17 @@ class UniverseService {
           address
           latitude
           longitude
+          descriptionHtml
+          region
+          allowWaitlist
+          socialButtons
+          hiddenDate
+          timedEntry
+          maxQuantity
+          transactionCurrency
+          category {
+            id
+          }
           timeSlots {
             nodes {
               id
@@ -374,6 +603,7 @@ class UniverseService {
               displayPrice
               state
               capacity
+              description
             }
           }
         }
@@ -381,7 +611,7 @@ class UniverseService {
     `;
 
     try {
-      const result = await this.client.request(query, { eventId });
+      const result = await this.request(query, { eventId });
       return result.event;
     } catch (error) {
       logger.error(`Failed to get event details for ${eventId}:`, error.message);
@@ -389,10 +619,83 @@ class UniverseService {
     }
   }
 
+  // Look for an event we may have created without hearing back (e.g. the process died mid-request)
+  async findHostedEvent(title, startAt = null) {
+    try {
+      const limit = 50;
+      for (let offset = 0; ; offset += limit) {
+        const { nodes, totalCount } = await this.getHostedEventsPage(limit, offset);
+
+        const match = nodes.find(event =>
+          event.title === title &&
+          (!startAt || event.timeSlots.nodes.some(slot => Date.parse(slot.startAt) === Date.parse(startAt)))
+        );
+        if (match) return match;
+
+        if (nodes.length < limit || offset + limit >= totalCount) return null;
+      }
+    } catch (error) {
+      logger.error(`Failed to search hosted events for ${title}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Every event hosted by this account
+  async listHostedEvents() {
+    const events = [];
+
+    try {
+      const limit = 50;
+      for (let offset = 0; ; offset += limit) {
+        const { nodes, totalCount } = await this.getHostedEventsPage(limit, offset);
+        events.push(...nodes);
+
+        if (nodes.length < limit || offset + limit >= totalCount) return events;
+      }
+    } catch (error) {
+      logger.error('Failed to list hosted events:', error.message);
+      throw error;
+    }
+  }
+
+  async getHostedEventsPage(limit, offset) {
+    await this.getAccessToken();
+
+    const query = gql`
+      query HostedEvents($limit: Int!, $offset: Int!) {
+        viewer {
+          hostedEvents(limit: $limit, offset: $offset) {
+            totalCount
+            nodes {
+              id
+              title
+              slug
+              state
+              timeSlots {
+                nodes {
+                  startAt
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.request(query, { limit, offset });
+    return result.viewer.hostedEvents;
+  }
+
   // Helper method to get event URL
   getEventUrl(eventSlug) {
-    return `https://www.universe.com/${eventSlug}`;
+    return `${this.baseUrl}/${eventSlug}`;
   }
 }
 
-export default UniverseService;
\ No newline at end of file
+// Mutation payloads report problems as a list or a { field: [messages] } map
+function hasErrors(errors) {
+  if (!errors) return false;
+  return Array.isArray(errors) ? errors.length > 0 : Object.keys(errors).length > 0;
+}
+
+export default UniverseService;
@@ -1,44 +1,78 @@
 import { logger } from '../utils/logger.js';
+import { parseRates, isSaleDate } from '../utils/rates.js';
+import { RECURRENCE_MODES, isRecurring, getRecurrenceMode, parseRecurrence, expandOccurrences, toDateString } from '../utils/recurrence.js';
+import { getEventTimeZone, getSystemTimeZone, isValidTimeZone, resolveLocalTime, resolveDateTime } from '../utils/timezone.js';
+import { EVENT_SCHEMA, SCHEMA_FIELDS, REQUIRED_FIELDS, UNMAPPED_FIELDS, IMAGE_FIELDS, DEFAULT_LATITUDE, DEFAULT_LONGITUDE, DEFAULT_CATEGORY_ID, checkField, isBlank } from '../utils/schema.js';
+import { parseImages, inspectImage, checkImage } from '../utils/images.js';
+import { MAX_DESCRIPTION_LENGTH, renderDescription, descriptionText } from '../utils/description.js';
 
 class ValidatorService {
+  // `accounts` (services/accounts.js) lets rows be checked against the configured Universe accounts
+  constructor(options = {}) {
+    this.maxTimeSlots = parseInt(process.env.MAX_TIME_SLOTS) || 100;
+    this.accounts = options.accounts || null;
+  }
+
   validateEvent(eventData) {
     const errors = [];
     const warnings = [];
 
-    // Required fields
-    if (!eventData.title?.trim()) {
-      errors.push('Title is required');
-    }
+    // Templates the row names but that couldn't be applied; their fields are missing below
+    errors.push(...(eventData.templateErrors || []));
 
-    if (!eventData.startDate) {
-      errors.push('Start date is required');
+    // Required fields and per-field rules from the shared event schema
+    for (const field of REQUIRED_FIELDS) {
+      if (isBlank(eventData[field])) {
+        errors.push(`${EVENT_SCHEMA[field].label} is required`);
+      }
     }
 
-    if (!eventData.startTime) {
-      errors.push('Start time is required');
-    }
+    for (const field of SCHEMA_FIELDS) {
+      const checked = checkField(field, eventData[field]);
+      if (!checked) continue;
+
+      // A bad inherited value is fixed in the template, not the row
+      const template = eventData.templateFields?.[field];
+      const problem = template ? `${checked} (from template "${template}")` : checked;
 
-    if (!eventData.endDate) {
-      errors.push('End date is required');
+      // Empty list entries are dropped when sending, so they only warn
+      if (EVENT_SCHEMA[field].type === 'list') {
+        warnings.push(problem);
+      } else {
+        errors.push(problem);
+      }
     }
 
-    if (!eventData.endTime) {
-      errors.push('End time is required');
+    for (const field of UNMAPPED_FIELDS) {
+      if (!isBlank(eventData[field])) {
+        warnings.push(`${EVENT_SCHEMA[field].label} (${field}) is validated but not sent to Universe`);
+      }
     }
 
-    if (!eventData.address?.trim()) {
-      errors.push('Address is required');
+    // An unknown account would only fail once its token is requested
+    const accountProblem = this.accounts?.check(eventData);
+    if (accountProblem) {
+      const template = eventData.templateFields?.account;
+      errors.push(template ? `${accountProblem} (from template "${template}")` : accountProblem);
     }
 
-    if (!eventData.venueName?.trim()) {
-      errors.push('Venue name is required');
+    // Universe needs somewhere to put the event; the payload builder falls back rather than fail
+    if (isBlank(eventData.latitude) || isBlank(eventData.longitude)) {
+      warnings.push(`No latitude/longitude - the event is placed at the default location in Toronto (${DEFAULT_LATITUDE}, ${DEFAULT_LONGITUDE})`);
+    }
+    if (isBlank(eventData.categoryId)) {
+      warnings.push(`No category - the default category (${DEFAULT_CATEGORY_ID}) is used`);
     }
 
-    if (!eventData.cityName?.trim()) {
-      errors.push('City name is required');
+    // Timezone validation
+    const timeZoneValid = !eventData.timezone || isValidTimeZone(eventData.timezone);
+    if (!timeZoneValid) {
+      errors.push(`Timezone "${eventData.timezone}" is not a valid IANA timezone (e.g., America/Toronto)`);
+    } else if (!eventData.timezone) {
+      warnings.push(`No timezone set - times are interpreted in this machine's zone (${getSystemTimeZone()})`);
     }
 
-    // Date and time validation
+    // Date and time validation, resolved in the event's own timezone
     if (eventData.startDate && eventData.startTime && eventData.endDate && eventData.endTime) {
       // Validate time format (HH:MM)
       const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
@@ -50,92 +84,254 @@ class ValidatorService {
       if (!timeRegex.test(eventData.endTime)) {
         errors.push('End time must be in HH:MM format (e.g., 22:00)');
       }
+
+      const startDateValid = this.isDate(eventData.startDate);
+      const endDateValid = this.isDate(eventData.endDate);
+
+      if (!startDateValid) {
+        errors.push('Start date must be a valid date (YYYY-MM-DD)');
+      }
+
+      if (!endDateValid) {
+        errors.push('End date must be a valid date (YYYY-MM-DD)');
+      }
       
       // Validate that end datetime is after start datetime (supports multi-day events)
-      if (timeRegex.test(eventData.startTime) && timeRegex.test(eventData.endTime)) {
-        const startDate = new Date(eventData.startDate);
-        const endDate = new Date(eventData.endDate);
-        
-        const [startHour, startMin] = eventData.startTime.split(':').map(Number);
-        const [endHour, endMin] = eventData.endTime.split(':').map(Number);
-        
-        // Create full datetime objects for comparison
-        const startDateTime = new Date(startDate);
-        startDateTime.setHours(startHour, startMin, 0, 0);
-        
-        const endDateTime = new Date(endDate);
-        endDateTime.setHours(endHour, endMin, 0, 0);
+      if (timeRegex.test(eventData.startTime) && timeRegex.test(eventData.endTime) && startDateValid && endDateValid && timeZoneValid) {
+        const timeZone = getEventTimeZone(eventData);
+        const start = resolveLocalTime(toDateString(eventData.startDate), eventData.startTime.padStart(5, '0'), timeZone);
+        const end = resolveLocalTime(toDateString(eventData.endDate), eventData.endTime.padStart(5, '0'), timeZone);
+
+        this.checkDstTransition(start, 'Start', errors, warnings);
+        this.checkDstTransition(end, 'End', errors, warnings);
         
-        if (startDateTime >= endDateTime) {
+        if (start.instant >= end.instant) {
           errors.push('Event end must be after event start (supports multi-day events)');
         }
         
         // Calculate event duration and warn if very long
-        const durationHours = (endDateTime - startDateTime) / (1000 * 60 * 60);
+        const durationHours = (end.instant - start.instant) / (1000 * 60 * 60);
         if (durationHours > 168) { // More than 7 days
           warnings.push('Event duration is longer than 7 days');
         }
-      }
-      
-      // Check if start date is in the past
-      const startDate = new Date(eventData.startDate);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0); // Set to beginning of day for comparison
-      
-      if (startDate < today) {
-        warnings.push('Event start date is in the past');
+
+        // Check if start is in the past, as of now in the event's zone
+        if (start.instant < new Date()) {
+          warnings.push(`Event start is in the past (${start.iso} ${timeZone})`);
+        }
       }
     }
 
+    // Recurrence validation
+    this.validateRecurrence(eventData, errors, warnings);
+
     // Rate validation
-    if (eventData.ratePrice && eventData.ratePrice < 0) {
-      errors.push('Rate price cannot be negative');
+    this.validateRates(eventData, errors, warnings);
+
+    // Image validation
+    this.validateImages(eventData, errors, warnings);
+
+    // Description, as it will look once rendered
+    this.validateDescription(eventData, warnings);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      warnings,
+      inherited: this.describeInherited(eventData)
+    };
+  }
+
+  // Field labels the row inherited, by template: { "Massey Hall": ["Address", "Latitude"] }
+  describeInherited(eventData) {
+    const inherited = {};
+    for (const [field, template] of Object.entries(eventData.templateFields || {})) {
+      (inherited[template] ||= []).push(EVENT_SCHEMA[field].label);
     }
+    return inherited;
+  }
+
+  validateDescription(eventData, warnings) {
+    const removed = [];
+    const html = renderDescription(eventData.description, removed);
 
-    if (eventData.capacity && eventData.capacity < 1) {
-      errors.push('Capacity must be at least 1');
+    if (removed.length > 0) {
+      warnings.push(`Description: unsupported HTML removed (${removed.map(tag => `<${tag}>`).join(', ')})`);
     }
+    if (!descriptionText(html)) {
+      warnings.push(isBlank(eventData.description)
+        ? 'No description - the event page will have no text'
+        : 'Description is empty once rendered');
+    }
+    if (html.length > MAX_DESCRIPTION_LENGTH) {
+      warnings.push(`Description is ${html.length} characters once rendered; Universe may cut it off after ${MAX_DESCRIPTION_LENGTH}`);
+    }
+  }
+
+  // Type, size and dimensions are checked here so a bad image never reaches Universe
+  validateImages(eventData, errors, warnings) {
+    for (const field of IMAGE_FIELDS) {
+      const images = parseImages(eventData[field]);
+      const { label } = EVENT_SCHEMA[field];
+
+      if (field === 'coverImage' && images.length > 1) {
+        warnings.push(`${label} has ${images.length} images - only the first is used`);
+      }
 
-    // Country code validation
-    if (eventData.countryCode && eventData.countryCode.length !== 2) {
-      errors.push('Country code must be 2 characters (e.g., CA, US)');
+      for (const image of images.map(inspectImage)) {
+        const problems = checkImage(image, field);
+        problems.forEach(problem => errors.push(`${label}: ${problem}`));
+
+        if (problems.length === 0 && (!image.type || !image.width)) {
+          warnings.push(`${label}: ${image.filename} can only be checked once it is downloaded for upload`);
+        }
+      }
     }
+  }
 
-    // Date display option validation
-    if (eventData.dateDisplayOption && !['FULL', 'SHORT', 'HIDDEN'].includes(eventData.dateDisplayOption)) {
-      errors.push('Date display option must be FULL, SHORT, or HIDDEN');
+  isDate(value) {
+    const dateStr = toDateString(value);
+    return /^\d{4}-\d{2}-\d{2}$/.test(dateStr) && !isNaN(Date.parse(dateStr));
+  }
+
+  checkDstTransition(resolved, label, errors, warnings) {
+    if (resolved.gap) {
+      errors.push(`${label} time ${resolved.local} does not exist in ${resolved.timeZone} (skipped by a DST change)`);
+    } else if (resolved.ambiguous) {
+      warnings.push(`${label} time ${resolved.local} occurs twice in ${resolved.timeZone} (DST change) - using the first (${resolved.offset})`);
     }
+  }
+
+  validateRecurrence(eventData, errors, warnings) {
+    if (!isRecurring(eventData)) return;
 
-    // Privacy validation
-    if (eventData.privacy && !['PUBLIC', 'PRIVATE', 'UNLISTED', 'public', 'private', 'unlisted'].includes(eventData.privacy)) {
-      errors.push('Privacy must be PUBLIC, PRIVATE, or UNLISTED (case insensitive)');
+    let occurrences;
+    try {
+      parseRecurrence(eventData);
+      occurrences = expandOccurrences(eventData);
+    } catch (error) {
+      errors.push(error.message);
+      return;
     }
 
-    // Analytics fields validation
-    if (eventData.tiktokPixelCodes && typeof eventData.tiktokPixelCodes === 'string') {
-      const codes = eventData.tiktokPixelCodes.split(',').map(c => c.trim());
-      if (codes.some(code => code.length === 0)) {
-        warnings.push('TikTok pixel codes should not contain empty values');
-      }
+    // Missing dates are already reported as required fields
+    if (!(eventData.startDate && eventData.startTime && eventData.endDate && eventData.endTime)) return;
+
+    if (occurrences.length === 0) {
+      errors.push('Recurrence produces no occurrences (check the until date, count and exclusions)');
+      return;
+    }
+
+    const mode = getRecurrenceMode(eventData);
+    if (occurrences.length > this.maxTimeSlots) {
+      const unit = mode === 'EVENTS' ? 'events' : 'time slots';
+      errors.push(`Recurrence produces ${occurrences.length} ${unit} (maximum is ${this.maxTimeSlots})`);
+    }
+
+    if (!RECURRENCE_MODES.includes(mode)) {
+      errors.push(`Recurrence mode must be ${RECURRENCE_MODES.join(' or ')}`);
     }
 
-    if (eventData.facebookPixelCodes && typeof eventData.facebookPixelCodes === 'string') {
-      const codes = eventData.facebookPixelCodes.split(',').map(c => c.trim());
-      if (codes.some(code => code.length === 0)) {
-        warnings.push('Facebook pixel codes should not contain empty values');
+    if (occurrences.length === 1) {
+      warnings.push('Recurrence produces a single occurrence');
+    }
+
+    // The first occurrence is checked with the row's own dates; later ones can cross DST changes
+    if (eventData.timezone && !isValidTimeZone(eventData.timezone)) return;
+    const timeZone = getEventTimeZone(eventData);
+    for (const occurrence of occurrences.slice(1)) {
+      try {
+        this.checkDstTransition(resolveLocalTime(occurrence.startDate, occurrence.startTime.padStart(5, '0'), timeZone), 'Occurrence start', errors, warnings);
+        this.checkDstTransition(resolveLocalTime(occurrence.endDate, occurrence.endTime.padStart(5, '0'), timeZone), 'Occurrence end', errors, warnings);
+      } catch {
+        // Malformed times are already reported by the date and time checks
+        return;
       }
     }
+  }
 
-    return {
-      isValid: errors.length === 0,
-      errors,
-      warnings
-    };
+  validateRates(eventData, errors, warnings) {
+    let rates;
+    try {
+      rates = parseRates(eventData);
+    } catch (error) {
+      errors.push(error.message);
+      return;
+    }
+
+    if (rates.length === 0) {
+      warnings.push('No rates defined - event will be created without tickets');
+      return;
+    }
+
+    const names = new Set();
+
+    const timeZoneValid = !eventData.timezone || isValidTimeZone(eventData.timezone);
+
+    rates.forEach((rate, index) => {
+      const label = `Rate ${index + 1}${rate.name ? ` (${rate.name})` : ''}`;
+
+      if (!rate.name) {
+        errors.push(`${label}: name is required`);
+      } else if (names.has(rate.name.toLowerCase())) {
+        warnings.push(`${label}: duplicate rate name`);
+      } else {
+        names.add(rate.name.toLowerCase());
+      }
+
+      if (rate.price === null) {
+        errors.push(`${label}: price is required`);
+      } else if (typeof rate.price !== 'number') {
+        errors.push(`${label}: price must be a number`);
+      } else if (rate.price < 0) {
+        errors.push(`${label}: price cannot be negative`);
+      }
+
+      if (rate.capacity !== null && (!Number.isInteger(rate.capacity) || rate.capacity < 1)) {
+        errors.push(`${label}: capacity must be a whole number of at least 1`);
+      }
+
+      if (rate.minPerOrder !== null && (!Number.isInteger(rate.minPerOrder) || rate.minPerOrder < 1)) {
+        errors.push(`${label}: min per order must be a whole number of at least 1`);
+      }
+
+      if (rate.maxPerOrder !== null && (!Number.isInteger(rate.maxPerOrder) || rate.maxPerOrder < 1)) {
+        errors.push(`${label}: max per order must be a whole number of at least 1`);
+      }
+
+      if (Number.isInteger(rate.minPerOrder) && Number.isInteger(rate.maxPerOrder) && rate.minPerOrder > rate.maxPerOrder) {
+        errors.push(`${label}: min per order cannot be greater than max per order`);
+      }
+
+      if (Number.isInteger(rate.maxPerOrder) && Number.isInteger(rate.capacity) && rate.maxPerOrder > rate.capacity) {
+        warnings.push(`${label}: max per order is greater than its capacity`);
+      }
+
+      if (rate.saleStart && !isSaleDate(rate.saleStart)) {
+        errors.push(`${label}: sale start must be a date (YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+      }
+
+      if (rate.saleEnd && !isSaleDate(rate.saleEnd)) {
+        errors.push(`${label}: sale end must be a date (YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+      }
+
+      // Sale windows are compared in the event's zone
+      if (rate.saleStart && rate.saleEnd && isSaleDate(rate.saleStart) && isSaleDate(rate.saleEnd) && timeZoneValid) {
+        const timeZone = getEventTimeZone(eventData);
+        if (resolveDateTime(rate.saleStart, timeZone).instant >= resolveDateTime(rate.saleEnd, timeZone).instant) {
+          errors.push(`${label}: sale end must be after sale start`);
+        }
+      }
+    });
+
+    if (rates.every(rate => rate.hidden)) {
+      warnings.push('All rates are hidden - nothing will be on sale');
+    }
   }
 
   validateBatch(events) {
     const results = events.map(event => ({
-      airtableId: event.airtableId,
+      recordId: event.recordId,
       title: event.title,
       validation: this.validateEvent(event)
     }));
@@ -0,0 +1,88 @@
+import { isSameValue, formatValue } from './sync.js';
+
+// Event attributes checked after creation: what a guest sees, and what Universe may silently
+// change (a time slot shifted by a timezone mix-up, a rounded price, a dropped rate)
+const VERIFIED_FIELDS = ['title', 'venueName', 'address', 'privacy', 'maxQuantity'];
+
+const HOUR = 60 * 60 * 1000;
+
+class VerificationService {
+  // Differences between what Universe stored (`details`) and what the row sends (`input`),
+  // as [{ field, expected, actual, note? }]
+  compare(details, input) {
+    const desired = input.event;
+    const mismatches = [];
+
+    for (const field of VERIFIED_FIELDS) {
+      if (!(field in desired)) continue;
+      if (!isSameValue(details[field], desired[field], field)) {
+        mismatches.push({ field, expected: desired[field], actual: details[field] });
+      }
+    }
+
+    if (desired.category?.id && details.category?.id && details.category.id !== desired.category.id) {
+      mismatches.push({ field: 'category', expected: desired.category.id, actual: details.category.id });
+    }
+
+    this.compareTimeSlots(details.timeSlots?.nodes || [], desired.timeSlots || [], mismatches);
+    this.compareRates(details.rates?.nodes || [], desired.rates || [], mismatches);
+
+    return mismatches;
+  }
+
+  compareTimeSlots(currentSlots, desiredSlots, mismatches) {
+    const byStart = (a, b) => Date.parse(a.startAt) - Date.parse(b.startAt);
+    const current = [...currentSlots].sort(byStart);
+    const desired = [...desiredSlots].sort(byStart);
+
+    if (current.length !== desired.length) {
+      mismatches.push({ field: 'timeSlots', expected: `${desired.length} slots`, actual: `${current.length} slots` });
+    }
+
+    desired.forEach((slot, index) => {
+      const stored = current[index];
+      if (!stored) return;
+
+      for (const key of ['startAt', 'endAt']) {
+        const shift = Date.parse(stored[key]) - Date.parse(slot[key]);
+        if (shift === 0) continue;
+
+        // Whole-hour shifts are the signature of a timezone or DST mix-up
+        const note = shift % HOUR === 0 ? `off by ${shift / HOUR}h - check the timezone` : undefined;
+        mismatches.push({ field: `timeSlot ${index + 1} ${key}`, expected: slot[key], actual: stored[key], note });
+      }
+    });
+  }
+
+  // Rates are matched by name, like sync does
+  compareRates(currentRates, desiredRates, mismatches) {
+    const byName = new Map(currentRates.map(rate => [String(rate.name).toLowerCase(), rate]));
+
+    for (const { attributes } of desiredRates) {
+      const stored = byName.get(String(attributes.name).toLowerCase());
+      if (!stored) {
+        mismatches.push({ field: `rate ${attributes.name}`, expected: 'present', actual: 'missing' });
+        continue;
+      }
+      byName.delete(String(attributes.name).toLowerCase());
+
+      for (const field of ['price', 'capacity']) {
+        if (field in attributes && !isSameValue(stored[field], attributes[field], field)) {
+          mismatches.push({ field: `rate ${attributes.name} ${field}`, expected: attributes[field], actual: stored[field] });
+        }
+      }
+    }
+
+    for (const extra of byName.values()) {
+      mismatches.push({ field: `rate ${extra.name}`, expected: 'absent', actual: 'present' });
+    }
+  }
+
+  // One line per mismatch, for the source's verification column and the console
+  describe(mismatch) {
+    const text = `${mismatch.field}: expected ${formatValue(mismatch.expected)}, got ${formatValue(mismatch.actual)}`;
+    return mismatch.note ? `${text} (${mismatch.note})` : text;
+  }
+}
+
+export default VerificationService;
@@ -0,0 +1,84 @@
+import FileEventSource from './file.js';
+
+// CSV files, including Google Sheets "Download as CSV" exports
+class CsvEventSource extends FileEventSource {
+  parse(text) {
+    const [header = [], ...records] = parseCsv(text);
+    const columns = header.map(column => column.trim());
+
+    return records
+      .filter(record => record.some(cell => cell.trim() !== ''))
+      .map(record => Object.fromEntries(columns.map((column, i) => [column, record[i] ?? ''])));
+  }
+
+  serialize(rows) {
+    return formatCsv(rows);
+  }
+}
+
+// Rows -> CSV text; columns in first-seen order across all rows
+export function formatCsv(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(formatCell).join(','));
+  return lines.join('\n') + '\n';
+}
+
+// RFC 4180: quoted cells may contain commas, newlines and doubled quotes
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, ''); // Strip the BOM Excel adds
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default CsvEventSource;
@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import ColumnMapping, { STATUS_FIELDS } from '../utils/mapping.js';
+import { BOOLEAN_FIELDS, IMAGE_FIELDS } from '../utils/schema.js';
+import { resolveImagePaths } from '../utils/images.js';
+import { selectEvents } from './selection.js';
+import { buildErrorFields } from '../utils/errors.js';
+
+// Checkbox columns (BOOLEAN_FIELDS) arrive as text in spreadsheet exports ("TRUE", "yes", "✓")
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', '✓', 'checked'];
+
+// Base class for file-backed event sources. Subclasses implement parse() and serialize().
+// Results are written to a companion "<file>.results.json" (default) or back into the file itself.
+class FileEventSource {
+  constructor(filename, options = {}) {
+    if (!filename) {
+      throw new Error('A source file is required (set SOURCE_FILE or pass --file)');
+    }
+
+    this.filename = filename;
+    this.label = path.basename(filename);
+    this.writeMode = options.writeMode || process.env.SOURCE_WRITE_MODE || 'results';
+    this.resultsFile = options.resultsFile || `${filename}.results.json`;
+    this.mapping = options.mapping || new ColumnMapping();
+
+    if (!['results', 'inplace'].includes(this.writeMode)) {
+      throw new Error(`Unknown SOURCE_WRITE_MODE "${this.writeMode}" (use results or inplace)`);
+    }
+  }
+
+  readRows() {
+    if (!fs.existsSync(this.filename)) {
+      throw new Error(`Source file not found: ${this.filename}`);
+    }
+    return this.parse(fs.readFileSync(this.filename, 'utf8'));
+  }
+
+  readResults() {
+    if (this.writeMode !== 'results' || !fs.existsSync(this.resultsFile)) return {};
+    return JSON.parse(fs.readFileSync(this.resultsFile, 'utf8'));
+  }
+
+  // Rows keyed by an `id` column when present, otherwise (in place only) by their 1-based position
+  getRecordId(row, index) {
+    return row.id ? String(row.id) : `row-${index + 1}`;
+  }
+
+  // Results are matched to rows by record ID. Positions shift when rows are added, removed or
+  // re-sorted, which would hand one row's event to another (a duplicate create, or a sync to the
+  // wrong event), so rows need an id of their own once results live in the companion file
+  checkRecordIds(rows) {
+    const counts = new Map();
+    rows.filter(row => row.id).forEach(row => counts.set(String(row.id), (counts.get(String(row.id)) || 0) + 1));
+    const duplicates = [...counts].filter(([, count]) => count > 1).map(([id]) => id);
+    if (duplicates.length > 0) {
+      throw new Error(`Ids ${listRows(duplicates)} appear more than once in ${this.label}: every row needs an id of its own`);
+    }
+
+    const missing = rows.map((row, index) => (row.id ? null : index + 1)).filter(Boolean);
+    if (this.writeMode === 'results' && missing.length > 0) {
+      throw new Error(`Rows ${listRows(missing)} of ${this.label} have no id. Results are kept in ${path.basename(this.resultsFile)} by row id, so give every row a unique id column, or set SOURCE_WRITE_MODE=inplace to keep results in ${this.label} itself`);
+    }
+  }
+
+  loadEvents() {
+    const results = this.readResults();
+    const rows = this.readRows();
+    this.checkRecordIds(rows);
+
+    return rows.map((row, index) => {
+      const recordId = this.getRecordId(row, index);
+      return {
+        ...this.normalizeRow(this.mapping.toInternal({ ...row, ...results[recordId] })),
+        recordId
+      };
+    });
+  }
+
+  // Match Airtable's shape: empty cells are absent and checkboxes are booleans.
+  // Image paths are made absolute so they don't depend on the working directory.
+  normalizeRow(row) {
+    const fields = {};
+
+    for (const [key, value] of Object.entries(row)) {
+      if (value === '' || value === null || value === undefined) continue;
+
+      if (BOOLEAN_FIELDS.includes(key) && typeof value === 'string') {
+        fields[key] = TRUE_VALUES.includes(value.trim().toLowerCase());
+      } else if (IMAGE_FIELDS.includes(key)) {
+        fields[key] = resolveImagePaths(value, path.dirname(path.resolve(this.filename)));
+      } else {
+        fields[key] = value;
+      }
+    }
+
+    return fields;
+  }
+
+  async checkMapping() {
+    const columns = [...new Set(this.readRows().flatMap(row => Object.keys(row)))];
+    return this.mapping.check(columns, this.writeMode === 'results' ? STATUS_FIELDS : []);
+  }
+
+  async getUnprocessedEvents(selection = {}) {
+    return this.findEvents(
+      event => !['Created', 'Error'].includes(event.status) && event.title,
+      selection,
+      'unprocessed events'
+    );
+  }
+
+  async getEventsToSync(selection = {}) {
+    return this.findEvents(
+      event => event.status === 'Created' && event.universeEventId,
+      selection,
+      'created events'
+    );
+  }
+
+  async getErrorEvents(selection = {}) {
+    return this.findEvents(event => event.status === 'Error', selection, 'events with errors');
+  }
+
+  async getEvents(selection = {}) {
+    return this.findEvents(() => true, selection, 'events');
+  }
+
+  async findEvents(predicate, selection, description) {
+    try {
+      const events = selectEvents(this.loadEvents().filter(predicate), selection, this.label);
+
+      logger.info(`Found ${events.length} ${description} in ${this.label}`);
+      return events;
+    } catch (error) {
+      logger.error(`Failed to read events from ${this.label}:`, error.message);
+      throw error;
+    }
+  }
+
+  async updateRecord(recordId, fields) {
+    const updateData = this.mapping.toSource(fields);
+
+    if (this.writeMode === 'results') {
+      const results = this.readResults();
+      results[recordId] = { ...results[recordId], ...updateData };
+      this.writeAtomic(this.resultsFile, JSON.stringify(results, null, 2));
+      return;
+    }
+
+    const rows = this.readRows();
+    const index = rows.findIndex((row, i) => this.getRecordId(row, i) === recordId);
+    if (index === -1) {
+      throw new Error(`Record ${recordId} not found in ${this.label}`);
+    }
+
+    rows[index] = { ...rows[index], ...updateData };
+    this.writeAtomic(this.filename, this.serialize(rows));
+  }
+
+  writeAtomic(filename, contents) {
+    const tempFile = `${filename}.tmp`;
+    fs.writeFileSync(tempFile, contents);
+    fs.renameSync(tempFile, filename);
+  }
+
+  async markAsCreated(recordId, universeEventId, universeUrl, clientMutationId = null, extraFields = {}) {
+    try {
+      const updateData = {
+        status: 'Created',
+        universeEventId,
+        universeUrl,
+        createdAt: new Date().toISOString().split('T')[0],
+        lastUpdated: new Date().toISOString().split('T')[0],
+        ...extraFields
+      };
+
+      if (clientMutationId) {
+        updateData.clientMutationId = clientMutationId;
+      }
+
+      await this.updateRecord(recordId, updateData);
+    } catch (error) {
+      logger.error(`Failed to mark record ${recordId} as created:`, error.message);
+      throw error;
+    }
+  }
+
+  async markAsSynced(recordId, syncHash) {
+    try {
+      await this.updateRecord(recordId, {
+        lastSyncedAt: new Date().toISOString(),
+        lastSyncHash: syncHash,
+        lastUpdated: new Date().toISOString().split('T')[0]
+      });
+    } catch (error) {
+      logger.error(`Failed to mark record ${recordId} as synced:`, error.message);
+      throw error;
+    }
+  }
+
+  async markAsError(recordId, errorMessage, details = {}) {
+    try {
+      await this.updateRecord(recordId, buildErrorFields(errorMessage, details));
+      return true;
+    } catch (error) {
+      logger.error(`Failed to mark record ${recordId} as error:`, error.message);
+      return false;
+    }
+  }
+}
+
+// "2, 5, 9" - long lists are cut short
+function listRows(items) {
+  return items.length > 10 ? `${items.slice(0, 10).join(', ')} and ${items.length - 10} more` : items.join(', ');
+}
+
+export default FileEventSource;
@@ -0,0 +1,45 @@
+import path from 'path';
+import AirtableService from '../services/airtable.js';
+import CsvEventSource from './csv.js';
+import JsonEventSource from './json.js';
+import ColumnMapping from '../utils/mapping.js';
+
+// Every event source implements the same operations:
+//   getUnprocessedEvents(selection)                          rows waiting to be created
+//   getEventsToSync(selection)                               created rows with a universeEventId
+//   getErrorEvents(selection)                                rows whose last attempt failed
+//   getEvents(selection)                                     every row
+//   markAsCreated(recordId, universeEventId, universeUrl, clientMutationId, extraFields)
+//   markAsError(recordId, errorMessage, details) -> boolean  see buildErrorFields (utils/errors.js); false if the write failed
+//   markAsSynced(recordId, syncHash)
+//   updateRecord(recordId, fields)                           write internal fields back
+//   checkMapping()                                           column mapping problems, if any
+// `selection` narrows any read to specific records (see selection.js).
+// Rows are returned as plain objects with a `recordId` plus the internal fields
+// (see utils/mapping.js), and `label` names the source in console output.
+
+export const SOURCE_TYPES = ['airtable', 'csv', 'json'];
+
+export function createEventSource(options = {}) {
+  const file = options.file || process.env.SOURCE_FILE;
+  const type = (options.type || process.env.EVENT_SOURCE || inferType(file)).toLowerCase();
+  const mapping = options.mapping || ColumnMapping.load(options.mappingFile || process.env.COLUMN_MAPPING_FILE);
+
+  switch (type) {
+    case 'airtable':
+      return new AirtableService({ mapping });
+    case 'csv':
+      return new CsvEventSource(file, { ...options, mapping });
+    case 'json':
+      return new JsonEventSource(file, { ...options, mapping });
+    default:
+      throw new Error(`Unknown event source "${type}" (use ${SOURCE_TYPES.join(', ')})`);
+  }
+}
+
+function inferType(file) {
+  if (!file) return 'airtable';
+
+  const extension = path.extname(file).toLowerCase();
+  return extension === '.json' ? 'json' : 'csv';
+}
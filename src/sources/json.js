@@ -0,0 +1,22 @@
+import FileEventSource from './file.js';
+
+// JSON files holding an array of rows, or { "events": [...] }
+class JsonEventSource extends FileEventSource {
+  parse(text) {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data.events;
+
+    if (!Array.isArray(rows)) {
+      throw new Error(`${this.label} must contain an array of events or an object with an "events" array`);
+    }
+
+    this.document = Array.isArray(data) ? null : data;
+    return rows;
+  }
+
+  serialize(rows) {
+    return JSON.stringify(this.document ? { ...this.document, events: rows } : rows, null, 2) + '\n';
+  }
+}
+
+export default JsonEventSource;
@@ -0,0 +1,50 @@
+import { logger } from '../utils/logger.js';
+
+// Record selection shared by every source:
+//   { ids: ['rec1', 'row-3'], view: 'Spring Series', limit: 10, filters: ['venueName=Massey Hall'] }
+// Filters are "field=value" or "field!=value" on internal field names. Airtable sources also
+// accept a raw formula (anything starting with "{" or containing "("), e.g. "{Capacity} > 100".
+
+export function isFormula(filter) {
+  return filter.trim().startsWith('{') || filter.includes('(');
+}
+
+export function parseFilter(filter) {
+  const match = filter.match(/^\s*([\w.]+)\s*(!=|=)\s*(.*?)\s*$/);
+  if (!match) {
+    throw new Error(`Invalid filter "${filter}" (use field=value or field!=value)`);
+  }
+
+  const [, field, operator, value] = match;
+  return { field, operator, value: value.replace(/^(['"])(.*)\1$/, '$2') };
+}
+
+// Apply a selection to rows already in memory (file sources)
+export function selectEvents(events, selection = {}, label = 'this source') {
+  const { ids = [], view, limit, filters = [] } = selection;
+
+  if (view) {
+    logger.warn(`Views only apply to Airtable - ignoring --view for ${label}`);
+  }
+
+  const conditions = filters.map(filter => {
+    if (isFormula(filter)) {
+      throw new Error(`Formula filters need an Airtable source; use field=value for ${label}`);
+    }
+    return parseFilter(filter);
+  });
+
+  let selected = events.filter(event =>
+    (ids.length === 0 || ids.includes(event.recordId)) &&
+    conditions.every(({ field, operator, value }) => {
+      const matches = String(event[field] ?? '') === value;
+      return operator === '=' ? matches : !matches;
+    })
+  );
+
+  if (limit) {
+    selected = selected.slice(0, limit);
+  }
+
+  return selected;
+}
@@ -1,23 +1,28 @@
 import dotenv from 'dotenv';
-import UniverseService from './services/universe.js';
+import { UniverseAccounts } from './services/accounts.js';
 import { logger } from './utils/logger.js';
 
 dotenv.config();
 
 async function testConnection() {
-  console.log('Testing Universe API connection...');
-  
-  try {
-    const universe = new UniverseService();
-    const token = await universe.getAccessToken();
-    
-    if (token) {
-      logger.success('✅ Universe API connection successful!');
-      console.log('Access token obtained:', token.substring(0, 20) + '...');
+  const accounts = new UniverseAccounts();
+
+  // Every configured account, or the default credentials when none are set
+  for (const name of accounts.names.length > 0 ? accounts.names : ['default']) {
+    const label = name === 'default' ? '' : ` (account ${name})`;
+    console.log(`Testing Universe API connection${label}...`);
+
+    try {
+      const token = await accounts.get(name).getAccessToken();
+
+      if (token) {
+        logger.success(`✅ Universe API connection successful${label}!`);
+        console.log('Access token obtained:', token.substring(0, 20) + '...');
+      }
+    } catch (error) {
+      logger.error(`❌ Universe API connection failed${label}:`, error.message);
     }
-  } catch (error) {
-    logger.error('❌ Universe API connection failed:', error.message);
   }
 }
 
-testConnection();
\ No newline at end of file
+testConnection();
@@ -0,0 +1,309 @@
+// Description rendering: rows hold Markdown (or plain text) or HTML, and Universe gets
+// sanitised HTML. Everything goes through sanitizeHtml, which keeps only ALLOWED_TAGS,
+// escapes stray "<" and "&", and turns bare URLs and email addresses into links.
+
+// Tags kept in descriptionHtml, with the attributes each may carry
+export const ALLOWED_TAGS = {
+  p: [], br: [], hr: [],
+  strong: [], b: [], em: [], i: [], u: [], s: [], code: [],
+  h2: [], h3: [], h4: [],
+  ul: [], ol: [], li: [], blockquote: [],
+  a: ['href', 'title']
+};
+
+// Tags whose content is dropped along with the tag itself
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'select', 'head', 'title', 'svg', 'math'];
+
+// Close enough replacements for tags Universe doesn't take
+const TAG_ALIASES = { div: 'p', h1: 'h2', h5: 'h4', h6: 'h4' };
+
+const VOID_TAGS = ['br', 'hr'];
+
+// Opening one of these ends an open paragraph, as browsers do
+const BLOCK_TAGS = ['p', 'h2', 'h3', 'h4', 'ul', 'ol', 'blockquote', 'hr'];
+
+export const MAX_DESCRIPTION_LENGTH = parseInt(process.env.DESCRIPTION_MAX_LENGTH) || 20000;
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>"'.,;:!?)\]]|\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi;
+const SAFE_HREF = /^(https?:|mailto:|tel:)/i;
+const ENTITY = /^&(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/i;
+
+// Rows containing HTML tags are treated as HTML, everything else as Markdown
+// (tags quoted in `backticks` don't count)
+export function isHtml(text) {
+  return /<\/?[a-z][a-z0-9]*(\s[^<>]*)?\/?>/i.test(text.replace(/`[^`]*`/g, ''));
+}
+
+// Row description -> HTML for descriptionHtml. `removed` collects the tags the sanitiser dropped.
+export function renderDescription(description, removed = []) {
+  if (description === undefined || description === null) return '';
+
+  const text = String(description).replace(/\r\n?/g, '\n').replace(/\u0000/g, '').trim();
+  if (!text) return '';
+
+  if (!isHtml(text)) {
+    return sanitizeHtml(renderMarkdown(text), removed);
+  }
+
+  // HTML without any block tags still gets its blank-line paragraphs
+  const hasBlocks = /<(p|div|br|ul|ol|h[1-6]|blockquote)\b/i.test(text);
+  return sanitizeHtml(hasBlocks ? text : wrapParagraphs(text), removed);
+}
+
+function wrapParagraphs(text) {
+  return text
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph.length > 0)
+    .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+// Visible text of rendered HTML, for length and emptiness checks
+export function descriptionText(html) {
+  return html
+    .replace(/<br>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, '_')
+    .trim();
+}
+
+// Markdown subset: paragraphs (single newlines become <br>), # headings, - and 1. lists,
+// > quotes, --- rules, **bold**, *italic*, `code`, [links](https://...) and bare URLs
+export function renderMarkdown(text) {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let quote = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+    if (quote.length > 0) {
+      blocks.push(`<blockquote><p>${quote.map(renderInline).join('<br>')}</p></blockquote>`);
+      quote = [];
+    }
+  };
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    let match;
+
+    if (!trimmed) {
+      flush();
+    } else if ((match = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/))) {
+      flush();
+      const level = Math.min(match[1].length + 1, 4);
+      blocks.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+    } else if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+      flush();
+      blocks.push('<hr>');
+    } else if ((match = trimmed.match(/^(?:([-*+])|(\d+)[.)])\s+(.*)$/))) {
+      const tag = match[1] ? 'ul' : 'ol';
+      if (paragraph.length > 0 || quote.length > 0 || (list && list.tag !== tag)) flush();
+      list = list || { tag, items: [] };
+      list.items.push(match[3]);
+    } else if ((match = trimmed.match(/^>\s?(.*)$/))) {
+      if (paragraph.length > 0 || list) flush();
+      quote.push(match[1]);
+    } else if (list && /^\s{2,}/.test(line)) {
+      // Indented continuation of the previous list item
+      list.items[list.items.length - 1] += ` ${trimmed}`;
+    } else {
+      if (list || quote.length > 0) flush();
+      paragraph.push(trimmed);
+    }
+  }
+
+  flush();
+  return blocks.join('');
+}
+
+function renderInline(text, { links = true } = {}) {
+  const stash = [];
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let result = text.replace(/`([^`]+)`/g, (_, code) => keep(`<code>${escapeHtml(code)}</code>`));
+
+  if (links) {
+    result = result.replace(/\[([^\]]+)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?\s*\)/g, (_, label, href) => {
+      const inner = renderInline(label, { links: false });
+      return keep(toSafeHref(href) ? linkTag(href, inner) : inner);
+    });
+    // Protect bare URLs from emphasis (underscores, asterisks) before it runs
+    result = result.replace(URL_PATTERN, url => keep(escapeHtml(url)));
+  }
+
+  result = escapeHtml(result)
+    .replace(/\*\*(?!\s)(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(?!\s)(.+?)__/g, '<strong>$1</strong>')
+    .replace(/\*(?!\s)([^*]+?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?!\s)([^_]+?)_(?![\w])/g, '$1<em>$2</em>')
+    .replace(/~~(?!\s)(.+?)~~/g, '<s>$1</s>');
+
+  return result.replace(/\u0000(\d+)\u0000/g, (_, index) => stash[index]);
+}
+
+// Keep allowed tags and attributes, drop the rest (and the content of script-like tags),
+// balance what is left and linkify text outside links
+export function sanitizeHtml(html, removed = []) {
+  const output = [];
+  const open = [];
+  let dropping = null;
+  let dropDepth = 0;
+
+  const noteRemoved = tag => {
+    if (!removed.includes(tag)) removed.push(tag);
+  };
+
+  // A ">" inside a quoted attribute value doesn't end the tag
+  const tokens = html.match(/<!--[\s\S]*?(?:-->|$)|<\/?[a-zA-Z][a-zA-Z0-9]*\b(?:"[^"]*"|'[^']*'|[^'">])*>|[^<]+|</g) || [];
+
+  for (const token of tokens) {
+    if (token.startsWith('<!--')) continue;
+
+    const tagMatch = token.match(/^<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:"[^"]*"|'[^']*'|[^'">])*)>$/);
+
+    if (dropping) {
+      if (tagMatch && tagMatch[2].toLowerCase() === dropping) {
+        dropDepth += tagMatch[1] ? -1 : 1;
+        if (dropDepth === 0) dropping = null;
+      }
+      continue;
+    }
+
+    if (!tagMatch) {
+      output.push(open.includes('a') ? escapeText(token) : linkifyText(token));
+      continue;
+    }
+
+    const [, closing, rawName, rawAttributes] = tagMatch;
+    const original = rawName.toLowerCase();
+    const name = TAG_ALIASES[original] || original;
+
+    if (DROPPED_TAGS.includes(original)) {
+      noteRemoved(original);
+      if (!closing && !rawAttributes.trim().endsWith('/')) {
+        dropping = original;
+        dropDepth = 1;
+      }
+      continue;
+    }
+
+    if (!ALLOWED_TAGS[name]) {
+      noteRemoved(original);
+      continue;
+    }
+
+    if (!closing && BLOCK_TAGS.includes(name) && open.includes('p')) {
+      const index = open.lastIndexOf('p');
+      while (open.length > index) output.push(`</${open.pop()}>`);
+    }
+
+    if (VOID_TAGS.includes(name)) {
+      if (!closing) output.push(`<${name}>`);
+      continue;
+    }
+
+    if (closing) {
+      // Close anything left open inside it; ignore closers with no opener
+      const index = open.lastIndexOf(name);
+      if (index === -1) continue;
+      while (open.length > index) output.push(`</${open.pop()}>`);
+      continue;
+    }
+
+    // Links can't nest
+    if (name === 'a' && open.includes('a')) continue;
+
+    output.push(openTag(name, parseAttributes(rawAttributes)));
+    open.push(name);
+  }
+
+  while (open.length > 0) output.push(`</${open.pop()}>`);
+
+  return output.join('').replace(/<p>\s*<\/p>/g, '');
+}
+
+function openTag(name, attributes) {
+  if (name !== 'a') return `<${name}>`;
+
+  const href = toSafeHref(attributes.href);
+  const title = attributes.title ? ` title="${escapeHtml(decodeEntities(attributes.title))}"` : '';
+  return href
+    ? `<a href="${escapeHtml(href)}"${title} target="_blank" rel="noopener noreferrer">`
+    : `<a${title}>`;
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  // Unquoted values may contain "=", as in href=https://example.com/?a=1
+  const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'<>`]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attributes;
+}
+
+function linkifyText(text) {
+  let result = '';
+  let last = 0;
+
+  for (const match of text.matchAll(URL_PATTERN)) {
+    result += escapeText(text.slice(last, match.index));
+    result += linkTag(decodeEntities(match[0]), escapeText(match[0]));
+    last = match.index + match[0].length;
+  }
+
+  return result + escapeText(text.slice(last));
+}
+
+function linkTag(href, innerHtml) {
+  return `<a href="${escapeHtml(toSafeHref(href))}" target="_blank" rel="noopener noreferrer">${innerHtml}</a>`;
+}
+
+// Absolute http(s), mailto and tel links only; "www." and bare emails get a scheme
+function toSafeHref(href) {
+  if (!href) return null;
+
+  const value = decodeEntities(href).replace(/[\u0000- \u007f]/g, '');
+  if (SAFE_HREF.test(value)) return value;
+  if (/^www\./i.test(value)) return `https://${value}`;
+  if (/^[\w.+-]+@[\w-]+(\.[\w-]+)+$/.test(value)) return `mailto:${value}`;
+  return null;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Like escapeHtml, but entities already in HTML text (&amp;, &eacute;) are left alone
+function escapeText(text) {
+  return text
+    .replace(/&/g, (amp, offset) => (ENTITY.test(text.slice(offset)) ? amp : '&amp;'))
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
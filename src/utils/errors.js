@@ -0,0 +1,171 @@
+import { EVENT_SCHEMA } from './schema.js';
+import { getStatus, isRateLimited, isTransientError } from './scheduler.js';
+
+// Failure categories written to a row's errorCategory column
+export const ERROR_CATEGORIES = {
+  AUTH: 'auth',             // token request failed or the token was refused
+  NETWORK: 'network',       // dropped connection or a 5xx from the API
+  RATE_LIMIT: 'rate_limit', // still throttled after the limiter's own retries
+  SCHEMA: 'schema',         // Universe refused the GraphQL document or its variables
+  BUSINESS: 'business',     // Universe accepted the request but refused the event (mutation `errors`)
+  VALIDATION: 'validation', // caught by the pre-flight validator, never sent
+  UNKNOWN: 'unknown'
+};
+
+// Only these are worth retrying; the rest fail the same way every time
+const TRANSIENT_CATEGORIES = [ERROR_CATEGORIES.NETWORK, ERROR_CATEGORIES.RATE_LIMIT];
+
+const AUTH_PATTERN = /unauthori[sz]ed|not authori[sz]ed|unauthenticated|invalid[_ ]token|invalid[_ ]client|access denied|forbidden/i;
+
+// Error thrown when a mutation answers with its own `errors` list
+export class UniverseMutationError extends Error {
+  constructor(prefix, errors) {
+    super(`${prefix}: ${formatPayloadErrors(errors)}`);
+    this.name = 'UniverseMutationError';
+    this.payloadErrors = errors;
+    this.rejected = true; // Universe answered and refused, so nothing was changed
+  }
+}
+
+// A row deliberately left alone this time: another instance holds it, or the process is stopping
+export class SkippedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SkippedError';
+  }
+}
+
+// Mutation errors arrive as strings, { field, message } objects or a { field: [messages] } map
+export function formatPayloadErrors(errors) {
+  return toEntries(errors)
+    .map(({ field, message }) => (field && !message.toLowerCase().startsWith(field.toLowerCase()) ? `${field} ${message}` : message))
+    .join(', ');
+}
+
+function toEntries(errors) {
+  if (!errors) return [];
+
+  if (!Array.isArray(errors) && typeof errors === 'object') {
+    return Object.entries(errors).flatMap(([field, messages]) =>
+      [].concat(messages).map(message => ({ field, message: String(message) }))
+    );
+  }
+
+  return [].concat(errors).map(error => {
+    if (error && typeof error === 'object') {
+      const path = error.field || error.attribute || (Array.isArray(error.path) ? error.path.join('.') : error.path);
+      return { field: path || null, message: String(error.message || JSON.stringify(error)) };
+    }
+    return { field: null, message: String(error) };
+  });
+}
+
+// { category, transient, field } for any error raised while creating or updating an event
+export function classifyError(error) {
+  const category = getCategory(error);
+  return {
+    category,
+    transient: TRANSIENT_CATEGORIES.includes(category),
+    field: findErrorField(error)
+  };
+}
+
+function getCategory(error) {
+  if (error?.category) return error.category;
+
+  const status = getStatus(error);
+  const graphqlErrors = error?.response?.errors || [];
+  const graphqlText = graphqlErrors.map(e => `${e.message} ${e.extensions?.code || ''}`).join(' ');
+
+  if (error?.auth || status === 401 || status === 403 || AUTH_PATTERN.test(graphqlText)) {
+    return ERROR_CATEGORIES.AUTH;
+  }
+  if (isRateLimited(error)) return ERROR_CATEGORIES.RATE_LIMIT;
+  if (isTransientError(error)) return ERROR_CATEGORIES.NETWORK;
+  if (error?.payloadErrors) return ERROR_CATEGORIES.BUSINESS;
+  if (graphqlErrors.length > 0 || status === 400 || status === 422) return ERROR_CATEGORIES.SCHEMA;
+
+  return ERROR_CATEGORIES.UNKNOWN;
+}
+
+// The row field Universe complained about, where it names one
+export function findErrorField(error) {
+  // Set by checks that already know the field (e.g. image uploads)
+  if (error?.field) return error.field;
+
+  const candidates = [];
+
+  for (const { field, message } of toEntries(error?.payloadErrors)) {
+    if (field) candidates.push(field);
+    candidates.push(message.split(/\s+/).slice(0, 3).join(' '));
+  }
+
+  for (const graphqlError of error?.response?.errors || []) {
+    for (const problem of graphqlError.extensions?.problems || []) {
+      if (Array.isArray(problem.path)) candidates.push(problem.path.join('.'));
+    }
+    // e.g. "Variable $input of type EventCreateInput! was provided invalid value for event.foo"
+    const match = graphqlError.message?.match(/invalid value for ([\w.]+)|Field '(\w+)'|argument '(\w+)'/);
+    if (match) candidates.push(match[1] || match[2] || match[3]);
+  }
+
+  for (const candidate of candidates) {
+    const field = toRowField(candidate);
+    if (field) return field;
+  }
+
+  return null;
+}
+
+// Map a Universe attribute path or message prefix ("event.descriptionHtml", "Start at") to a row field
+function toRowField(text) {
+  const normalize = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const parts = String(text).split('.').filter(part => !/^\d+$/.test(part) && part !== 'event' && part !== 'attributes');
+
+  if (parts[0] === 'rates' || /^rate/i.test(parts[0] || '')) return 'rates';
+  if (parts[0] === 'timeSlots' || /^(start|end)\s?at/i.test(text)) return 'startDate';
+
+  for (const [field, spec] of Object.entries(EVENT_SCHEMA)) {
+    const names = [field, spec.label, spec.target?.replace(/^event\./, '')].filter(Boolean).map(normalize);
+    const leading = normalize(parts.join(''));
+    if (names.some(name => leading === name || (name.length > 3 && leading.startsWith(name)))) {
+      return field;
+    }
+  }
+
+  return null;
+}
+
+// Fields written to a row when it fails. `details` may carry the partial result of the
+// failed attempt (events already created) so a retry resumes instead of starting over.
+export function buildErrorFields(errorMessage, details = {}) {
+  const fields = {
+    status: 'Error',
+    errorMessage: errorMessage.substring(0, 1000), // Limit error message length
+    errorCategory: details.category || null,
+    errorField: details.field || null,
+    failedStep: details.step || null,
+    attempts: details.attempts ?? null,
+    erroredAt: new Date().toISOString(),
+    lastUpdated: new Date().toISOString().split('T')[0]
+  };
+
+  if (details.rowHash) fields.errorRowHash = details.rowHash;
+  if (details.history) fields.errorHistory = details.history;
+
+  if (details.universeEventId) {
+    fields.universeEventId = details.universeEventId;
+    fields.universeUrl = details.universeUrl;
+  }
+
+  return fields;
+}
+
+// The row's error history with its current error added, newest first
+export function appendErrorHistory(row) {
+  if (!row.errorMessage) return row.errorHistory || null;
+
+  const label = [row.errorCategory, row.failedStep].filter(Boolean).join('/');
+  const entry = `[${row.erroredAt || row.lastUpdated || 'unknown time'}]${label ? ` ${label}:` : ''} ${row.errorMessage}`;
+  return [entry, row.errorHistory].filter(Boolean).join('\n').substring(0, 10000);
+}
@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { RateLimiter } from './scheduler.js';
+import { ERROR_CATEGORIES } from './errors.js';
+import { EVENT_SCHEMA } from './schema.js';
+
+// Image helpers shared by the validator and the Universe uploader.
+// A row can give its images as:
+//   - Airtable attachments: [{ id, url, filename, size, type, width, height }]
+//   - local file paths (file sources resolve them against the source file's folder)
+//   - http(s) URLs
+// Several paths or URLs in one cell are separated by commas or new lines.
+
+export const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+export const IMAGE_LIMITS = {
+  maxBytes: (parseFloat(process.env.IMAGE_MAX_MB) || 10) * 1024 * 1024,
+  maxDimension: 10000,
+  // Universe crops covers to a wide banner, so small covers come out blurry
+  coverImage: { minWidth: 1024, minHeight: 512 },
+  additionalImages: { minWidth: 400, minHeight: 300 }
+};
+
+// Remote images come from arbitrary hosts, so downloads get their own rate limit and a deadline
+export const IMAGE_DOWNLOAD_TIMEOUT = (parseFloat(process.env.IMAGE_DOWNLOAD_TIMEOUT) || 30) * 1000;
+export const imageDownloads = new RateLimiter('Image downloads', {
+  ratePerSecond: parseFloat(process.env.IMAGE_DOWNLOAD_RATE_LIMIT) || 5
+});
+
+export function parseImages(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  const items = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+
+  return items
+    .map(item => (typeof item === 'string' ? item.trim() : item))
+    .filter(Boolean)
+    .map(toImageRef);
+}
+
+function toImageRef(item) {
+  if (typeof item === 'object') {
+    return {
+      url: item.url,
+      filename: item.filename || path.basename(new URL(item.url).pathname),
+      type: item.type || null,
+      size: item.size ?? null,
+      width: item.width ?? null,
+      height: item.height ?? null
+    };
+  }
+
+  if (/^https?:\/\//i.test(item)) {
+    return { url: item, filename: path.basename(new URL(item).pathname), type: null, size: null, width: null, height: null };
+  }
+
+  return { path: item, filename: path.basename(item), type: null, size: null, width: null, height: null };
+}
+
+// Relative paths in file sources are relative to the source file, not the working directory
+export function resolveImagePaths(value, baseDir) {
+  return parseImages(value).map(ref => (ref.path ? path.resolve(baseDir, ref.path) : ref.url));
+}
+
+// Fill in type, size and dimensions for local files. Remote images without Airtable
+// metadata stay unknown until they are downloaded for upload.
+export function inspectImage(ref) {
+  if (!ref.path) return ref;
+
+  if (!fs.existsSync(ref.path)) {
+    return { ...ref, missing: true };
+  }
+
+  const size = fs.statSync(ref.path).size;
+  if (size > IMAGE_LIMITS.maxBytes) {
+    return { ...ref, size };
+  }
+
+  return describeImage(ref, fs.readFileSync(ref.path));
+}
+
+// An image ref with what its bytes say about it; the header wins over Airtable's metadata
+export function describeImage(ref, buffer) {
+  const info = readImageInfo(buffer);
+  return { ...ref, size: buffer.length, ...info, unrecognised: !info.type };
+}
+
+// Problems with one image, as messages. `field` picks the minimum dimensions.
+export function checkImage(image, field) {
+  const problems = [];
+  const name = image.filename || image.path || image.url;
+
+  if (image.missing) {
+    return [`${name} not found`];
+  }
+  if (image.unrecognised) {
+    problems.push(`${name} is not a JPEG, PNG, GIF or WebP image`);
+  } else if (image.type && !IMAGE_TYPES[image.type]) {
+    problems.push(`${name} is ${image.type}; use JPEG, PNG, GIF or WebP`);
+  }
+  if (image.size && image.size > IMAGE_LIMITS.maxBytes) {
+    problems.push(`${name} is ${formatMegabytes(image.size)}; the limit is ${formatMegabytes(IMAGE_LIMITS.maxBytes)}`);
+  }
+
+  if (image.width && image.height) {
+    const { minWidth, minHeight } = IMAGE_LIMITS[field];
+    if (image.width < minWidth || image.height < minHeight) {
+      problems.push(`${name} is ${image.width}x${image.height}; at least ${minWidth}x${minHeight} is needed`);
+    }
+    if (Math.max(image.width, image.height) > IMAGE_LIMITS.maxDimension) {
+      problems.push(`${name} is ${image.width}x${image.height}; at most ${IMAGE_LIMITS.maxDimension}px per side`);
+    }
+  }
+
+  return problems;
+}
+
+// Type and pixel size from the file header (JPEG, PNG, GIF, WebP); {} for anything else
+export function readImageInfo(buffer) {
+  if (buffer.length >= 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+    return { type: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { type: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { type: 'image/webp', ...readWebpSize(buffer) };
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return { type: 'image/jpeg', ...readJpegSize(buffer) };
+  }
+
+  return {};
+}
+
+function readWebpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8X') {
+    return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  return {};
+}
+
+// Walk the JPEG segments to the first start-of-frame marker
+function readJpegSize(buffer) {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return {};
+
+    const marker = buffer[offset + 1];
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isStartOfFrame) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return {};
+}
+
+// Fetch a remote image for upload. The body is capped at the upload limit and the whole download
+// at IMAGE_DOWNLOAD_TIMEOUT, so a bad URL can neither hang the run nor fill memory. Timeouts and
+// server errors are retried like any other transient failure; anything that isn't an image is not
+export async function downloadImage(ref, field) {
+  const name = ref.filename || ref.url;
+  let response;
+  try {
+    response = await imageDownloads.schedule(() => axios.get(ref.url, {
+      responseType: 'arraybuffer',
+      timeout: IMAGE_DOWNLOAD_TIMEOUT,
+      signal: AbortSignal.timeout(IMAGE_DOWNLOAD_TIMEOUT),
+      maxContentLength: IMAGE_LIMITS.maxBytes,
+      maxRedirects: 5
+    }), 'download');
+  } catch (error) {
+    if (/maxContentLength/.test(error.message)) {
+      throw imageError(field, `${name} is larger than ${formatMegabytes(IMAGE_LIMITS.maxBytes)}`);
+    }
+    if (error.name === 'CanceledError' || error.name === 'AbortError' || error.name === 'TimeoutError') {
+      error.code = 'ETIMEDOUT';
+    }
+    throw error;
+  }
+
+  // Storage services often serve images as octet-stream; the header check in checkImage covers those
+  const type = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type && !type.startsWith('image/') && type !== 'application/octet-stream') {
+    throw imageError(field, `${name} is ${type}, not an image`);
+  }
+  return Buffer.from(response.data);
+}
+
+// A problem with the image itself: not retried, and reported against the row's image column
+export function imageError(field, problem) {
+  const error = new Error(`${EVENT_SCHEMA[field].label}: ${problem}`);
+  error.category = ERROR_CATEGORIES.VALIDATION;
+  error.field = field;
+  return error;
+}
+
+export function hashImage(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Uploaded images keyed by content hash, so a photo used by many rows is uploaded once
+// (across runs too). Stored as JSON next to the run journal.
+export class ImageCache {
+  constructor(filename = process.env.IMAGE_CACHE_FILE || path.join('.journal', 'images.json')) {
+    this.filename = filename;
+    this.entries = fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename, 'utf8')) : {};
+  }
+
+  get(hash) {
+    return this.entries[hash] || null;
+  }
+
+  set(hash, entry) {
+    this.entries[hash] = { ...entry, uploadedAt: new Date().toISOString() };
+
+    const dir = path.dirname(this.filename);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tempFile = `${this.filename}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(this.entries, null, 2));
+    fs.renameSync(tempFile, this.filename);
+  }
+}
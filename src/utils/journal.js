@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+
+// Append-only, fsync'd journal of every create mutation keyed by source record ID.
+// Each occurrence moves through intent -> created | failed, then the record is
+// marked written once the source has the Universe IDs. Anything not written when the
+// process starts is an unfinished run that must be reconciled before creating again.
+class RunJournal {
+  constructor(filename = process.env.JOURNAL_FILE || path.join('.journal', 'journal.jsonl')) {
+    this.filename = filename;
+    this.cache = null;
+    this.ensureDir();
+  }
+
+  ensureDir() {
+    const dir = path.dirname(this.filename);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  append(entry) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n';
+    const fd = fs.openSync(this.filename, 'a');
+    try {
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+
+      // Nothing else was appended since the last read, so the cache can take the entry as is
+      const stat = fs.fstatSync(fd);
+      if (this.cache && this.cache.ino === stat.ino && this.cache.size + Buffer.byteLength(line) === stat.size) {
+        this.cache.size = stat.size;
+        this.cache.entries.push(JSON.parse(line));
+        applyEntry(this.cache.records, this.cache.entries.at(-1));
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Entries parsed so far, plus anything appended since (by this or another process). The file
+  // is only read again from the start after it was replaced, e.g. compacted by another instance
+  readEntries() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filename);
+    } catch {
+      this.cache = null;
+      return [];
+    }
+
+    if (!this.cache || this.cache.ino !== stat.ino || stat.size < this.cache.size) {
+      this.cache = { ino: stat.ino, size: 0, entries: [], records: new Map() };
+    }
+    if (stat.size > this.cache.size) {
+      this.readFrom(this.cache.size, stat.size);
+    }
+    return this.cache.entries;
+  }
+
+  readFrom(start, end) {
+    const buffer = Buffer.alloc(end - start);
+    const fd = fs.openSync(this.filename, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // A line still being written is picked up once it's complete
+    const text = buffer.toString('utf8');
+    const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+    this.cache.size += Buffer.byteLength(complete);
+
+    for (const line of complete.split('\n').filter(line => line.trim())) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A torn final line from a crash mid-write carries no completed outcome
+        continue;
+      }
+      this.cache.entries.push(entry);
+      applyEntry(this.cache.records, entry);
+    }
+  }
+
+  // Per-record state, replayed from the journal as entries are read
+  getRecords() {
+    this.readEntries();
+    return this.cache?.records || new Map();
+  }
+
+  getRecord(recordId) {
+    return this.getRecords().get(recordId) || null;
+  }
+
+  // Universe events already created for a record, indexed by occurrence
+  getCreatedEvents(recordId) {
+    const record = this.getRecord(recordId);
+    const created = [];
+    if (!record || record.written) return created;
+
+    for (const [index, occurrence] of record.occurrences) {
+      if (occurrence.status === 'created') {
+        created[index] = occurrence.published ? { ...occurrence.event, state: 'POSTED' } : occurrence.event;
+      }
+    }
+    return created;
+  }
+
+  // Records with a create in flight or an event the source doesn't know about yet
+  getUnfinished() {
+    return [...this.getRecords().values()].filter(record =>
+      !record.written && [...record.occurrences.values()].some(o => ['intent', 'created'].includes(o.status))
+    );
+  }
+
+  recordIntent(recordId, occurrence, details) {
+    this.append({ recordId, occurrence, status: 'intent', ...details });
+  }
+
+  recordCreated(recordId, occurrence, event) {
+    const { id, slug, state, clientMutationId } = event;
+    this.append({ recordId, occurrence, status: 'created', event: { id, slug, state, clientMutationId } });
+  }
+
+  recordFailed(recordId, occurrence, error) {
+    this.append({ recordId, occurrence, status: 'failed', error });
+  }
+
+  recordPublished(recordId, occurrence) {
+    this.append({ recordId, occurrence, status: 'published' });
+  }
+
+  recordWritten(recordId) {
+    this.append({ recordId, status: 'written' });
+  }
+
+  // Drop finished records so the journal only holds work that still needs attention
+  compact() {
+    const unfinished = this.getUnfinished();
+    const entries = unfinished.flatMap(record => record.entries);
+    if (entries.length === this.readEntries().length) return unfinished.length;
+
+    const tempFile = `${this.filename}.tmp`;
+    fs.writeFileSync(tempFile, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    fs.renameSync(tempFile, this.filename);
+    this.cache = null;
+    return unfinished.length;
+  }
+}
+
+// Replay one entry into the per-record state
+function applyEntry(records, entry) {
+  if (!records.has(entry.recordId)) {
+    records.set(entry.recordId, { recordId: entry.recordId, occurrences: new Map(), written: false, entries: [] });
+  }
+  const record = records.get(entry.recordId);
+  record.entries.push(entry);
+
+  if (entry.status === 'written') {
+    record.written = true;
+    return;
+  }
+
+  // A new intent after a completed write starts a fresh cycle (e.g. the row was re-queued)
+  if (entry.status === 'intent' && record.written) {
+    record.written = false;
+    record.occurrences = new Map();
+  }
+
+  if (entry.title) record.title = entry.title;
+  if (entry.total) record.total = entry.total;
+  if (entry.publish !== undefined) record.publish = entry.publish;
+  if (entry.account) record.account = entry.account;
+
+  const occurrence = record.occurrences.get(entry.occurrence) || {};
+  record.occurrences.set(entry.occurrence, {
+    ...occurrence,
+    status: entry.status === 'published' ? occurrence.status : entry.status,
+    published: occurrence.published || entry.status === 'published',
+    startAt: entry.startAt || occurrence.startAt,
+    event: entry.event || occurrence.event
+  });
+}
+
+export default RunJournal;
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Per-record locks shared by every instance using the same lock directory (the same machine,
+// or a shared disk), so a watcher, the trigger server and a manual run never process a row
+// at the same time.
+//   <recordId>.lock  held while a row is processed: created exclusively, removed on release
+//   <recordId>.done  when the row was last finished, so an instance holding an older copy of
+//                    the row (fetched before someone else processed it) knows to leave it alone
+//   journal.compacting  held while the run journal is rewritten. Journal entries are only written
+//                    under a row lock, so compaction waits until no other process holds one,
+//                    and a row lock taken during compaction is given back at once
+// Locks left by a crashed process are taken over: at once when its pid is gone on this
+// host, otherwise once they are older than LOCK_TTL_MINUTES.
+
+const DONE_RETENTION = 24 * 60 * 60 * 1000;
+const JOURNAL_LOCK = 'journal.compacting';
+
+// Lock files held by every RecordLocks in this process, removed by one exit hook
+const heldLocks = new Set();
+
+// Don't leave locks behind on a normal exit, even one in the middle of a row
+process.once('exit', () => heldLocks.forEach(filename => fs.rmSync(filename, { force: true })));
+
+export class RecordLocks {
+  constructor(dir = process.env.LOCK_DIR || path.join('.journal', 'locks')) {
+    this.dir = dir;
+    this.ttl = (parseFloat(process.env.LOCK_TTL_MINUTES) || 60) * 60 * 1000;
+    this.held = new Set();
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.pruneDone();
+  }
+
+  // Returns a release function, or null when another process holds the row or is compacting the journal
+  acquire(recordId) {
+    const filename = this.getFilename(recordId, 'lock');
+    if (!this.createLock(filename, recordId)) return null;
+
+    this.held.add(recordId);
+    // Taken after the row lock, so either this or the compacting process sees the other's lock
+    if (this.isLockedByOther(path.join(this.dir, JOURNAL_LOCK))) {
+      this.removeLock(recordId);
+      return null;
+    }
+    return () => this.release(recordId);
+  }
+
+  // Returns a release function, or null while another process holds a row or is compacting
+  acquireJournal() {
+    const filename = path.join(this.dir, JOURNAL_LOCK);
+    if (!this.createLock(filename, 'the journal')) return null;
+
+    const busy = fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.lock'))
+      .some(name => this.isLockedByOther(path.join(this.dir, name)));
+    if (busy) {
+      this.removeJournalLock();
+      return null;
+    }
+    return () => this.removeJournalLock();
+  }
+
+  removeJournalLock() {
+    const filename = path.join(this.dir, JOURNAL_LOCK);
+    fs.rmSync(filename, { force: true });
+    heldLocks.delete(filename);
+  }
+
+  // Create a lock file exclusively, taking it over when its owner is gone. False when it's held.
+  // The owner is written aside and linked into place (which fails if the lock exists), so other
+  // processes never read a lock that is still being written and mistake it for a torn one
+  createLock(filename, label) {
+    const tempFile = `${filename}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+
+    try {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          fs.linkSync(tempFile, filename);
+          heldLocks.add(filename);
+          return true;
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+          if (!this.isStale(filename)) return false;
+
+          logger.warn(`Taking over stale lock for ${label}`);
+          fs.rmSync(filename, { force: true });
+        }
+      }
+      return false;
+    } finally {
+      fs.rmSync(tempFile, { force: true });
+    }
+  }
+
+  // Whether a live lock file exists that this process doesn't hold
+  isLockedByOther(filename) {
+    return fs.existsSync(filename) && !heldLocks.has(filename) && !this.isStale(filename);
+  }
+
+  release(recordId) {
+    fs.writeFileSync(this.getFilename(recordId, 'done'), new Date().toISOString());
+    this.removeLock(recordId);
+  }
+
+  removeLock(recordId) {
+    const filename = this.getFilename(recordId, 'lock');
+    fs.rmSync(filename, { force: true });
+    this.held.delete(recordId);
+    heldLocks.delete(filename);
+  }
+
+  // Drop the locks still held, without marking their rows done
+  close() {
+    [...this.held].forEach(recordId => this.removeLock(recordId));
+  }
+
+  // Whether some process finished the row after `time` (ms since the epoch)
+  finishedSince(recordId, time) {
+    const filename = this.getFilename(recordId, 'done');
+    if (!fs.existsSync(filename)) return false;
+    return Date.parse(fs.readFileSync(filename, 'utf8')) > time;
+  }
+
+  isStale(filename) {
+    let owner;
+    try {
+      owner = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch {
+      // Released in the meantime, or torn by a crash mid-write
+      return true;
+    }
+
+    if (owner.host === os.hostname() && !isRunning(owner.pid)) return true;
+    return Date.now() - Date.parse(owner.acquiredAt) > this.ttl;
+  }
+
+  getFilename(recordId, extension) {
+    return path.join(this.dir, `${encodeURIComponent(recordId)}.${extension}`);
+  }
+
+  pruneDone() {
+    for (const name of fs.readdirSync(this.dir).filter(name => name.endsWith('.done'))) {
+      const filename = path.join(this.dir, name);
+      if (Date.now() - fs.statSync(filename).mtimeMs > DONE_RETENTION) {
+        fs.rmSync(filename, { force: true });
+      }
+    }
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
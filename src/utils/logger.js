@@ -1,11 +1,51 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
 import chalk from 'chalk';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// The logger is created on import, before the entry point gets to load .env
+dotenv.config();
+
+// Pretty lines on the console, JSON lines in logs/universe-bulk.jsonl. Every file entry
+// carries the run ID, and entries logged while an event is processed carry its recordId
+// and correlationId (the clientMutationId of the Universe call), so one run or one event
+// can be followed with grep or jq.
+
+const LEVELS = { debug: 10, info: 20, success: 20, warn: 30, error: 40 };
+
+const CONSOLE_COLORS = { debug: chalk.gray, info: chalk.blue, success: chalk.green, warn: chalk.yellow, error: chalk.red };
+
+// Keys whose values never reach the console or the log file
+const SECRET_KEYS = /^(authorization|client_?secret|access_?token|refresh_?token|api_?key|password|token)$/i;
+
+const SECRET_PATTERNS = [
+  [/\b(Bearer)\s+[\w\-.~+/=]+/gi, '$1 [REDACTED]'],
+  [/\b(client_secret|access_token|refresh_token|api_key)(["']?\s*[:=]\s*["']?)[^\s"'&,}]+/gi, '$1$2[REDACTED]'],
+  // Trigger server URLs from button fields carry the secret as ?token=
+  [/([?&]token=)[^\s"'&#]+/gi, '$1[REDACTED]'],
+  // Airtable personal access tokens and legacy API keys
+  [/\bpat[A-Za-z0-9]{14}\.[a-f0-9]{64}\b/g, '[REDACTED]'],
+  [/\bkey[A-Za-z0-9]{14}\b/g, '[REDACTED]']
+];
+
+// Configured credentials are redacted wherever they appear, whatever their format
+const SECRET_ENV_VARS = ['UNIVERSE_CLIENT_SECRET', 'AIRTABLE_API_KEY', 'TRIGGER_SECRET'];
+// Plus each named Universe account's secret (see services/accounts.js)
+const SECRET_ENV_PATTERN = /^UNIVERSE_ACCOUNT_\w+_CLIENT_SECRET$/;
 
 class Logger {
   constructor() {
-    this.logDir = 'logs';
-    this.ensureLogDir();
+    this.logDir = process.env.LOG_DIR || 'logs';
+    this.level = LEVELS[String(process.env.LOG_LEVEL).toLowerCase()] ?? LEVELS.info;
+    this.maxBytes = (parseFloat(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024;
+    this.maxAge = (parseFloat(process.env.LOG_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+    this.maxFiles = parseInt(process.env.LOG_MAX_FILES) || 14;
+    this.context = new AsyncLocalStorage();
+    this.sinks = new AsyncLocalStorage();
+    this.runId = createRunId();
+    this.fileStartedAt = this.readFileStart();
   }
 
   ensureLogDir() {
@@ -15,43 +55,189 @@ class Logger {
   }
 
   getLogFilename() {
-    const date = new Date().toISOString().split('T')[0];
-    return path.join(this.logDir, `universe-bulk-${date}.log`);
+    return path.join(this.logDir, 'universe-bulk.jsonl');
+  }
+
+  // New run ID for the entries that follow, e.g. per CLI command or per watch cycle
+  startRun(command, data = null) {
+    this.runId = createRunId();
+    this.info(`Run ${this.runId} started: ${command}`, data);
+    return this.runId;
+  }
+
+  // Run `fn` with fields (recordId, correlationId) added to every entry it logs, including
+  // from the services it calls
+  withContext(fields, fn) {
+    return this.context.run({ ...this.context.getStore(), ...fields }, fn);
+  }
+
+  // Run `fn` with everything it logs, including from the services it calls, sent to `sink`
+  // instead of the console and the log file. `sink` has debug/info/warn/error (and optionally
+  // success) methods, called as (message, { runId, recordId?, correlationId?, data? })
+  withSink(sink, fn) {
+    return this.sinks.run(sink, fn);
   }
 
-  formatMessage(level, message, data = null) {
-    const timestamp = new Date().toISOString();
-    const logData = data ? ` | Data: ${JSON.stringify(data)}` : '';
-    return `[${timestamp}] ${level.toUpperCase()}: ${message}${logData}\n`;
+  // Fields of the current context (recordId, correlationId), or {} outside one
+  getContext() {
+    return this.context.getStore() || {};
   }
 
-  writeToFile(formattedMessage) {
-    fs.appendFileSync(this.getLogFilename(), formattedMessage);
+  // Add fields to the current context, e.g. the clientMutationId once it is generated
+  setContext(fields) {
+    const store = this.context.getStore();
+    if (store) Object.assign(store, fields);
+  }
+
+  debug(message, data = null) {
+    this.log('debug', message, data);
   }
 
   info(message, data = null) {
-    const formatted = this.formatMessage('info', message, data);
-    console.log(chalk.blue(formatted.trim()));
-    this.writeToFile(formatted);
+    this.log('info', message, data);
   }
 
   success(message, data = null) {
-    const formatted = this.formatMessage('success', message, data);
-    console.log(chalk.green(formatted.trim()));
-    this.writeToFile(formatted);
+    this.log('success', message, data);
   }
 
   warn(message, data = null) {
-    const formatted = this.formatMessage('warn', message, data);
-    console.log(chalk.yellow(formatted.trim()));
-    this.writeToFile(formatted);
+    this.log('warn', message, data);
   }
 
   error(message, data = null) {
-    const formatted = this.formatMessage('error', message, data);
-    console.log(chalk.red(formatted.trim()));
-    this.writeToFile(formatted);
+    this.log('error', message, data);
+  }
+
+  log(level, message, data = null) {
+    if (LEVELS[level] < this.level) return;
+
+    const time = new Date().toISOString();
+    const text = redact(String(message));
+    const details = data === null || data === undefined ? undefined : redact(toLoggable(data));
+
+    const sink = this.sinks.getStore();
+    if (sink) {
+      const method = typeof sink[level] === 'function' ? level : 'info';
+      sink[method](text, { runId: this.runId, ...this.context.getStore(), ...(details !== undefined && { data: details }) });
+      return;
+    }
+
+    const logData = details === undefined ? '' : ` | Data: ${JSON.stringify(details)}`;
+    console.log(CONSOLE_COLORS[level](`[${time}] ${level.toUpperCase()}: ${text}${logData}`));
+
+    const entry = { time, level, runId: this.runId, ...this.context.getStore(), msg: text };
+    if (details !== undefined) entry.data = details;
+    this.writeToFile(`${JSON.stringify(entry)}\n`);
+  }
+
+  writeToFile(line) {
+    try {
+      this.ensureLogDir();
+      this.rotateIfNeeded(Buffer.byteLength(line));
+      fs.appendFileSync(this.getLogFilename(), line);
+      this.fileStartedAt ??= Date.now();
+    } catch (error) {
+      // Logging must never take a run down
+      console.error(chalk.red(`Could not write log file: ${error.message}`));
+    }
+  }
+
+  // Start a new file once the current one is too big or too old
+  rotateIfNeeded(incomingBytes) {
+    const filename = this.getLogFilename();
+    if (!fs.existsSync(filename)) return;
+
+    const tooBig = fs.statSync(filename).size + incomingBytes > this.maxBytes;
+    const tooOld = this.fileStartedAt !== null && Date.now() - this.fileStartedAt > this.maxAge;
+    if (!tooBig && !tooOld) return;
+
+    const stamp = new Date(this.fileStartedAt ?? Date.now()).toISOString().replace(/[:.]/g, '-');
+    let rotated = path.join(this.logDir, `universe-bulk-${stamp}.jsonl`);
+    for (let i = 1; fs.existsSync(rotated); i++) {
+      rotated = path.join(this.logDir, `universe-bulk-${stamp}-${i}.jsonl`);
+    }
+    fs.renameSync(filename, rotated);
+    this.fileStartedAt = null;
+    this.pruneRotated();
+  }
+
+  // Keep the newest LOG_MAX_FILES rotated files
+  pruneRotated() {
+    const rotated = fs.readdirSync(this.logDir)
+      .filter(name => /^universe-bulk-.+\.jsonl$/.test(name))
+      .map(name => path.join(this.logDir, name))
+      .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+
+    for (const filename of rotated.slice(0, Math.max(0, rotated.length - this.maxFiles))) {
+      fs.unlinkSync(filename);
+    }
+  }
+
+  // When the current file was started, from its first entry
+  readFileStart() {
+    const filename = this.getLogFilename();
+    if (!fs.existsSync(filename)) return null;
+
+    const fd = fs.openSync(filename, 'r');
+    try {
+      const buffer = Buffer.alloc(256);
+      const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+      const match = buffer.toString('utf8', 0, bytes).match(/"time":"([^"]+)"/);
+      return match ? Date.parse(match[1]) : fs.statSync(filename).mtimeMs;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+export function createRunId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+  return `run-${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Errors and other objects as plain JSON-safe values
+function toLoggable(value) {
+  if (value instanceof Error) {
+    const { message, name } = value;
+    const loggable = { name, message };
+    if (value.category) loggable.category = value.category;
+    if (value.response?.status) loggable.status = value.response.status;
+    return loggable;
+  }
+  return value;
+}
+
+// Copy of `value` with secrets masked, in keys, strings and nested objects
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactText(value);
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  const copy = Array.isArray(value)
+    ? value.map(item => redact(item, seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEYS.test(key) && item ? '[REDACTED]' : redact(item, seen)
+    ]));
+
+  seen.delete(value);
+  return copy;
+}
+
+function redactText(text) {
+  let result = text;
+  for (const name of [...SECRET_ENV_VARS, ...Object.keys(process.env).filter(name => SECRET_ENV_PATTERN.test(name))]) {
+    const secret = process.env[name];
+    if (secret && secret.length >= 8) {
+      result = result.split(secret).join('[REDACTED]');
+    }
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
   }
+  return result;
 }
 
-export const logger = new Logger();
\ No newline at end of file
+export const logger = new Logger();
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import { SCHEMA_FIELDS, REQUIRED_FIELDS } from './schema.js';
+
+// Internal field model (see schema.js). Source columns are translated to these names
+// on read and back to the source's own names on write.
+export const INTERNAL_FIELDS = SCHEMA_FIELDS;
+
+// Error and verification details a source may not have columns for; writes skip them rather than fail
+export const OPTIONAL_STATUS_FIELDS = [
+  'errorCategory', 'errorField', 'failedStep', 'attempts', 'erroredAt', 'errorRowHash', 'errorHistory', 'universeState',
+  'verification', 'verifiedAt'
+];
+
+// Fields this tool writes back to the source
+export const STATUS_FIELDS = [
+  'status', 'universeEventId', 'universeUrl', 'clientMutationId', 'errorMessage',
+  ...OPTIONAL_STATUS_FIELDS, 'createdAt', 'lastUpdated', 'lastSyncedAt', 'lastSyncHash'
+];
+
+const KNOWN_FIELDS = [...INTERNAL_FIELDS, ...STATUS_FIELDS];
+
+// Translates between source column names / select options and the internal field model.
+// Config file shape:
+//   {
+//     "fields": { "title": "Event Name", "startTime": "Doors Open" },
+//     "values": { "status": { "Created": "Live", "Error": "Needs Attention" } }
+//   }
+// Columns that aren't mapped keep their own name, so an empty config is the identity mapping.
+class ColumnMapping {
+  constructor(config = {}) {
+    this.fields = { ...config.fields };
+    this.values = { ...config.values };
+    this.sourceToInternal = Object.fromEntries(
+      Object.entries(this.fields).map(([internal, column]) => [column, internal])
+    );
+  }
+
+  static load(filename) {
+    if (!filename) return new ColumnMapping();
+
+    if (!fs.existsSync(filename)) {
+      throw new Error(`Column mapping file not found: ${filename}`);
+    }
+
+    try {
+      return new ColumnMapping(JSON.parse(fs.readFileSync(filename, 'utf8')));
+    } catch (error) {
+      throw new Error(`Column mapping file ${filename} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // Source column name for an internal field
+  column(field) {
+    return this.fields[field] || field;
+  }
+
+  // Source select-option value for an internal value (e.g. status "Created" -> "Live")
+  value(field, internalValue) {
+    return this.values[field]?.[internalValue] ?? internalValue;
+  }
+
+  // Internal field for a source column name
+  internalField(column) {
+    return this.sourceToInternal[column] || column;
+  }
+
+  internalValue(field, sourceValue) {
+    const options = this.values[field];
+    if (!options) return sourceValue;
+
+    const match = Object.entries(options).find(([, value]) => value === sourceValue);
+    return match ? match[0] : sourceValue;
+  }
+
+  toInternal(fields) {
+    const result = {};
+
+    for (const [column, value] of Object.entries(fields)) {
+      const field = this.internalField(column);
+      // A mapped column wins over an unmapped column that happens to share the internal name
+      if (field in result && !this.sourceToInternal[column]) continue;
+      result[field] = this.internalValue(field, value);
+    }
+
+    return result;
+  }
+
+  toSource(fields) {
+    return Object.fromEntries(
+      Object.entries(fields).map(([field, value]) => [this.column(field), this.value(field, value)])
+    );
+  }
+
+  // Compare the mapping against the columns a source actually has.
+  // `ignore` lists fields the source doesn't need as columns (e.g. results kept in a companion file).
+  check(sourceColumns, ignore = []) {
+    const columns = new Set(sourceColumns);
+    const problems = [];
+
+    for (const [field, column] of Object.entries(this.fields)) {
+      if (!KNOWN_FIELDS.includes(field)) {
+        problems.push(`Mapping refers to unknown field "${field}" (column "${column}")`);
+      } else if (!columns.has(column) && !ignore.includes(field)) {
+        problems.push(`Mapped column "${column}" for ${field} was not found in the source`);
+      }
+    }
+
+    for (const field of Object.keys(this.values)) {
+      if (!KNOWN_FIELDS.includes(field)) {
+        problems.push(`Value mapping refers to unknown field "${field}"`);
+      }
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+      if (!(field in this.fields) && !columns.has(field)) {
+        problems.push(`No column found for required field ${field} (add it or map it)`);
+      }
+    }
+
+    return problems;
+  }
+}
+
+export default ColumnMapping;
@@ -0,0 +1,62 @@
+// Rate (ticket tier) helpers shared by the validator and the Universe payload builder.
+// A row can describe its rates in three ways:
+//   - `rates` as an array of objects (linked "Rates" table records resolved by AirtableService)
+//   - `rates` as a JSON string, e.g. [{"name": "VIP", "price": 80, "capacity": 50}]
+//   - the legacy single rateName / ratePrice / rateCapacity / rateDescription columns
+
+export function parseRates(eventData) {
+  let rawRates = eventData.rates;
+
+  if (typeof rawRates === 'string' && rawRates.trim()) {
+    try {
+      rawRates = JSON.parse(rawRates);
+    } catch (error) {
+      throw new Error(`Rates field is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (Array.isArray(rawRates) && rawRates.length > 0) {
+    return rawRates.map(normalizeRate);
+  }
+
+  if (eventData.rateName && eventData.ratePrice !== undefined && eventData.ratePrice !== '') {
+    return [normalizeRate({
+      name: eventData.rateName,
+      price: eventData.ratePrice,
+      capacity: eventData.rateCapacity,
+      description: eventData.rateDescription
+    })];
+  }
+
+  return [];
+}
+
+export function normalizeRate(rate) {
+  if (!rate || typeof rate !== 'object' || Array.isArray(rate)) {
+    throw new Error('Each rate must be an object');
+  }
+
+  return {
+    name: typeof rate.name === 'string' ? rate.name.trim() : rate.name,
+    price: toNumber(rate.price),
+    capacity: toNumber(rate.capacity),
+    description: rate.description || '',
+    saleStart: rate.saleStart || null,
+    saleEnd: rate.saleEnd || null,
+    minPerOrder: toNumber(rate.minPerOrder),
+    maxPerOrder: toNumber(rate.maxPerOrder),
+    hidden: rate.hidden === true || rate.hidden === 'true'
+  };
+}
+
+// Sale windows accept "YYYY-MM-DD", "YYYY-MM-DDTHH:MM" (event's timezone) or a full ISO timestamp
+export function isSaleDate(value) {
+  return /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(String(value))
+    && !isNaN(Date.parse(String(value).replace(' ', 'T')));
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? value : number;
+}
@@ -0,0 +1,167 @@
+// Recurrence helpers: expand a single row into one occurrence per date.
+// Supported row fields:
+//   recurrence           DAILY | WEEKLY | MONTHLY (empty = one-off event)
+//   recurrenceDays       Weekdays for WEEKLY, e.g. "THU" or "MON,THU" (default: weekday of startDate)
+//   recurrenceInterval   Repeat every N days/weeks/months (default: 1)
+//   recurrenceUntil      Last date (inclusive) an occurrence may start on
+//   recurrenceCount      Number of occurrences to generate
+//   recurrenceExclusions Comma-separated dates to skip, e.g. "2025-08-14, 2025-08-21"
+//   recurrenceMode       TIMESLOTS (one event, many time slots) | EVENTS (one event per occurrence)
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+export const RECURRENCE_MODES = ['TIMESLOTS', 'EVENTS'];
+export const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Hard stop so a bad row can never loop forever, independent of the validator's slot cap
+const MAX_ITERATIONS = 5000;
+
+export function isRecurring(eventData) {
+  return Boolean(eventData.recurrence && String(eventData.recurrence).toUpperCase() !== 'NONE');
+}
+
+export function getRecurrenceMode(eventData) {
+  return String(eventData.recurrenceMode || 'TIMESLOTS').toUpperCase().replace(/[\s_-]/g, '');
+}
+
+export function toDateString(date) {
+  if (typeof date === 'string') {
+    return date.split('T')[0];
+  }
+  return new Date(date).toISOString().split('T')[0];
+}
+
+export function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+export function diffDays(fromStr, toStr) {
+  return Math.round((Date.parse(`${toStr}T00:00:00Z`) - Date.parse(`${fromStr}T00:00:00Z`)) / 86400000);
+}
+
+function addMonths(dateStr, months) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  // Skip months that don't have this day (e.g. the 31st) rather than shifting the date
+  if (day > lastDay) return null;
+  date.setUTCDate(day);
+  return date.toISOString().split('T')[0];
+}
+
+function weekdayOf(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+export function parseList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+export function parseRecurrence(eventData) {
+  const frequency = String(eventData.recurrence).toUpperCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Recurrence must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = eventData.recurrenceInterval ? Number(eventData.recurrenceInterval) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('Recurrence interval must be a whole number of at least 1');
+  }
+
+  const count = eventData.recurrenceCount ? Number(eventData.recurrenceCount) : null;
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    throw new Error('Recurrence count must be a whole number of at least 1');
+  }
+
+  const until = eventData.recurrenceUntil ? toDateString(eventData.recurrenceUntil) : null;
+  if (until && isNaN(Date.parse(until))) {
+    throw new Error('Recurrence until must be a date (YYYY-MM-DD)');
+  }
+
+  if (!count && !until) {
+    throw new Error('Recurring events need a recurrence until date or a recurrence count');
+  }
+
+  const days = parseList(eventData.recurrenceDays).map(day => {
+    const index = WEEKDAYS.indexOf(day.toUpperCase().substring(0, 3));
+    if (index === -1) {
+      throw new Error(`Unknown recurrence day "${day}" (use ${WEEKDAYS.join(', ')})`);
+    }
+    return index;
+  });
+
+  const exclusions = new Set(parseList(eventData.recurrenceExclusions).map(toDateString));
+
+  return { frequency, interval, count, until, days, exclusions };
+}
+
+// Returns [{ startDate, startTime, endDate, endTime }], one entry per occurrence.
+// Non-recurring rows produce a single occurrence from their own dates.
+export function expandOccurrences(eventData) {
+  if (!(eventData.startDate && eventData.startTime && eventData.endDate && eventData.endTime)) {
+    return [];
+  }
+
+  const firstStart = toDateString(eventData.startDate);
+  const durationDays = diffDays(firstStart, toDateString(eventData.endDate));
+  const occurrence = startDate => ({
+    startDate,
+    startTime: eventData.startTime,
+    endDate: addDays(startDate, durationDays),
+    endTime: eventData.endTime
+  });
+
+  if (!isRecurring(eventData)) {
+    return [occurrence(firstStart)];
+  }
+
+  const { frequency, interval, count, until, days, exclusions } = parseRecurrence(eventData);
+  const dates = [];
+  let generated = 0;
+
+  const accept = date => {
+    if (until && date > until) return false;
+    generated++;
+    if (!exclusions.has(date)) dates.push(date);
+    return !(count && generated >= count);
+  };
+
+  if (frequency === 'WEEKLY') {
+    const weekdays = days.length > 0 ? [...new Set(days)].sort((a, b) => a - b) : [weekdayOf(firstStart)];
+    const weekStart = addDays(firstStart, -weekdayOf(firstStart));
+
+    outer:
+    for (let week = 0; week < MAX_ITERATIONS; week += interval) {
+      for (const weekday of weekdays) {
+        const date = addDays(weekStart, week * 7 + weekday);
+        if (date < firstStart) continue;
+        if (until && date > until) break outer;
+        if (!accept(date)) break outer;
+      }
+    }
+  } else {
+    for (let step = 0; step < MAX_ITERATIONS; step++) {
+      const date = frequency === 'DAILY'
+        ? addDays(firstStart, step * interval)
+        : addMonths(firstStart, step * interval);
+      if (date === null) continue;
+      if (until && date > until) break;
+      if (!accept(date)) break;
+    }
+  }
+
+  return dates.map(occurrence);
+}
+
+// Split a row recurring in EVENTS mode into one standalone row per occurrence
+export function splitOccurrences(eventData) {
+  return expandOccurrences(eventData).map((occurrence, index) => ({
+    ...eventData,
+    ...occurrence,
+    recurrence: null,
+    occurrenceIndex: index
+  }));
+}
@@ -0,0 +1,297 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import { formatCsv } from '../sources/csv.js';
+
+// Run report: one entry per row (outcome, Universe IDs, publish result, warnings, attempts)
+// plus the timing of every API call, written as report.json, report.csv and a self-contained
+// report.html to <REPORT_DIR>/<runId>/ so runs can be compared side by side. Later runs under
+// the same run ID (a watch cycle's create and retry-errors) go to <runId>-2/, <runId>-3/ and so on.
+
+export class RunReport {
+  constructor({ runId, command, source }) {
+    this.runId = runId;
+    this.command = command;
+    this.source = source;
+    this.startedAt = new Date();
+    this.events = new Map();
+    this.calls = [];
+    this.unsubscribes = [];
+  }
+
+  // Time every request the limiter sends; calls made while a row is processed are counted against it
+  watch(limiter) {
+    this.unsubscribes.push(limiter.subscribe((ok, error, call) => {
+      if (!call) return;
+      this.calls.push({ ...call, recordId: logger.getContext().recordId || null });
+    }));
+  }
+
+  // Merge fields into a row's entry
+  addEvent(recordId, fields) {
+    const entry = this.events.get(recordId) || {
+      recordId,
+      title: '',
+      account: '',
+      outcome: '',
+      universeEventId: '',
+      universeUrl: '',
+      publish: '',
+      attempts: 0,
+      failedStep: '',
+      errorCategory: '',
+      error: '',
+      warnings: [],
+      durationMs: null
+    };
+    this.events.set(recordId, { ...entry, ...fields });
+  }
+
+  // Stop timing requests; safe to call more than once
+  dispose() {
+    this.unsubscribes.forEach(unsubscribe => unsubscribe());
+    this.unsubscribes = [];
+  }
+
+  // The report as a plain object; `result` is what run() resolves to
+  build(result) {
+    this.dispose();
+
+    const finishedAt = new Date();
+    const events = [...this.events.values()].map(event => {
+      const calls = this.calls.filter(call => call.recordId === event.recordId);
+      return {
+        ...event,
+        retries: Math.max(0, event.attempts - 1),
+        apiCalls: calls.length,
+        apiMs: calls.reduce((sum, call) => sum + call.ms, 0)
+      };
+    });
+
+    return {
+      runId: this.runId,
+      command: this.command,
+      source: this.source,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      totals: {
+        rows: result.total,
+        valid: result.valid,
+        invalid: result.invalid,
+        created: result.created,
+        failed: result.failed,
+        skipped: result.skipped,
+        published: events.filter(event => event.publish === 'published').length,
+        publishFailed: events.filter(event => event.publish === 'failed').length,
+        warnings: events.reduce((sum, event) => sum + event.warnings.length, 0),
+        retries: events.reduce((sum, event) => sum + event.retries, 0),
+        apiCalls: this.calls.length,
+        apiFailures: this.calls.filter(call => call.failed).length,
+        ...(result.accounts && { accounts: result.accounts }),
+        ...(result.verification && { verification: result.verification }),
+        ...(result.error && { error: result.error })
+      },
+      events,
+      apiCalls: summariseCalls(this.calls)
+    };
+  }
+
+  // Returns the directory the three files were written to
+  write(reportDir, result) {
+    const dir = claimDir(reportDir, this.runId);
+    const report = { reportId: path.basename(dir), ...this.build(result) };
+
+    fs.writeFileSync(path.join(dir, 'report.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(dir, 'report.csv'), toCsv(report));
+    fs.writeFileSync(path.join(dir, 'report.html'), toHtml(report));
+
+    logger.info(`Run report written to ${dir}`);
+    return dir;
+  }
+}
+
+// Creates the first free <runId>, <runId>-2, ... directory. mkdir without `recursive` fails when
+// the directory exists, so two runs can't claim the same one even from different processes
+function claimDir(reportDir, runId) {
+  fs.mkdirSync(reportDir, { recursive: true });
+  for (let n = 1; ; n++) {
+    const dir = path.join(reportDir, n === 1 ? runId : `${runId}-${n}`);
+    try {
+      fs.mkdirSync(dir);
+      return dir;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+}
+
+// Count, failures and timing per API operation, slowest total first
+function summariseCalls(calls) {
+  const groups = new Map();
+  for (const call of calls) {
+    const key = `${call.api} ${call.operation}`;
+    if (!groups.has(key)) groups.set(key, { api: call.api, operation: call.operation, times: [], failures: 0 });
+    const group = groups.get(key);
+    group.times.push(call.ms);
+    if (call.failed) group.failures++;
+  }
+
+  return [...groups.values()]
+    .map(({ api, operation, times, failures }) => {
+      const sorted = [...times].sort((a, b) => a - b);
+      const totalMs = sorted.reduce((sum, ms) => sum + ms, 0);
+      return {
+        api,
+        operation,
+        count: sorted.length,
+        failures,
+        totalMs,
+        avgMs: Math.round(totalMs / sorted.length),
+        p95Ms: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+        maxMs: sorted[sorted.length - 1]
+      };
+    })
+    .sort((a, b) => b.totalMs - a.totalMs);
+}
+
+function toCsv(report) {
+  return formatCsv(report.events.map(event => ({
+    recordId: event.recordId,
+    title: event.title,
+    account: event.account,
+    outcome: event.outcome,
+    universeEventId: event.universeEventId,
+    universeUrl: event.universeUrl,
+    publish: event.publish,
+    attempts: event.attempts,
+    retries: event.retries,
+    failedStep: event.failedStep,
+    errorCategory: event.errorCategory,
+    error: event.error,
+    warnings: event.warnings.join('; '),
+    durationMs: event.durationMs ?? '',
+    apiCalls: event.apiCalls,
+    apiMs: event.apiMs
+  })));
+}
+
+const OUTCOME_COLORS = { created: '#1a7f37', failed: '#cf222e', invalid: '#9a6700' };
+
+function toHtml(report) {
+  const { totals } = report;
+  const cards = [
+    ['Rows', totals.rows],
+    ['Created', totals.created],
+    ['Failed', totals.failed],
+    ['Invalid', totals.invalid],
+    ['Skipped', totals.skipped],
+    ['Published', totals.published],
+    ['Warnings', totals.warnings],
+    ['Retries', totals.retries],
+    ['API calls', totals.apiCalls]
+  ];
+  if (totals.verification) {
+    cards.push(['Verified OK', totals.verification.matched], ['Verification issues', totals.verification.failed]);
+  }
+
+  const eventRows = report.events.map(event => {
+    const links = event.universeUrl
+      ? event.universeUrl.split(', ').map((url, i) => `<a href="${escape(url)}">${escape(event.universeEventId.split(', ')[i] || url)}</a>`).join('<br>')
+      : '';
+    const notes = [
+      event.error && `<div class="error">${escape(event.failedStep ? `${event.failedStep}: ${event.error}` : event.error)}</div>`,
+      ...event.warnings.map(warning => `<div class="warning">${escape(warning)}</div>`)
+    ].filter(Boolean).join('');
+
+    return `<tr>
+      <td>${escape(event.title)}<div class="muted">${escape(event.recordId)}${event.account ? ` &middot; ${escape(event.account)}` : ''}</div></td>
+      <td><span class="badge" style="background:${OUTCOME_COLORS[event.outcome] || '#57606a'}">${escape(event.outcome)}</span></td>
+      <td>${links}</td>
+      <td>${escape(event.publish)}</td>
+      <td class="num">${event.attempts}</td>
+      <td class="num">${event.durationMs === null ? '' : formatMs(event.durationMs)}</td>
+      <td class="num">${event.apiCalls} / ${formatMs(event.apiMs)}</td>
+      <td>${notes}</td>
+    </tr>`;
+  }).join('\n');
+
+  // Only worth a table once rows go to more than the default account
+  const accounts = Object.entries(totals.accounts || {});
+  const accountRows = accounts.length > 1 || (accounts.length === 1 && accounts[0][0] !== 'default')
+    ? accounts.map(([account, counts]) => `<tr>
+      <td>${escape(account)}</td><td class="num">${counts.total}</td><td class="num">${counts.created}</td>
+      <td class="num">${counts.failed}</td><td class="num">${counts.invalid}</td><td class="num">${counts.skipped}</td>
+    </tr>`).join('\n')
+    : '';
+
+  const callRows = report.apiCalls.map(call => `<tr>
+      <td>${escape(call.api)}</td><td>${escape(call.operation)}</td>
+      <td class="num">${call.count}</td><td class="num">${call.failures}</td>
+      <td class="num">${formatMs(call.avgMs)}</td><td class="num">${formatMs(call.p95Ms)}</td>
+      <td class="num">${formatMs(call.maxMs)}</td><td class="num">${formatMs(call.totalMs)}</td>
+    </tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Universe bulk run ${escape(report.reportId)}</title>
+<style>
+  body { font: 14px/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; margin: 2rem; }
+  h1 { font-size: 1.5rem; margin-bottom: .25rem; }
+  h2 { font-size: 1.1rem; margin-top: 2rem; }
+  .muted { color: #57606a; font-size: 12px; }
+  .cards { display: flex; flex-wrap: wrap; gap: .75rem; margin-top: 1rem; }
+  .card { border: 1px solid #d0d7de; border-radius: 6px; padding: .5rem 1rem; min-width: 6rem; }
+  .card b { display: block; font-size: 1.4rem; }
+  table { border-collapse: collapse; width: 100%; margin-top: .5rem; }
+  th, td { border-bottom: 1px solid #d0d7de; padding: .4rem .5rem; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; }
+  .num { text-align: right; white-space: nowrap; }
+  .badge { color: #fff; border-radius: 1rem; padding: 0 .5rem; font-size: 12px; }
+  .error { color: #cf222e; }
+  .warning { color: #9a6700; }
+</style>
+</head>
+<body>
+<h1>Universe bulk run</h1>
+<div class="muted">${escape(report.command)} from ${escape(report.source)} &middot; ${escape(report.startedAt)} &middot; ${formatMs(report.durationMs)} &middot; ${escape(report.reportId)}</div>
+${totals.error ? `<p class="error">Run stopped: ${escape(totals.error)}</p>` : ''}
+<div class="cards">
+${cards.map(([label, value]) => `  <div class="card"><b>${value ?? 0}</b>${escape(label)}</div>`).join('\n')}
+</div>
+
+${accountRows ? `<h2>Accounts</h2>
+<table>
+  <tr><th>Account</th><th class="num">Rows</th><th class="num">Created</th><th class="num">Failed</th><th class="num">Invalid</th><th class="num">Skipped</th></tr>
+${accountRows}
+</table>
+` : ''}
+<h2>Events</h2>
+<table>
+  <tr><th>Event</th><th>Outcome</th><th>Universe</th><th>Publish</th><th class="num">Attempts</th><th class="num">Time</th><th class="num">API calls / time</th><th>Errors and warnings</th></tr>
+${eventRows}
+</table>
+
+<h2>API calls</h2>
+<table>
+  <tr><th>API</th><th>Operation</th><th class="num">Calls</th><th class="num">Failed</th><th class="num">Avg</th><th class="num">p95</th><th class="num">Max</th><th class="num">Total</th></tr>
+${callRows}
+</table>
+</body>
+</html>
+`;
+}
+
+function formatMs(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function escape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,214 @@
+import { logger } from './logger.js';
+
+// Shared request scheduling: a token bucket per API, a bounded pool of events in flight
+// whose size adapts to the error rate, and exponential backoff with jitter for retries.
+
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET'];
+
+export function getStatus(error) {
+  return error?.response?.status || error?.statusCode || null;
+}
+
+export function isRateLimited(error) {
+  return getStatus(error) === 429;
+}
+
+// Failures worth retrying: throttling, server errors and dropped connections
+export function isTransientError(error) {
+  const status = getStatus(error);
+  if (status) return status === 429 || status >= 500;
+  return TRANSIENT_CODES.includes(error?.code || error?.cause?.code);
+}
+
+// Milliseconds asked for by a Retry-After header (seconds or an HTTP date), if any
+export function getRetryAfter(error) {
+  const headers = error?.response?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter: half the window is fixed, the other half random
+export function backoffDelay(attempt, { baseDelay = 1000, maxDelay = 30000 } = {}) {
+  const window = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(window / 2 + Math.random() * window / 2);
+}
+
+// Wait before retry `attempt`, never shorter than the server asked for
+export function retryDelay(error, attempt, options) {
+  return Math.max(getRetryAfter(error) || 0, backoffDelay(attempt, options));
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Refills `ratePerSecond` tokens continuously up to `burst`; callers wait in order
+export class TokenBucket {
+  constructor({ ratePerSecond, burst = Math.max(1, Math.ceil(ratePerSecond)) }) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  take() {
+    const turn = this.queue.then(() => this.waitForToken());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitForToken() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.ratePerSecond);
+      this.updatedAt = now;
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil((1 - this.tokens) / this.ratePerSecond * 1000));
+    }
+  }
+
+  // Stop handing out tokens for a while (e.g. after a 429)
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+}
+
+// Rate limit for one API. Throttled requests (429) were never processed, so they are
+// retried here after the Retry-After pause; every other failure goes back to the caller.
+export class RateLimiter {
+  constructor(name, { ratePerSecond = 5, burst, maxRetries = 5, rateLimitPause = 1000 } = {}) {
+    this.name = name;
+    this.bucket = new TokenBucket({ ratePerSecond, burst });
+    this.maxRetries = maxRetries;
+    this.rateLimitPause = rateLimitPause;
+    this.listeners = new Set();
+  }
+
+  // listener(ok, error, call) is called after every request, with
+  // call = { api, operation, ms, failed } (ms excludes the wait for a token)
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(ok, error, call) {
+    this.listeners.forEach(listener => listener(ok, error, call));
+  }
+
+  async schedule(task, operation = 'request') {
+    for (let attempt = 0; ; attempt++) {
+      await this.bucket.take();
+      const startedAt = Date.now();
+
+      try {
+        const result = await task();
+        this.notify(true, null, { api: this.name, operation, ms: Date.now() - startedAt, failed: false });
+        return result;
+      } catch (error) {
+        // Business errors (bad input, GraphQL rejections) say nothing about load
+        this.notify(!isTransientError(error), error, { api: this.name, operation, ms: Date.now() - startedAt, failed: true });
+
+        if (!isRateLimited(error) || attempt >= this.maxRetries) throw error;
+
+        const wait = getRetryAfter(error) ?? backoffDelay(attempt, { baseDelay: this.rateLimitPause });
+        logger.warn(`${this.name} rate limit hit - pausing requests for ${(wait / 1000).toFixed(1)}s`);
+        this.bucket.pause(wait);
+      }
+    }
+  }
+}
+
+// Runs a worker over items with at most `limit` in flight. The limit halves when
+// transient errors spike in the watched APIs and creeps back up after a clean stretch.
+export class AdaptivePool {
+  constructor({ concurrency = 5, minConcurrency = 1, maxConcurrency = concurrency * 2, window = 20, errorThreshold = 0.25 } = {}) {
+    this.limit = concurrency;
+    this.minConcurrency = minConcurrency;
+    this.maxConcurrency = Math.max(concurrency, maxConcurrency);
+    this.window = window;
+    this.errorThreshold = errorThreshold;
+    this.outcomes = [];
+  }
+
+  watch(limiter) {
+    return limiter.subscribe(ok => this.record(ok));
+  }
+
+  record(ok) {
+    this.outcomes.push(ok);
+    if (this.outcomes.length > this.window) this.outcomes.shift();
+
+    const failures = this.outcomes.filter(outcome => !outcome).length;
+
+    if (!ok && this.outcomes.length >= 4 && failures / this.outcomes.length > this.errorThreshold) {
+      if (this.limit > this.minConcurrency) {
+        this.limit = Math.max(this.minConcurrency, Math.floor(this.limit / 2));
+        logger.warn(`Errors spiking (${failures}/${this.outcomes.length} recent requests) - concurrency reduced to ${this.limit}`);
+      }
+      this.outcomes = [];
+    } else if (ok && this.outcomes.length >= this.window && failures === 0 && this.limit < this.maxConcurrency) {
+      this.limit++;
+      this.outcomes = [];
+      logger.info(`Requests healthy - concurrency raised to ${this.limit}`);
+    }
+  }
+
+  // Resolves to Promise.allSettled-style results in input order
+  map(items, worker, onSettled = null) {
+    const results = new Array(items.length);
+    let next = 0;
+    let active = 0;
+    let settled = 0;
+
+    return new Promise(resolve => {
+      if (items.length === 0) {
+        resolve(results);
+        return;
+      }
+
+      const launch = () => {
+        while (active < this.limit && next < items.length) {
+          const index = next++;
+          active++;
+
+          Promise.resolve()
+            .then(() => worker(items[index], index))
+            .then(value => ({ status: 'fulfilled', value }), reason => ({ status: 'rejected', reason }))
+            .then(result => {
+              results[index] = result;
+              active--;
+              settled++;
+              onSettled?.(result, items[index], index);
+
+              if (settled === items.length) {
+                resolve(results);
+              } else {
+                launch();
+              }
+            });
+        }
+      };
+
+      launch();
+    });
+  }
+}
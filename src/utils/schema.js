@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import { renderDescription } from './description.js';
+
+// Declarative event schema shared by the validator and the Universe payload builder.
+//
+// Each internal field lists:
+//   label      name used in validation messages
+//   type       string | number | integer | boolean | enum | list | date | time | timezone | custom
+//   required   the row cannot be created without it
+//   values     allowed values for enums (caseInsensitive to accept any case)
+//   min, max   bounds for numbers, length for strings
+//   coerce     turns the row value into the value Universe expects
+//   default    sent when the row leaves the field empty
+//   target     path in the eventCreate input (e.g. "event.category.id")
+//   handledBy  fields consumed by a dedicated builder instead of a target (time slots, rates, images, accounts, templates)
+//   rowOnly    kept on the row for the people editing it; never sent and never warned about
+//
+// Adding a Universe field means adding an entry here. A field with neither a target,
+// handledBy nor rowOnly is validated but never sent, and rows that set it get a warning.
+
+// Fallbacks used when a row does not provide its own location or category
+export const DEFAULT_LATITUDE = 43.653226;
+export const DEFAULT_LONGITUDE = -79.3831843;
+export const DEFAULT_CATEGORY_ID = '52cc8f6154c5317943000003';
+
+const toList = value => (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim());
+
+export const EVENT_SCHEMA = {
+  title: { label: 'Title', type: 'string', required: true, target: 'event.title' },
+  description: { label: 'Description', type: 'string', default: '', target: 'event.descriptionHtml', coerce: renderDescription },
+
+  startDate: { label: 'Start date', type: 'date', required: true, handledBy: 'timeSlots' },
+  startTime: { label: 'Start time', type: 'time', required: true, example: '19:30', handledBy: 'timeSlots' },
+  endDate: { label: 'End date', type: 'date', required: true, handledBy: 'timeSlots' },
+  endTime: { label: 'End time', type: 'time', required: true, example: '22:00', handledBy: 'timeSlots' },
+  timezone: { label: 'Timezone', type: 'timezone', handledBy: 'timeSlots' },
+
+  address: { label: 'Address', type: 'string', required: true, target: 'event.address' },
+  venueName: { label: 'Venue name', type: 'string', required: true, target: 'event.venueName' },
+  // EventCreateInput has no city; Universe takes it from the address
+  cityName: { label: 'City name', type: 'string', rowOnly: true },
+  region: { label: 'Region', type: 'string', target: 'event.region' },
+  // Not supported by EventCreateInput
+  countryCode: { label: 'Country code', type: 'string', min: 2, max: 2, message: 'Country code must be 2 characters (e.g., CA, US)' },
+  latitude: { label: 'Latitude', type: 'number', min: -90, max: 90, default: DEFAULT_LATITUDE, target: 'event.latitude' },
+  longitude: { label: 'Longitude', type: 'number', min: -180, max: 180, default: DEFAULT_LONGITUDE, target: 'event.longitude' },
+
+  privacy: {
+    label: 'Privacy',
+    type: 'enum',
+    values: ['PUBLIC', 'PRIVATE', 'UNLISTED'],
+    caseInsensitive: true,
+    // Universe has no "private" events; unlisted is the closest match
+    coerce: value => (value.toLowerCase() === 'private' ? 'unlisted' : value.toLowerCase()),
+    target: 'event.privacy'
+  },
+  capacity: { label: 'Capacity', type: 'integer', min: 1 },
+  categoryId: { label: 'Category', type: 'string', default: DEFAULT_CATEGORY_ID, target: 'event.category.id' },
+
+  // Checkboxes are only sent when ticked so Universe keeps its own defaults
+  virtual: { label: 'Virtual', type: 'boolean', onlyWhenTrue: true, target: 'event.virtual' },
+  allowWaitlist: { label: 'Allow waitlist', type: 'boolean', onlyWhenTrue: true, target: 'event.allowWaitlist' },
+  timedEntry: { label: 'Timed entry', type: 'boolean', onlyWhenTrue: true, target: 'event.timedEntry' },
+  socialButtons: { label: 'Social buttons', type: 'boolean', onlyWhenTrue: true, target: 'event.socialButtons' },
+  hiddenDate: { label: 'Hidden date', type: 'boolean', onlyWhenTrue: true, target: 'event.hiddenDate' },
+  dateDisplayOption: { label: 'Date display option', type: 'enum', values: ['FULL', 'SHORT', 'HIDDEN'] },
+
+  maxQuantity: { label: 'Max quantity', type: 'integer', min: 1, target: 'event.maxQuantity' },
+  transactionCurrency: { label: 'Transaction currency', type: 'string', target: 'event.transactionCurrency' },
+  availableCountries: { label: 'Available countries', type: 'list', target: 'event.availableCountries' },
+
+  tiktokPixelCodes: { label: 'TikTok pixel codes', type: 'list', target: 'event.tiktokPixelCodes' },
+  facebookPixelCodes: { label: 'Facebook pixel codes', type: 'list', target: 'event.facebookPixelCodes' },
+  googleAnalytics4Id: { label: 'Google Analytics 4 ID', type: 'string', target: 'event.googleAnalytics4Id' },
+
+  // Validated in detail by validateRates / validateRecurrence
+  rates: { label: 'Rates', type: 'custom', handledBy: 'rates' },
+  rateName: { label: 'Rate name', type: 'custom', handledBy: 'rates' },
+  ratePrice: { label: 'Rate price', type: 'custom', handledBy: 'rates' },
+  rateCapacity: { label: 'Rate capacity', type: 'custom', handledBy: 'rates' },
+  rateDescription: { label: 'Rate description', type: 'custom', handledBy: 'rates' },
+  recurrence: { label: 'Recurrence', type: 'custom', handledBy: 'timeSlots' },
+  recurrenceDays: { label: 'Recurrence days', type: 'custom', handledBy: 'timeSlots' },
+  recurrenceInterval: { label: 'Recurrence interval', type: 'custom', handledBy: 'timeSlots' },
+  recurrenceUntil: { label: 'Recurrence until', type: 'custom', handledBy: 'timeSlots' },
+  recurrenceCount: { label: 'Recurrence count', type: 'custom', handledBy: 'timeSlots' },
+  recurrenceExclusions: { label: 'Recurrence exclusions', type: 'custom', handledBy: 'timeSlots' },
+  recurrenceMode: { label: 'Recurrence mode', type: 'custom', handledBy: 'timeSlots' },
+
+  // Uploaded by createEvent and validated by validateImages (see utils/images.js)
+  coverImage: { label: 'Cover image', type: 'custom', handledBy: 'images' },
+  additionalImages: { label: 'Additional images', type: 'custom', handledBy: 'images' },
+
+  publish: { label: 'Publish', type: 'boolean', default: false, target: 'publish' },
+
+  // Which configured Universe account creates the event (see services/accounts.js)
+  account: { label: 'Universe account', type: 'custom', handledBy: 'accounts' },
+
+  // Names of the templates the row inherits empty fields from (see utils/templates.js)
+  template: { label: 'Template', type: 'custom', handledBy: 'templates' }
+};
+
+export const SCHEMA_FIELDS = Object.keys(EVENT_SCHEMA);
+
+export const REQUIRED_FIELDS = SCHEMA_FIELDS.filter(field => EVENT_SCHEMA[field].required);
+
+export const BOOLEAN_FIELDS = SCHEMA_FIELDS.filter(field => EVENT_SCHEMA[field].type === 'boolean');
+
+export const IMAGE_FIELDS = SCHEMA_FIELDS.filter(field => EVENT_SCHEMA[field].handledBy === 'images');
+
+// Fields that are validated but have nowhere to go in the Universe payload
+export const UNMAPPED_FIELDS = SCHEMA_FIELDS.filter(field =>
+  !EVENT_SCHEMA[field].target && !EVENT_SCHEMA[field].handledBy && !EVENT_SCHEMA[field].rowOnly
+);
+
+// Hash of a row's event fields, used to tell whether a failed row was edited since
+export function rowFingerprint(eventData) {
+  const values = SCHEMA_FIELDS.map(field => {
+    const value = eventData[field];
+    if (isBlank(value)) return null;
+    // Airtable attachment URLs expire and change; the attachment id does not
+    return Array.isArray(value) ? value.map(item => item?.id || item) : value;
+  });
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex').substring(0, 16);
+}
+
+export function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Check one field against its schema entry; returns an error message or null
+export function checkField(field, value) {
+  const spec = EVENT_SCHEMA[field];
+  if (!spec || isBlank(value)) return null;
+
+  const { label } = spec;
+
+  switch (spec.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return spec.message || `${label} must be text`;
+      }
+      const length = String(value).trim().length;
+      if ((spec.min !== undefined && length < spec.min) || (spec.max !== undefined && length > spec.max)) {
+        return spec.message || `${label} must be ${describeRange(spec, 'characters')}`;
+      }
+      return null;
+    }
+
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || isNaN(number)) {
+        return `${label} must be a number`;
+      }
+      if (spec.type === 'integer' && !Number.isInteger(number)) {
+        return `${label} must be a whole number`;
+      }
+      if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+        return spec.message || `${label} must be ${describeRange(spec)}`;
+      }
+      return null;
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${label} must be a checkbox (true or false)`;
+
+    case 'enum': {
+      const candidate = spec.caseInsensitive ? String(value).toUpperCase() : value;
+      if (spec.values.includes(candidate)) return null;
+      const options = `${spec.values.slice(0, -1).join(', ')}, or ${spec.values[spec.values.length - 1]}`;
+      return `${label} must be ${options}${spec.caseInsensitive ? ' (case insensitive)' : ''}`;
+    }
+
+    case 'list':
+      return toList(value).some(item => item.length === 0)
+        ? `${label} should not contain empty values`
+        : null;
+
+    default:
+      // date, time, timezone and custom fields need context (the event's zone) and are checked by the validator
+      return null;
+  }
+}
+
+// Turn a row value into what Universe expects, or undefined to leave the field out
+export function coerceField(field, value) {
+  const spec = EVENT_SCHEMA[field];
+
+  if (isBlank(value)) return spec.default;
+  if (spec.coerce) return spec.coerce(value);
+
+  switch (spec.type) {
+    case 'number':
+      return parseFloat(value);
+    case 'integer':
+      return parseInt(value);
+    case 'boolean':
+      if (spec.onlyWhenTrue) return value === true ? true : undefined;
+      return value === true;
+    case 'list':
+      return toList(value).filter(item => item.length > 0);
+    default:
+      return value;
+  }
+}
+
+// Build the schema-driven part of an eventCreate input from a row
+export function buildInput(eventData) {
+  const input = {};
+
+  for (const [field, spec] of Object.entries(EVENT_SCHEMA)) {
+    if (!spec.target) continue;
+
+    const value = coerceField(field, eventData[field]);
+    if (value !== undefined) {
+      setPath(input, spec.target, value);
+    }
+  }
+
+  return input;
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+
+  node[keys[keys.length - 1]] = value;
+}
+
+function describeRange(spec, unit = '') {
+  const suffix = unit ? ` ${unit}` : '';
+  if (spec.min !== undefined && spec.max !== undefined) {
+    return spec.min === spec.max ? `exactly ${spec.min}${suffix}` : `between ${spec.min} and ${spec.max}${suffix}`;
+  }
+  return spec.min !== undefined ? `at least ${spec.min}${suffix}` : `at most ${spec.max}${suffix}`;
+}
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import ColumnMapping from './mapping.js';
+import { SCHEMA_FIELDS, IMAGE_FIELDS, isBlank } from './schema.js';
+import { resolveImagePaths } from './images.js';
+
+// Named templates (venue presets, series defaults) that rows inherit fields from.
+// A row names one or more templates in its template column ("Massey Hall, Jazz Series", or
+// linked records when templates live in Airtable). Later templates win over earlier ones, a
+// template can extend others, and anything the row sets itself wins over all of them.
+//
+// Fields that only make sense together are inherited as a group: a row (or template) that
+// sets any of them inherits none of the others, so a preset's coordinates never end up on
+// a different address.
+
+export const FIELD_GROUPS = {
+  venue: ['address', 'venueName', 'cityName', 'region', 'countryCode', 'latitude', 'longitude'],
+  rates: ['rates', 'rateName', 'ratePrice', 'rateCapacity', 'rateDescription'],
+  recurrence: ['recurrence', 'recurrenceDays', 'recurrenceInterval', 'recurrenceUntil', 'recurrenceCount', 'recurrenceExclusions', 'recurrenceMode']
+};
+
+// Every row has its own title, and templates don't chain through the template column
+const ROW_ONLY_FIELDS = ['title', 'template'];
+
+export const TEMPLATE_FIELDS = SCHEMA_FIELDS.filter(field => !ROW_ONLY_FIELDS.includes(field));
+
+const GROUPED_FIELDS = Object.values(FIELD_GROUPS).flat();
+
+export class TemplateLibrary {
+  // `templates` is a list of { id, name, extends, fields } with fields in internal names
+  constructor(templates = [], label = 'templates') {
+    this.label = label;
+    this.templates = templates.map(template => ({
+      id: template.id || null,
+      name: String(template.name).trim(),
+      extends: templateNames(template.extends),
+      fields: pickTemplateFields(template.fields || {})
+    }));
+    this.byName = new Map(this.templates.map(template => [template.name.toLowerCase(), template]));
+    this.byId = new Map(this.templates.filter(template => template.id).map(template => [template.id, template]));
+  }
+
+  // Templates file shape, with the same column names as the events (see utils/mapping.js):
+  //   {
+  //     "Toronto": { "timezone": "America/Toronto", "transactionCurrency": "CAD" },
+  //     "Massey Hall": { "extends": "Toronto", "venueName": "Massey Hall", "latitude": 43.654 }
+  //   }
+  static load(filename, mapping = new ColumnMapping()) {
+    if (!fs.existsSync(filename)) {
+      throw new Error(`Templates file not found: ${filename}`);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (error) {
+      throw new Error(`Templates file ${filename} is not valid JSON: ${error.message}`);
+    }
+
+    // Image paths are relative to the templates file, as they are to a source file
+    const baseDir = path.dirname(path.resolve(filename));
+    const templates = Object.entries(config).map(([name, { extends: parents, ...columns }]) => {
+      const fields = mapping.toInternal(columns);
+      IMAGE_FIELDS.filter(field => !isBlank(fields[field])).forEach(field => {
+        fields[field] = resolveImagePaths(fields[field], baseDir);
+      });
+      return { name, extends: parents, fields };
+    });
+    return new TemplateLibrary(templates, path.basename(filename));
+  }
+
+  get size() {
+    return this.templates.length;
+  }
+
+  // A template by name (any case) or, for linked records, by record ID
+  find(reference) {
+    const key = String(reference).trim();
+    return this.byId.get(key) || this.byName.get(key.toLowerCase()) || null;
+  }
+
+  // The fields a template provides once the templates it extends are applied, and the
+  // template each one came from: { fields, origins }
+  resolve(template, chain = []) {
+    if (chain.includes(template.name)) {
+      throw new Error(`Template "${template.name}" extends itself (${[...chain, template.name].join(' -> ')})`);
+    }
+
+    let resolved = { fields: {}, origins: {} };
+    for (const reference of template.extends) {
+      const parent = this.find(reference);
+      if (!parent) {
+        throw new Error(`Template "${template.name}" extends unknown template "${reference}"`);
+      }
+      resolved = inherit(resolved, this.resolve(parent, [...chain, template.name]));
+    }
+
+    const origins = Object.fromEntries(Object.keys(template.fields).map(field => [field, template.name]));
+    return inherit(resolved, { fields: template.fields, origins });
+  }
+
+  // Fill the row's empty fields from its templates. Records which template each inherited
+  // field came from in event.templateFields, and templates that couldn't be applied in
+  // event.templateErrors, for the validator.
+  apply(event) {
+    event.templateFields = {};
+    event.templateErrors = [];
+
+    let inherited = { fields: {}, origins: {} };
+    for (const reference of templateNames(event.template)) {
+      const template = this.find(reference);
+      if (!template) {
+        event.templateErrors.push(this.size === 0
+          ? `Template "${reference}" not found - no templates are configured (set TEMPLATES_FILE or AIRTABLE_TEMPLATES_TABLE)`
+          : `Template "${reference}" not found in ${this.label}`);
+        continue;
+      }
+
+      try {
+        inherited = inherit(inherited, this.resolve(template));
+      } catch (error) {
+        event.templateErrors.push(error.message);
+      }
+    }
+
+    const { fields, origins } = inherit(inherited, { fields: pickTemplateFields(event), origins: {} });
+    for (const [field, template] of Object.entries(origins)) {
+      event[field] = fields[field];
+      event.templateFields[field] = template;
+    }
+    return event;
+  }
+
+  // Names of the templates a row uses, directly or through `extends`
+  usedBy(event) {
+    const names = new Set();
+    const visit = reference => {
+      const template = this.find(reference);
+      if (!template || names.has(template.name)) return;
+      names.add(template.name);
+      template.extends.forEach(visit);
+    };
+    templateNames(event.template).forEach(visit);
+    return [...names];
+  }
+}
+
+// Template references from a row or an `extends` value: comma-separated names or linked record IDs
+export function templateNames(value) {
+  if (isBlank(value)) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+}
+
+// Merge `override` over `base`: values set in `override` win, and each group comes whole from one side
+function inherit(base, override) {
+  const fields = { ...override.fields };
+  const origins = { ...override.origins };
+
+  const take = field => {
+    if (isBlank(base.fields[field]) || !isBlank(fields[field])) return;
+    fields[field] = base.fields[field];
+    origins[field] = base.origins[field];
+  };
+
+  for (const group of Object.values(FIELD_GROUPS)) {
+    if (group.some(field => !isBlank(override.fields[field]))) continue;
+    group.forEach(take);
+  }
+  Object.keys(base.fields).filter(field => !GROUPED_FIELDS.includes(field)).forEach(take);
+
+  return { fields, origins };
+}
+
+function pickTemplateFields(fields) {
+  return Object.fromEntries(TEMPLATE_FIELDS.filter(field => !isBlank(fields[field])).map(field => [field, fields[field]]));
+}
@@ -0,0 +1,113 @@
+// Timezone helpers built on Intl so wall-clock times are resolved in the venue's zone,
+// not the zone of the machine running the tool.
+
+const formatters = new Map();
+
+export function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Rows carry an IANA `timezone` column; the run-wide default is applied before validation
+export function getEventTimeZone(eventData) {
+  return eventData.timezone || getSystemTimeZone();
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Offset of the zone from UTC in minutes at the given instant (e.g. -240 for EDT)
+export function getOffsetMinutes(timeZone, instant) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(instant)).map(part => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+export function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `${sign}${hours}:${minutes}`;
+}
+
+// Resolve a wall-clock date ("YYYY-MM-DD") and time ("HH:MM") in an IANA zone.
+// DST transitions are reported rather than silently shifted:
+//   gap       - the time is skipped when clocks spring forward (it does not exist)
+//   ambiguous - the time happens twice when clocks fall back; the first occurrence is used
+export function resolveLocalTime(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute, second = 0] = time.split(':').map(Number);
+  const naive = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  const candidateOffsets = [...new Set([
+    getOffsetMinutes(timeZone, naive - 86400000),
+    getOffsetMinutes(timeZone, naive),
+    getOffsetMinutes(timeZone, naive + 86400000)
+  ])];
+
+  const matches = candidateOffsets
+    .map(offset => ({ offset, instant: naive - offset * 60000 }))
+    .filter(({ offset, instant }) => getOffsetMinutes(timeZone, instant) === offset)
+    .sort((a, b) => a.instant - b.instant);
+
+  const gap = matches.length === 0;
+  // In a gap, use the offset in effect before the transition so the reported time is predictable
+  const offsetBefore = getOffsetMinutes(timeZone, naive - 86400000);
+  const chosen = matches[0] || { offset: offsetBefore, instant: naive - offsetBefore * 60000 };
+
+  const pad = value => String(value).padStart(2, '0');
+  const local = `${date}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+  const offset = formatOffset(chosen.offset);
+
+  return {
+    timeZone,
+    local,
+    offset,
+    iso: `${local}${offset}`,
+    instant: new Date(chosen.instant),
+    gap,
+    ambiguous: matches.length > 1
+  };
+}
+
+// Resolve "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM[:SS]" (e.g. rate sale windows) in a zone.
+// Values that already carry an offset (Airtable date-time fields are UTC) keep their instant.
+export function resolveDateTime(value, timeZone) {
+  const text = String(value).replace(' ', 'T');
+
+  if (/(Z|[+-]\d{2}:\d{2})$/.test(text)) {
+    const instant = Date.parse(text);
+    const parts = Object.fromEntries(
+      getFormatter(timeZone).formatToParts(new Date(instant)).map(part => [part.type, part.value])
+    );
+    return resolveLocalTime(`${parts.year}-${parts.month}-${parts.day}`, `${parts.hour}:${parts.minute}:${parts.second}`, timeZone);
+  }
+
+  const [datePart, timePart = '00:00'] = text.split('T');
+  return resolveLocalTime(datePart, timePart.substring(0, 8), timeZone);
+}
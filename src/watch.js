@@ -0,0 +1,132 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { logger } from './utils/logger.js';
+
+// Watch mode: polls the source and runs the normal pipeline every WATCH_INTERVAL seconds.
+// Each cycle creates new rows, retries error rows edited since they failed and, with
+// `sync`, pushes edits of created rows. Record locks (utils/locks.js) keep several
+// watchers, the trigger server and manual runs off each other's rows.
+//
+// A heartbeat file is rewritten every HEARTBEAT_INTERVAL while the watcher runs, including
+// during long cycles, so a stale `updatedAt` means the process is stuck or gone.
+
+const HEARTBEAT_INTERVAL = 15 * 1000;
+
+export class Watcher {
+  constructor(creator, options = {}) {
+    this.creator = creator;
+    this.interval = (options.interval ?? (parseFloat(process.env.WATCH_INTERVAL) || 60)) * 1000;
+    this.sync = options.sync ?? process.env.WATCH_SYNC === 'true';
+    this.selection = options.selection || {};
+    this.timezone = options.timezone;
+    this.heartbeatFile = options.heartbeatFile || process.env.WATCH_HEARTBEAT_FILE || path.join('.journal', 'watch-heartbeat.json');
+
+    this.state = 'starting';
+    this.startedAt = new Date().toISOString();
+    this.cycles = 0;
+    this.lastCycle = null;
+    this.nextCycleAt = null;
+    this.stopping = false;
+    this.wake = null;
+    this.heartbeatTimer = null;
+  }
+
+  // Resolves once stop() was called and the current cycle has finished
+  async start() {
+    logger.info(`Watching ${this.creator.source.label} every ${this.interval / 1000}s${this.sync ? ' (with sync)' : ''}`);
+    this.heartbeatTimer = setInterval(() => this.writeHeartbeat(), HEARTBEAT_INTERVAL);
+    this.heartbeatTimer.unref();
+
+    while (!this.stopping) {
+      await this.cycle();
+      if (this.stopping) break;
+
+      this.state = 'idle';
+      this.nextCycleAt = new Date(Date.now() + this.interval).toISOString();
+      this.writeHeartbeat();
+      await this.sleep(this.interval);
+    }
+
+    clearInterval(this.heartbeatTimer);
+    this.state = 'stopped';
+    this.nextCycleAt = null;
+    this.writeHeartbeat();
+    logger.info(`Watcher stopped after ${this.cycles} cycles`);
+  }
+
+  // Finish the rows in flight, start no new ones and exit the loop
+  stop() {
+    if (this.stopping) return;
+    this.stopping = true;
+    this.state = 'stopping';
+    this.creator.stop();
+    this.writeHeartbeat();
+    this.wake?.();
+  }
+
+  async cycle() {
+    this.state = 'processing';
+    this.nextCycleAt = null;
+    this.cycles++;
+    const runId = logger.startRun(`watch cycle ${this.cycles}`);
+    const cycle = { runId, startedAt: new Date().toISOString() };
+    this.writeHeartbeat();
+
+    const options = { selection: this.selection, timezone: this.timezone };
+    const steps = [
+      ['created', () => this.creator.run(options)],
+      ['retried', () => this.creator.run({ ...options, retryErrors: true, editedOnly: true })],
+      ...(this.sync ? [['synced', () => this.creator.sync(options)]] : [])
+    ];
+
+    for (const [name, step] of steps) {
+      if (this.stopping) break;
+
+      // Errors are reported in the result (e.g. the source being unreachable); the next cycle tries again
+      const result = await step();
+      cycle[name] = result;
+      if (result.error) {
+        cycle.error = result.error;
+        break;
+      }
+    }
+
+    cycle.finishedAt = new Date().toISOString();
+    this.lastCycle = cycle;
+    logger.info(`Watch cycle ${this.cycles} finished`, cycle);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  writeHeartbeat() {
+    const heartbeat = {
+      pid: process.pid,
+      host: os.hostname(),
+      source: this.creator.source.label,
+      state: this.state,
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      cycles: this.cycles,
+      nextCycleAt: this.nextCycleAt,
+      lastCycle: this.lastCycle
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.heartbeatFile), { recursive: true });
+      const tempFile = `${this.heartbeatFile}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(heartbeat, null, 2));
+      fs.renameSync(tempFile, this.heartbeatFile);
+    } catch (error) {
+      logger.warn(`Could not write heartbeat file: ${error.message}`);
+    }
+  }
+}
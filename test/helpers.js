@@ -0,0 +1,98 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockUniverse } from './mocks/universe.js';
+import { MockAirtable } from './mocks/airtable.js';
+
+// Imported first by every test file. Each file runs in its own process, in a fresh temporary
+// directory, so logs, reports, the journal, locks and the image cache never touch the checkout,
+// and a local .env can't point a test at real Universe events or a real base.
+// Console output is dropped unless TEST_VERBOSE=true.
+
+export const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'universe-bulk-test-'));
+process.chdir(TEST_DIR);
+
+// Kept with TEST_VERBOSE=true, to look at the logs and reports of a failing test
+if (process.env.TEST_VERBOSE !== 'true') {
+  process.once('exit', () => fs.rmSync(TEST_DIR, { recursive: true, force: true }));
+}
+
+for (const name of Object.keys(process.env).filter(name => /^(UNIVERSE|AIRTABLE|SOURCE|TEMPLATES|COLUMN_MAPPING|DRY_RUN|WATCH|TRIGGER)_/.test(name))) {
+  delete process.env[name];
+}
+
+Object.assign(process.env, {
+  LOG_LEVEL: process.env.TEST_VERBOSE === 'true' ? 'debug' : 'error',
+  UNIVERSE_CLIENT_ID: 'test-client',
+  UNIVERSE_CLIENT_SECRET: 'test-secret',
+  UNIVERSE_HOST_ID: 'host-1',
+  UNIVERSE_RATE_LIMIT: '1000',
+  AIRTABLE_API_KEY: 'test-airtable-key',
+  AIRTABLE_BASE_ID: 'appTest',
+  AIRTABLE_TABLE_NAME: 'Events',
+  AIRTABLE_RATE_LIMIT: '1000',
+  EVENT_SOURCE: 'airtable',
+  DEFAULT_TIMEZONE: '',
+  RETRY_BASE_DELAY: '5',
+  IMAGE_DOWNLOAD_RATE_LIMIT: '1000',
+  IMAGE_DOWNLOAD_TIMEOUT: '0.5',
+  MAX_RETRIES: '3',
+  CONCURRENCY: '3'
+});
+
+// Spinners write straight to stderr
+if (process.env.TEST_VERBOSE !== 'true') {
+  console.log = () => {};
+  process.stderr.write = () => true;
+}
+
+// Fresh journal, lock and report locations, so each test starts without earlier runs' state
+let isolated = 0;
+export function isolate() {
+  const dir = path.join(TEST_DIR, `run-${++isolated}`);
+  Object.assign(process.env, {
+    JOURNAL_FILE: path.join(dir, 'journal.jsonl'),
+    LOCK_DIR: path.join(dir, 'locks'),
+    REPORT_DIR: path.join(dir, 'reports'),
+    IMAGE_CACHE_FILE: path.join(dir, 'images.json')
+  });
+  return dir;
+}
+
+// Start both mocks and point the tool at them; call stop() on the result when done
+export async function startMocks(options = {}) {
+  const universe = await new MockUniverse(options.universe).start();
+  const airtable = await new MockAirtable(options.airtable).start();
+  process.env.UNIVERSE_BASE_URL = universe.url;
+  process.env.AIRTABLE_ENDPOINT_URL = airtable.url;
+
+  return {
+    universe,
+    airtable,
+    stop: () => Promise.all([universe.stop(), airtable.stop()])
+  };
+}
+
+// A valid row, in internal field names, a year ahead so it never starts in the past
+export function eventRow(overrides = {}) {
+  const year = new Date().getFullYear() + 1;
+  return {
+    title: 'Jazz Night',
+    description: 'An evening of **jazz**.',
+    startDate: `${year}-07-15`,
+    startTime: '19:30',
+    endDate: `${year}-07-15`,
+    endTime: '23:00',
+    timezone: 'America/Toronto',
+    address: '178 Victoria St, Toronto, ON',
+    venueName: 'Massey Hall',
+    cityName: 'Toronto',
+    latitude: 43.6543,
+    longitude: -79.3788,
+    categoryId: '52cc8f6154c5317943000003',
+    ratePrice: 25,
+    rateName: 'General Admission',
+    rateCapacity: 100,
+    ...overrides
+  };
+}
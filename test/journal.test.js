@@ -0,0 +1,67 @@
+import { isolate } from './helpers.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import RunJournal from '../src/utils/journal.js';
+
+describe('RunJournal', () => {
+  let filename;
+
+  beforeEach(() => {
+    filename = path.join(isolate(), 'journal.jsonl');
+  });
+
+  const lines = () => fs.readFileSync(filename, 'utf8').split('\n').filter(Boolean).length;
+
+  it('replays intents, creates and write-backs into per-record state', () => {
+    const journal = new RunJournal(filename);
+    journal.recordIntent('rec1', 0, { title: 'Jazz Night', total: 2 });
+    journal.recordCreated('rec1', 0, { id: 'evt1', slug: 'jazz', state: 'DRAFT' });
+    journal.recordIntent('rec1', 1, { title: 'Jazz Night', total: 2 });
+    journal.recordIntent('rec2', 0, { title: 'Blues Night', total: 1 });
+    journal.recordCreated('rec2', 0, { id: 'evt2', slug: 'blues', state: 'DRAFT' });
+    journal.recordWritten('rec2');
+
+    assert.deepEqual(journal.getCreatedEvents('rec1').map(event => event?.id), ['evt1']);
+    assert.deepEqual(journal.getUnfinished().map(record => record.recordId), ['rec1']);
+    // A fresh instance reads the same state from the file
+    assert.deepEqual(new RunJournal(filename).getUnfinished().map(record => record.recordId), ['rec1']);
+  });
+
+  it('sees entries other instances append and reads the file again after it was compacted', () => {
+    const journal = new RunJournal(filename);
+    const other = new RunJournal(filename);
+    journal.recordIntent('rec1', 0, { title: 'Jazz Night', total: 1 });
+    assert.equal(journal.getUnfinished().length, 1);
+
+    other.recordCreated('rec1', 0, { id: 'evt1', slug: 'jazz', state: 'DRAFT' });
+    other.recordWritten('rec1');
+    assert.equal(journal.getUnfinished().length, 0);
+
+    other.compact();
+    journal.recordIntent('rec2', 0, { title: 'Blues Night', total: 1 });
+    assert.deepEqual([...journal.getRecords().keys()], ['rec2']);
+  });
+
+  it('skips a line torn by a crash mid-write', () => {
+    const journal = new RunJournal(filename);
+    journal.recordIntent('rec1', 0, { title: 'Jazz Night', total: 1 });
+    fs.appendFileSync(filename, '{"recordId":"rec1","occ\n');
+
+    assert.equal(journal.readEntries().length, 1);
+    assert.equal(journal.getRecord('rec1').occurrences.get(0).status, 'intent');
+  });
+
+  it('drops finished records when compacted', () => {
+    const journal = new RunJournal(filename);
+    journal.recordIntent('rec1', 0, { title: 'Jazz Night', total: 1 });
+    journal.recordCreated('rec1', 0, { id: 'evt1', slug: 'jazz', state: 'DRAFT' });
+    journal.recordWritten('rec1');
+    journal.recordIntent('rec2', 0, { title: 'Blues Night', total: 1 });
+
+    assert.equal(journal.compact(), 1);
+    assert.equal(lines(), 1);
+    assert.equal(journal.getRecord('rec1'), null);
+  });
+});
@@ -0,0 +1,208 @@
+import { eventRow, isolate, startMocks } from './helpers.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import BulkEventCreator, { UniverseService } from '../src/index.js';
+
+// A source kept in memory, implementing what run() needs (see sources/index.js)
+class MemorySource {
+  constructor(rows) {
+    this.label = 'Memory';
+    this.rows = rows.map((row, index) => ({ recordId: `row-${index + 1}`, ...row }));
+  }
+
+  async checkMapping() {
+    return [];
+  }
+
+  async getUnprocessedEvents() {
+    return this.rows.filter(row => !row.status).map(row => ({ ...row }));
+  }
+
+  async getErrorEvents() {
+    return this.rows.filter(row => row.status === 'Error').map(row => ({ ...row }));
+  }
+
+  async getEvents() {
+    return this.rows.map(row => ({ ...row }));
+  }
+
+  async getEventsToSync() {
+    return this.rows.filter(row => row.universeEventId).map(row => ({ ...row }));
+  }
+
+  async markAsCreated(recordId, universeEventId, universeUrl, clientMutationId, extraFields = {}) {
+    Object.assign(this.find(recordId), { status: 'Created', universeEventId, universeUrl, ...extraFields });
+  }
+
+  async markAsError(recordId, errorMessage) {
+    Object.assign(this.find(recordId), { status: 'Error', errorMessage });
+    return true;
+  }
+
+  async markAsSynced() {}
+
+  async updateRecord(recordId, fields) {
+    Object.assign(this.find(recordId), fields);
+  }
+
+  find(recordId) {
+    return this.rows.find(row => row.recordId === recordId);
+  }
+}
+
+// Every event a creator emits, in order, as [name, payload]
+function record(creator) {
+  const events = [];
+  for (const name of ['start', 'stage', 'notice', 'validated', 'creating', 'published', 'created', 'retrying', 'failed', 'skipped', 'verified', 'done']) {
+    creator.on(name, payload => events.push([name, payload]));
+  }
+  return events;
+}
+
+describe('library API', () => {
+  let mocks;
+  let universe;
+  let airtable;
+
+  before(async () => {
+    mocks = await startMocks();
+    ({ universe, airtable } = mocks);
+  });
+
+  after(() => mocks.stop());
+
+  beforeEach(() => {
+    universe.reset();
+    airtable.reset();
+    isolate();
+  });
+
+  it('emits progress events and resolves to each row\'s outcome', async () => {
+    const [createdId, invalidId] = airtable.addRecords('Events', [
+      eventRow({ publish: true }),
+      eventRow({ title: 'Backwards', startTime: '23:00', endTime: '19:00' })
+    ]);
+    universe.fail('EventCreate', { status: 503 });
+    const creator = new BulkEventCreator();
+    const events = record(creator);
+
+    const result = await creator.run({ skipVerify: true });
+
+    const names = events.map(([name]) => name);
+    assert.equal(names[0], 'start');
+    assert.equal(names.at(-1), 'done');
+    assert.deepEqual(names.filter(name => !['start', 'stage', 'notice', 'done'].includes(name)), [
+      'validated', 'validated', 'creating', 'retrying', 'creating', 'published', 'created'
+    ]);
+
+    const payload = name => events.find(([event]) => event === name)[1];
+    assert.deepEqual(payload('start'), { command: 'create', dryRun: false, source: 'Airtable' });
+    assert.deepEqual(payload('retrying'), {
+      ...payload('retrying'),
+      recordId: createdId,
+      action: 'create',
+      step: 'create',
+      category: 'network',
+      attempt: 2,
+      maxAttempts: 4
+    });
+    assert.equal(payload('created').universeEventId, airtable.record('Events', createdId).universeEventId);
+    assert.equal(payload('done').result, result);
+
+    const stages = events.filter(([name]) => name === 'stage').map(([, { stage, status }]) => `${stage}:${status}`);
+    assert.deepEqual(stages.filter(stage => !stage.endsWith(':update')), [
+      'reconcile:start', 'reconcile:done', 'fetch:start', 'fetch:done', 'validate:start', 'validate:done', 'process:start', 'process:done'
+    ]);
+
+    assert.deepEqual(result.events.map(({ recordId, outcome }) => [recordId, outcome]), [[createdId, 'created'], [invalidId, 'invalid']]);
+    assert.equal(result.events[0].universeUrl, airtable.record('Events', createdId).universeUrl);
+    assert.deepEqual(result.events[1].errors, ['Event end must be after event start (supports multi-day events)']);
+  });
+
+  it('emits failed with the category and step', async () => {
+    const [recordId] = airtable.addRecords('Events', [eventRow()]);
+    universe.fail('EventCreate', { payloadErrors: ['Venue is closed'] });
+    const creator = new BulkEventCreator();
+    const events = record(creator);
+
+    const result = await creator.run({ skipVerify: true });
+
+    const [, failed] = events.find(([name]) => name === 'failed');
+    assert.deepEqual(failed, {
+      recordId,
+      title: 'Jazz Night',
+      account: 'default',
+      action: 'create',
+      step: 'create',
+      category: 'business',
+      error: failed.error,
+      attempts: 1
+    });
+    assert.match(failed.error, /Venue is closed/);
+    assert.deepEqual(result.events.map(({ outcome, errorCategory }) => [outcome, errorCategory]), [['failed', 'business']]);
+  });
+
+  it('returns the payloads of a dry run', async () => {
+    airtable.addRecords('Events', [eventRow({ latitude: '', longitude: '' })]);
+
+    const result = await new BulkEventCreator().run({ dryRun: true });
+
+    assert.equal(result.payloads.length, 1);
+    assert.equal(result.payloads[0].venue, 'Massey Hall');
+    assert.equal(result.payloads[0].fallbacks.length, 1);
+    assert.ok(result.dryRunFile);
+    assert.deepEqual(result.events.map(({ outcome }) => outcome), ['valid']);
+  });
+
+  it('uses an injected source, Universe client and logger, and prints nothing', async () => {
+    const source = new MemorySource([eventRow(), eventRow({ title: 'Refused' })]);
+    const client = new UniverseService({ clientId: 'test-client', clientSecret: 'test-secret', hostId: 'host-1', baseUrl: universe.url });
+    const entries = [];
+    const sink = Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level => [level, (message, fields) => entries.push({ level, message, ...fields })]));
+    universe.fail('EventCreate', { payloadErrors: ['Title is refused'] });
+
+    const printed = [];
+    const log = console.log;
+    console.log = (...args) => printed.push(args);
+    let result;
+    try {
+      result = await new BulkEventCreator({ source, universe: client, logger: sink }).run({ skipVerify: true });
+    } finally {
+      console.log = log;
+    }
+
+    assert.deepEqual({ created: result.created, failed: result.failed }, { created: 1, failed: 1 });
+    assert.equal(source.rows.filter(row => row.status === 'Created').length, 1);
+    assert.equal(source.rows.filter(row => row.status === 'Error').length, 1);
+    assert.equal(airtable.calls().length, 0);
+    assert.deepEqual(printed, []);
+
+    // Services log to the sink too, with the run and row each entry belongs to
+    const failure = entries.find(entry => entry.message.startsWith('Failed to create event'));
+    assert.equal(failure.level, 'error');
+    assert.ok(failure.runId);
+    assert.equal(source.find(failure.recordId).title, failure.message.replace('Failed to create event: ', ''));
+    assert.match(failure.data, /Title is refused/);
+  });
+
+  it('adds no exit listeners however many creators are made', () => {
+    const before = process.listenerCount('exit');
+
+    for (let i = 0; i < 12; i++) new BulkEventCreator();
+
+    assert.equal(process.listenerCount('exit'), before);
+  });
+
+  it('lets go of a shared Universe client once closed', async () => {
+    const client = new UniverseService();
+    const before = client.limiter.listeners.size;
+
+    for (let i = 0; i < 5; i++) {
+      const creator = new BulkEventCreator({ universe: client });
+      await creator.run();
+      creator.close();
+    }
+
+    assert.equal(client.limiter.listeners.size, before);
+  });
+});
@@ -0,0 +1,338 @@
+import http from 'http';
+
+// In-memory stand-in for the Airtable REST API, enough for the Airtable SDK as the tool uses it:
+// listing records (filterByFormula, view, maxRecords, paging), updating a record, and the
+// metadata API. Point AIRTABLE_ENDPOINT_URL at it. Tables spring into existence when records are
+// added; give a table `columns` to have updates of unknown columns refused as Airtable does.
+//
+// Failures are injected per operation (`select`, `update`, `tables`) with fail(), like the
+// Universe mock (see universe.js).
+
+const PAGE_SIZE = 100;
+
+export class MockAirtable {
+  constructor({ apiKey = 'test-airtable-key', baseId = 'appTest' } = {}) {
+    this.apiKey = apiKey;
+    this.baseId = baseId;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.url = null;
+    this.reset();
+  }
+
+  reset() {
+    this.tables = new Map();
+    this.requests = [];
+    this.faults = new Map();
+    this.delays = new Map();
+    this.nextId = 1;
+  }
+
+  async start(port = 0, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    this.url = `http://${host}:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Declare a table's columns (optional); updates naming any other column are refused
+  defineTable(name, columns = null) {
+    this.table(name).columns = columns;
+    return this;
+  }
+
+  // Add records (plain field objects); resolves to their record IDs
+  addRecords(name, records) {
+    const table = this.table(name);
+    return records.map(fields => {
+      const id = `rec${String(this.nextId++).padStart(14, '0')}`;
+      table.records.set(id, { id, createdTime: new Date().toISOString(), fields: compact(fields) });
+      return id;
+    });
+  }
+
+  // A record's current fields, or null
+  record(name, id) {
+    return this.table(name).records.get(id)?.fields || null;
+  }
+
+  records(name) {
+    return [...this.table(name).records.values()].map(record => ({ id: record.id, ...record.fields }));
+  }
+
+  // Fail the next `times` calls to `operation` with { status, message, type, retryAfter }
+  fail(operation, fault = {}, times = 1) {
+    this.faults.set(operation, [...(this.faults.get(operation) || []), ...Array(times).fill(fault)]);
+    return this;
+  }
+
+  delay(operation, ms) {
+    this.delays.set(operation, ms);
+    return this;
+  }
+
+  calls(operation = null) {
+    return this.requests.filter(request => !operation || request.operation === operation);
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, { name, columns: null, records: new Map() });
+    }
+    return this.tables.get(name);
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const body = await readBody(req);
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (req.headers.authorization !== `Bearer ${this.apiKey}`) {
+      return send(res, 401, { error: { type: 'AUTHENTICATION_REQUIRED', message: 'Authentication required' } });
+    }
+
+    // /v0/meta/bases/<base>/tables, /v0/<base>/<table>, /v0/<base>/<table>/<record>
+    if (parts[1] === 'meta' && parts[2] === 'bases' && parts[3] === this.baseId && parts[4] === 'tables') {
+      return this.respond(res, 'tables', {}, () => this.describeTables());
+    }
+    if (parts[0] !== 'v0' || parts[1] !== this.baseId || !parts[2]) {
+      return send(res, 404, { error: { type: 'NOT_FOUND', message: `Could not find ${url.pathname}` } });
+    }
+
+    const tableName = parts[2];
+    if (req.method === 'GET' && parts.length === 3) {
+      const params = Object.fromEntries(url.searchParams);
+      return this.respond(res, 'select', { table: tableName, ...params }, () => this.select(tableName, params));
+    }
+    if (req.method === 'POST' && parts[3] === 'listRecords') {
+      const params = JSON.parse(body || '{}');
+      return this.respond(res, 'select', { table: tableName, ...params }, () => this.select(tableName, params));
+    }
+    if (req.method === 'PATCH' && parts.length === 4) {
+      const { fields = {} } = JSON.parse(body || '{}');
+      return this.respond(res, 'update', { table: tableName, recordId: parts[3], fields }, () => this.update(tableName, parts[3], fields));
+    }
+
+    send(res, 404, { error: { type: 'NOT_FOUND', message: `No mock route for ${req.method} ${url.pathname}` } });
+  }
+
+  async respond(res, operation, details, execute) {
+    const fault = this.faults.get(operation)?.shift() || null;
+    this.requests.push({ operation, ...details, fault });
+
+    const ms = this.delays.get(operation) ?? this.delays.get('*') ?? 0;
+    if (ms > 0) await new Promise(resolve => setTimeout(resolve, ms));
+
+    if (fault) {
+      const status = fault.status || 500;
+      const headers = fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {};
+      return send(res, status, { error: { type: fault.type || 'SERVER_ERROR', message: fault.message || `Mock ${operation} failure (${status})` } }, headers);
+    }
+
+    try {
+      const { status = 200, body } = execute();
+      send(res, status, body);
+    } catch (error) {
+      send(res, 422, { error: { type: error.type || 'INVALID_REQUEST_UNKNOWN', message: error.message } });
+    }
+  }
+
+  select(name, { filterByFormula, maxRecords, pageSize, offset }) {
+    const formula = filterByFormula ? parseFormula(filterByFormula) : null;
+    const matching = [...this.table(name).records.values()]
+      .filter(record => !formula || isTruthy(formula(record)))
+      .slice(0, maxRecords ? Number(maxRecords) : undefined);
+
+    const start = Number(offset) || 0;
+    const size = Math.min(Number(pageSize) || PAGE_SIZE, PAGE_SIZE);
+    const page = matching.slice(start, start + size);
+    return {
+      body: {
+        records: page,
+        ...(start + size < matching.length && { offset: String(start + size) })
+      }
+    };
+  }
+
+  update(name, id, fields) {
+    const table = this.table(name);
+    const record = table.records.get(id);
+    if (!record) {
+      return { status: 404, body: { error: { type: 'NOT_FOUND', message: `Record ${id} not found` } } };
+    }
+
+    const unknown = table.columns && Object.keys(fields).find(column => !table.columns.includes(column));
+    if (unknown) {
+      return { status: 422, body: { error: { type: 'UNKNOWN_FIELD_NAME', message: `Unknown field name: "${unknown}"` } } };
+    }
+
+    record.fields = compact({ ...record.fields, ...fields });
+    return { body: record };
+  }
+
+  describeTables() {
+    const tables = [...this.tables.values()].map(table => {
+      const columns = table.columns || [...new Set([...table.records.values()].flatMap(record => Object.keys(record.fields)))];
+      return { id: `tbl${table.name}`, name: table.name, fields: columns.map(column => ({ name: column })) };
+    });
+    return { body: { tables } };
+  }
+}
+
+// Airtable leaves empty fields out of records
+function compact(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null && value !== undefined && value !== '' && value !== false));
+}
+
+// A small subset of Airtable's formula language, enough for the tool's filters and --filter:
+// {Column}, 'strings', numbers, = != < > <= >=, &, AND(), OR(), NOT(), RECORD_ID(), BLANK(),
+// TRUE(), FALSE(), LOWER(), UPPER() and LEN(). Returns a function of a record.
+export function parseFormula(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = value => {
+    const token = next();
+    if (token?.value !== value) throw formulaError(`expected "${value}" in ${source}`);
+  };
+
+  const comparison = () => {
+    const left = concatenation();
+    if (peek()?.type === 'operator' && peek().value !== '&') {
+      const operator = next().value;
+      const right = concatenation();
+      return record => compare(left(record), operator, right(record));
+    }
+    return left;
+  };
+
+  const concatenation = () => {
+    const parts = [primary()];
+    while (peek()?.value === '&') {
+      next();
+      parts.push(primary());
+    }
+    return parts.length === 1 ? parts[0] : record => parts.map(part => toText(part(record))).join('');
+  };
+
+  const primary = () => {
+    const token = next();
+    if (!token) throw formulaError(`unexpected end of ${source}`);
+
+    if (token.type === 'field') return record => record.fields[token.value];
+    if (token.type === 'string' || token.type === 'number') return () => token.value;
+    if (token.value === '(') {
+      const inner = comparison();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'name') {
+      expect('(');
+      const args = [];
+      while (peek()?.value !== ')') {
+        args.push(comparison());
+        if (peek()?.value === ',') next();
+      }
+      expect(')');
+      return callFunction(token.value.toUpperCase(), args);
+    }
+    throw formulaError(`unexpected "${token.value}" in ${source}`);
+  };
+
+  const formula = comparison();
+  if (position < tokens.length) throw formulaError(`unexpected "${peek().value}" in ${source}`);
+  return formula;
+}
+
+function callFunction(name, args) {
+  const functions = {
+    AND: record => args.every(arg => isTruthy(arg(record))),
+    OR: record => args.some(arg => isTruthy(arg(record))),
+    NOT: record => !isTruthy(args[0](record)),
+    RECORD_ID: record => record.id,
+    BLANK: () => '',
+    TRUE: () => true,
+    FALSE: () => false,
+    LOWER: record => toText(args[0](record)).toLowerCase(),
+    UPPER: record => toText(args[0](record)).toUpperCase(),
+    LEN: record => toText(args[0](record)).length
+  };
+  if (!functions[name]) throw formulaError(`unknown function ${name}()`);
+  return functions[name];
+}
+
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:\{([^}]*)\}|'((?:\\.|[^'\\])*)'|"((?:\\.|[^"\\])*)"|(\d+(?:\.\d+)?)|([A-Za-z_]\w*)|(!=|<=|>=|=|<|>|&)|([(),]))/y;
+
+  let match;
+  while (pattern.lastIndex < source.length && (match = pattern.exec(source))) {
+    const [, field, single, double, number, name, operator, punctuation] = match;
+    if (field !== undefined) tokens.push({ type: 'field', value: field });
+    else if (single !== undefined || double !== undefined) tokens.push({ type: 'string', value: (single ?? double).replace(/\\(.)/g, '$1') });
+    else if (number !== undefined) tokens.push({ type: 'number', value: Number(number) });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name });
+    else if (operator !== undefined) tokens.push({ type: 'operator', value: operator });
+    else if (punctuation !== undefined) tokens.push({ type: 'punctuation', value: punctuation });
+  }
+  if (source.slice(pattern.lastIndex).trim()) {
+    throw formulaError(`cannot parse ${source}`);
+  }
+  return tokens;
+}
+
+function compare(left, operator, right) {
+  const numeric = typeof left === 'number' || typeof right === 'number';
+  const a = numeric ? Number(left ?? 0) : toText(left);
+  const b = numeric ? Number(right ?? 0) : toText(right);
+
+  switch (operator) {
+    case '=': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    case '>=': return a >= b;
+  }
+}
+
+// Blank fields compare equal to '', linked records and multiple selects as their joined values
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (value === true) return '1';
+  if (value === false) return '0';
+  return String(value);
+}
+
+function isTruthy(value) {
+  return Boolean(value) && value !== '0';
+}
+
+function formulaError(message) {
+  const error = new Error(`Invalid formula: ${message}`);
+  error.type = 'INVALID_FILTER_BY_FORMULA';
+  return error;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,382 @@
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { buildSchema, graphql, parse, getOperationAST } from 'graphql';
+
+// Local stand-in for Universe: the OAuth token endpoint, the GraphQL API (events, lifecycle
+// mutations, viewer and hosted events) and image uploads, all kept in memory. Point
+// UNIVERSE_BASE_URL at it to run the tool without touching real events:
+//
+//   node test/mocks/universe.js            # listens on MOCK_UNIVERSE_PORT (default 4010)
+//   UNIVERSE_BASE_URL=http://127.0.0.1:4010 UNIVERSE_CLIENT_ID=test-client UNIVERSE_CLIENT_SECRET=test-secret npm start
+//
+// Tests inject failures per operation (the GraphQL operation name, `OAuthToken` or `ImageUpload`)
+// with fail(), and latency with delay().
+
+// Input types are opaque scalars, so any payload the tool builds is accepted and stored as sent
+const SCHEMA = buildSchema(`
+  scalar JSON
+  scalar EventCreateInput
+  scalar EventUpdateInput
+  scalar EventPublishInput
+  scalar EventUnpublishInput
+  scalar EventCancelInput
+  scalar EventDeleteInput
+
+  type Query {
+    viewer: Viewer
+    event(id: ID!): Event
+  }
+
+  type Mutation {
+    eventCreate(input: EventCreateInput!): EventPayload
+    eventUpdate(input: EventUpdateInput!): EventPayload
+    eventPublish(input: EventPublishInput!): EventPayload
+    eventUnpublish(input: EventUnpublishInput!): EventPayload
+    eventCancel(input: EventCancelInput!): EventPayload
+    eventDelete(input: EventDeleteInput!): EventPayload
+  }
+
+  type EventPayload {
+    clientMutationId: String
+    errors: JSON
+    event: Event
+  }
+
+  type Viewer {
+    id: ID!
+    hostedEvents(limit: Int, offset: Int): EventConnection!
+  }
+
+  type EventConnection {
+    totalCount: Int!
+    nodes: [Event!]!
+  }
+
+  type Event {
+    id: ID!
+    title: String
+    slug: String
+    state: String
+    privacy: String
+    virtual: Boolean
+    venueName: String
+    address: String
+    latitude: Float
+    longitude: Float
+    descriptionHtml: String
+    region: String
+    allowWaitlist: Boolean
+    socialButtons: Boolean
+    hiddenDate: Boolean
+    timedEntry: Boolean
+    maxQuantity: Int
+    transactionCurrency: String
+    category: Category
+    timeSlots: TimeSlotConnection
+    rates: RateConnection
+  }
+
+  type Category {
+    id: ID
+  }
+
+  type TimeSlotConnection {
+    nodes: [TimeSlot!]!
+  }
+
+  type TimeSlot {
+    id: ID!
+    startAt: String
+    endAt: String
+    state: String
+  }
+
+  type RateConnection {
+    nodes: [Rate!]!
+  }
+
+  type Rate {
+    id: ID!
+    name: String
+    price: Float
+    displayPrice: String
+    state: String
+    capacity: Int
+    description: String
+    soldCount: Int
+  }
+`);
+
+const LIFECYCLE_STATES = {
+  eventPublish: 'POSTED',
+  eventUnpublish: 'DRAFT',
+  eventCancel: 'CANCELLED'
+};
+
+export class MockUniverse {
+  // `clients` maps client IDs to { secret, hostId }
+  constructor({ clients = { 'test-client': { secret: 'test-secret', hostId: 'host-1' } }, tokenLifetime = 7200 } = {}) {
+    this.clients = clients;
+    this.tokenLifetime = tokenLifetime;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.url = null;
+    this.reset();
+  }
+
+  // Forget every event, token, request and injected fault
+  reset() {
+    this.events = new Map();
+    this.tokens = new Map();
+    this.requests = [];
+    this.faults = new Map();
+    this.delays = new Map();
+    this.nextId = 1;
+  }
+
+  async start(port = 0, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    this.url = `http://${host}:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Fail the next `times` calls to `operation`. A fault is one of
+  //   { status, message, retryAfter }  an HTTP error (429s send Retry-After, in seconds)
+  //   { payloadErrors }                 the mutation answers with its own errors list
+  //   { graphqlErrors }                 a 200 with top-level GraphQL errors
+  //   { drop: true }                    the connection is closed without an answer
+  // With `afterCommit: true` the operation is carried out before the failure is returned.
+  fail(operation, fault = {}, times = 1) {
+    this.faults.set(operation, [...(this.faults.get(operation) || []), ...Array(times).fill(fault)]);
+    return this;
+  }
+
+  // Answer every call to `operation` ('*' for all of them) after `ms` milliseconds
+  delay(operation, ms) {
+    this.delays.set(operation, ms);
+    return this;
+  }
+
+  // Calls made to an operation (all of them without one), as { operation, variables, fault }
+  calls(operation = null) {
+    return this.requests.filter(request => !operation || request.operation === operation);
+  }
+
+  hostedBy(hostId) {
+    return [...this.events.values()].filter(event => event.hostId === hostId);
+  }
+
+  async handle(req, res) {
+    const body = await readBody(req);
+    const path = req.url.split('?')[0];
+
+    try {
+      if (req.method === 'POST' && path === '/oauth/token') {
+        return await this.respond(req, res, 'OAuthToken', {}, () => this.issueToken(JSON.parse(body || '{}')));
+      }
+      if (req.method === 'POST' && path === '/graphql') {
+        return await this.handleGraphql(req, res, JSON.parse(body || '{}'));
+      }
+      if (req.method === 'POST' && path === '/api/v2/images') {
+        return await this.respond(req, res, 'ImageUpload', {}, () => this.uploadImage(req, body));
+      }
+      send(res, 404, { error: `No mock route for ${req.method} ${path}` });
+    } catch (error) {
+      send(res, 500, { errors: [{ message: error.message }] });
+    }
+  }
+
+  async handleGraphql(req, res, { query, variables = {}, operationName }) {
+    let operation = 'graphql';
+    try {
+      operation = getOperationAST(parse(query), operationName)?.name?.value || operation;
+    } catch {
+      // Syntax errors are reported by graphql() below
+    }
+
+    await this.respond(req, res, operation, variables, async () => {
+      const hostId = this.authenticate(req);
+      if (!hostId) {
+        return { status: 401, body: { errors: [{ message: 'Unauthorized: invalid or expired access token' }] } };
+      }
+
+      const result = await graphql({ schema: SCHEMA, source: query, variableValues: variables, operationName, rootValue: this.resolvers(hostId) });
+      return { status: 200, body: result };
+    });
+  }
+
+  // Apply the operation's latency and fault, then answer with `execute`'s { status, body }
+  async respond(req, res, operation, variables, execute) {
+    const fault = this.faults.get(operation)?.shift() || null;
+    this.requests.push({ operation, variables, fault });
+
+    const ms = this.delays.get(operation) ?? this.delays.get('*') ?? 0;
+    if (ms > 0) await new Promise(resolve => setTimeout(resolve, ms));
+
+    if (!fault) {
+      const { status, body } = await execute();
+      return send(res, status, body);
+    }
+
+    if (fault.afterCommit) await execute();
+
+    if (fault.drop) {
+      req.socket.destroy();
+      return;
+    }
+    if (fault.payloadErrors) {
+      const field = operation.charAt(0).toLowerCase() + operation.slice(1);
+      return send(res, 200, { data: { [field]: { clientMutationId: variables.input?.clientMutationId || null, errors: fault.payloadErrors, event: null } } });
+    }
+    if (fault.graphqlErrors) {
+      return send(res, 200, { errors: fault.graphqlErrors.map(message => ({ message })) });
+    }
+
+    const status = fault.status || 500;
+    const headers = fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {};
+    send(res, status, { errors: [{ message: fault.message || `Mock ${operation} failure (${status})` }] }, headers);
+  }
+
+  issueToken({ client_id: clientId, client_secret: clientSecret }) {
+    const client = this.clients[clientId];
+    if (!client || client.secret !== clientSecret) {
+      return { status: 401, body: { error: 'invalid_client', error_description: 'Client authentication failed' } };
+    }
+
+    const token = `mock-token-${this.tokens.size + 1}`;
+    this.tokens.set(token, { hostId: client.hostId, expiresAt: Date.now() + this.tokenLifetime * 1000 });
+    return { status: 200, body: { access_token: token, token_type: 'Bearer', expires_in: this.tokenLifetime } };
+  }
+
+  // The host a request's bearer token belongs to, or null
+  authenticate(req) {
+    const token = this.tokens.get(String(req.headers.authorization).replace(/^Bearer /, ''));
+    return token && token.expiresAt > Date.now() ? token.hostId : null;
+  }
+
+  uploadImage(req, body) {
+    if (!this.authenticate(req)) {
+      return { status: 401, body: { error: 'Unauthorized' } };
+    }
+    const id = `image-${this.nextId++}`;
+    return { status: 200, body: { image: { id, url: `${this.url}/images/${id}.jpg`, bytes: body.length } } };
+  }
+
+  resolvers(hostId) {
+    const find = id => {
+      const event = this.events.get(String(id));
+      return event && event.hostId === hostId ? event : null;
+    };
+
+    const payload = (input, event, errors = []) => ({ clientMutationId: input.clientMutationId, errors, event });
+
+    const lifecycle = field => ({ input }) => {
+      const event = find(input.id);
+      if (!event) return payload(input, null, [`Event ${input.id} not found`]);
+      event.state = LIFECYCLE_STATES[field];
+      return payload(input, event);
+    };
+
+    return {
+      viewer: () => ({
+        id: hostId,
+        hostedEvents: ({ limit = 50, offset = 0 }) => {
+          const nodes = this.hostedBy(hostId);
+          return { totalCount: nodes.length, nodes: nodes.slice(offset, offset + limit) };
+        }
+      }),
+      event: ({ id }) => find(id),
+      eventCreate: ({ input }) => payload(input, this.createEvent(hostId, input)),
+      eventUpdate: ({ input }) => {
+        const event = find(input.id);
+        if (!event) return payload(input, null, [`Event ${input.id} not found`]);
+        this.updateEvent(event, input.attributes || {});
+        return payload(input, event);
+      },
+      eventPublish: lifecycle('eventPublish'),
+      eventUnpublish: lifecycle('eventUnpublish'),
+      eventCancel: lifecycle('eventCancel'),
+      eventDelete: ({ input }) => {
+        const event = find(input.id);
+        if (!event) return payload(input, null, [`Event ${input.id} not found`]);
+        this.events.delete(event.id);
+        return payload(input, { ...event, state: 'DELETED' });
+      }
+    };
+  }
+
+  // New events start as drafts whatever `publish` says, so runs always go through eventPublish
+  createEvent(hostId, { event: attributes = {} }) {
+    const id = String(this.nextId++);
+    const { timeSlots = [], rates = [], ...fields } = attributes;
+    const event = {
+      privacy: 'PUBLIC',
+      ...fields,
+      id,
+      hostId,
+      slug: `${slugify(fields.title)}-${id}`,
+      state: 'DRAFT',
+      timeSlots: { nodes: [] },
+      rates: { nodes: [] }
+    };
+    this.updateEvent(event, { timeSlots, rates });
+    this.events.set(id, event);
+    return event;
+  }
+
+  // Scalars are replaced; time slots and rates with an id are updated in place, the rest added
+  updateEvent(event, { timeSlots = [], rates = [], ...fields }) {
+    Object.assign(event, fields);
+
+    for (const { id, ...slot } of timeSlots) {
+      const existing = event.timeSlots.nodes.find(node => node.id === id);
+      if (existing) Object.assign(existing, slot);
+      else event.timeSlots.nodes.push({ id: `slot-${this.nextId++}`, state: 'ACTIVE', ...slot });
+    }
+
+    for (const { id, attributes } of rates) {
+      const existing = event.rates.nodes.find(node => node.id === id);
+      const rate = existing || { id: `rate-${this.nextId++}`, soldCount: 0 };
+      Object.assign(rate, attributes, { displayPrice: formatPrice(attributes.price ?? rate.price) });
+      if (!existing) event.rates.nodes.push(rate);
+    }
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function slugify(title) {
+  return String(title || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function formatPrice(price) {
+  return price === undefined || price === null ? null : `$${Number(price).toFixed(2)}`;
+}
+
+// Run on its own for manual testing against the CLI
+// (no top-level await: it would let test files load the tool before helpers.js has set up)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  new MockUniverse().start(parseInt(process.env.MOCK_UNIVERSE_PORT) || 4010).then(universe => {
+    console.log(`Mock Universe listening on ${universe.url} (client test-client / test-secret, host host-1)`);
+    process.on('SIGINT', () => universe.stop().then(() => process.exit(0)));
+  });
+}
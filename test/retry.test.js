@@ -0,0 +1,278 @@
+import { eventRow, isolate, startMocks } from './helpers.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import BulkEventCreator from '../src/index.js';
+import UniverseService from '../src/services/universe.js';
+import { classifyError, UniverseMutationError } from '../src/utils/errors.js';
+import { RateLimiter } from '../src/utils/scheduler.js';
+import { downloadImage, readImageInfo } from '../src/utils/images.js';
+
+describe('classifyError', () => {
+  const withStatus = status => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+  it('sorts failures into categories and marks the transient ones', () => {
+    assert.deepEqual(classifyError(withStatus(401)), { category: 'auth', transient: false, field: null });
+    assert.deepEqual(classifyError(withStatus(429)), { category: 'rate_limit', transient: true, field: null });
+    assert.deepEqual(classifyError(withStatus(503)), { category: 'network', transient: true, field: null });
+    assert.deepEqual(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), { category: 'network', transient: true, field: null });
+    assert.equal(classifyError(withStatus(400)).category, 'schema');
+    assert.equal(classifyError(new Error('???')).category, 'unknown');
+  });
+
+  it('treats mutation errors as business errors and finds the field', () => {
+    const error = new UniverseMutationError('Universe refused the event', [{ field: 'title', message: "can't be blank" }]);
+
+    assert.deepEqual(classifyError(error), { category: 'business', transient: false, field: 'title' });
+  });
+});
+
+describe('RateLimiter', () => {
+  it('retries a 429 after its Retry-After pause and passes other failures on', async () => {
+    const limiter = new RateLimiter('Test', { ratePerSecond: 1000 });
+    const throttled = Object.assign(new Error('slow down'), { response: { status: 429, headers: { 'retry-after': '0' } } });
+    let attempts = 0;
+
+    const result = await limiter.schedule(async () => {
+      if (++attempts < 3) throw throttled;
+      return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.equal(attempts, 3);
+
+    attempts = 0;
+    await assert.rejects(limiter.schedule(async () => {
+      attempts++;
+      throw Object.assign(new Error('down'), { response: { status: 503 } });
+    }), /down/);
+    assert.equal(attempts, 1);
+  });
+});
+
+describe('downloadImage', () => {
+  // 1200x600 PNG header; enough for readImageInfo
+  const png = Buffer.alloc(64);
+  png.write('\x89PNG\r\n\x1a\n', 0, 'latin1');
+  png.write('IHDR', 12);
+  png.writeUInt32BE(1200, 16);
+  png.writeUInt32BE(600, 20);
+
+  let server;
+  let url;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/photo.png') {
+        res.writeHead(200, { 'content-type': 'image/png' });
+        return res.end(png);
+      }
+      if (req.url === '/login') {
+        res.writeHead(200, { 'content-type': 'text/html' });
+        return res.end('<html>Sign in</html>');
+      }
+      if (req.url === '/huge.jpg') {
+        // Never-ending body; the download has to stop on its own
+        res.writeHead(200, { 'content-type': 'image/jpeg' });
+        const chunk = Buffer.alloc(1024 * 1024);
+        const write = () => { while (res.write(chunk)); };
+        res.on('drain', write);
+        return write();
+      }
+      // /slow.jpg never answers
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('downloads an image', async () => {
+    const buffer = await downloadImage({ url: `${url}/photo.png`, filename: 'photo.png' }, 'coverImage');
+
+    assert.deepEqual(readImageInfo(buffer), { type: 'image/png', width: 1200, height: 600 });
+  });
+
+  it('refuses responses that are not images, without a retry', async () => {
+    await assert.rejects(downloadImage({ url: `${url}/login`, filename: 'login' }, 'coverImage'), error => {
+      assert.equal(error.message, 'Cover image: login is text/html, not an image');
+      assert.equal(classifyError(error).category, 'validation');
+      return true;
+    });
+  });
+
+  it('stops a download at the size limit', async () => {
+    await assert.rejects(downloadImage({ url: `${url}/huge.jpg`, filename: 'huge.jpg' }, 'additionalImages'), error => {
+      assert.equal(error.message, 'Additional images: huge.jpg is larger than 10.0 MB');
+      assert.equal(classifyError(error).transient, false);
+      return true;
+    });
+  });
+
+  it('gives up on a server that never answers, as a transient failure', async () => {
+    const startedAt = Date.now();
+
+    await assert.rejects(downloadImage({ url: `${url}/slow.jpg`, filename: 'slow.jpg' }, 'coverImage'), error => {
+      assert.equal(classifyError(error).transient, true);
+      return true;
+    });
+    assert.ok(Date.now() - startedAt < 2000);
+  });
+});
+
+describe('against the mock APIs', () => {
+  let mocks;
+  let universe;
+  let airtable;
+
+  before(async () => {
+    mocks = await startMocks();
+    ({ universe, airtable } = mocks);
+  });
+
+  after(() => mocks.stop());
+
+  beforeEach(() => {
+    universe.reset();
+    airtable.reset();
+    isolate();
+  });
+
+  describe('UniverseService tokens', () => {
+    it('shares one token request between concurrent calls', async () => {
+      const service = new UniverseService();
+
+      const tokens = await Promise.all([service.getAccessToken(), service.getAccessToken(), service.getAccessToken()]);
+
+      assert.equal(new Set(tokens).size, 1);
+      assert.equal(universe.calls('OAuthToken').length, 1);
+      assert.equal(universe.calls('Viewer').length, 1);
+    });
+
+    it('asks for a new token once the old one is close to expiring', async () => {
+      const service = new UniverseService();
+      const first = await service.getAccessToken();
+
+      service.tokenRefreshAt = Date.now() - 1;
+      const second = await service.getAccessToken();
+
+      assert.notEqual(first, second);
+      assert.equal(universe.calls('OAuthToken').length, 2);
+    });
+
+    it('fails refused credentials as auth errors', async () => {
+      const service = new UniverseService({ clientSecret: 'wrong' });
+
+      await assert.rejects(service.getAccessToken(), error => {
+        assert.equal(classifyError(error).category, 'auth');
+        assert.equal(error.rejected, true);
+        return true;
+      });
+    });
+
+    it('refuses credentials belonging to another host', async () => {
+      const service = new UniverseService({ hostId: 'host-2' });
+
+      await assert.rejects(service.getAccessToken(), /belong to host host-1, not the configured host host-2/);
+    });
+  });
+
+  describe('BulkEventCreator retries', () => {
+    it('retries a server error on create and creates the event once', async () => {
+      const [recordId] = airtable.addRecords('Events', [eventRow()]);
+      universe.fail('EventCreate', { status: 503 });
+
+      const result = await new BulkEventCreator().run({ skipVerify: true });
+
+      assert.equal(result.created, 1);
+      assert.equal(universe.calls('EventCreate').length, 2);
+      // A 5xx may have created the event, so Universe is checked before retrying
+      assert.equal(universe.calls('HostedEvents').length, 1);
+      assert.equal(universe.events.size, 1);
+      assert.equal(airtable.record('Events', recordId).status, 'Created');
+    });
+
+    it('waits out a 429 without looking for a half-made event', async () => {
+      airtable.addRecords('Events', [eventRow()]);
+      universe.fail('EventCreate', { status: 429, retryAfter: 0 }, 2);
+
+      const result = await new BulkEventCreator().run({ skipVerify: true });
+
+      assert.equal(result.created, 1);
+      assert.equal(universe.calls('EventCreate').length, 3);
+      assert.equal(universe.calls('HostedEvents').length, 0);
+    });
+
+    it('does not retry an event Universe refused', async () => {
+      const [recordId] = airtable.addRecords('Events', [eventRow()]);
+      universe.fail('EventCreate', { payloadErrors: [{ field: 'title', message: 'is already taken' }] });
+
+      const result = await new BulkEventCreator().run({ skipVerify: true });
+
+      assert.deepEqual({ created: result.created, failed: result.failed }, { created: 0, failed: 1 });
+      assert.equal(universe.calls('EventCreate').length, 1);
+      assert.equal(universe.calls('HostedEvents').length, 0);
+      const row = airtable.record('Events', recordId);
+      assert.equal(row.status, 'Error');
+      assert.equal(row.errorCategory, 'business');
+      assert.equal(row.failedStep, 'create');
+      assert.match(row.errorMessage, /title is already taken/);
+    });
+
+    it('finds an event created before the connection dropped instead of creating it again', async () => {
+      const [recordId] = airtable.addRecords('Events', [eventRow()]);
+      universe.fail('EventCreate', { drop: true, afterCommit: true });
+
+      const result = await new BulkEventCreator().run({ skipVerify: true });
+
+      assert.equal(result.created, 1);
+      assert.equal(universe.calls('EventCreate').length, 1);
+      assert.equal(universe.events.size, 1);
+      const [event] = universe.events.values();
+      assert.equal(airtable.record('Events', recordId).universeEventId, event.id);
+    });
+
+    it('gives up after MAX_RETRIES and records the last error', async () => {
+      const [recordId] = airtable.addRecords('Events', [eventRow()]);
+      universe.fail('EventCreate', { status: 500, message: 'Internal error' }, 10);
+
+      const result = await new BulkEventCreator().run({ skipVerify: true });
+
+      assert.equal(result.failed, 1);
+      assert.equal(universe.calls('EventCreate').length, 4);
+      assert.equal(universe.events.size, 0);
+      const row = airtable.record('Events', recordId);
+      assert.equal(row.status, 'Error');
+      assert.equal(row.errorCategory, 'network');
+    });
+
+    it('retries the write-back without creating the event again', async () => {
+      const [recordId] = airtable.addRecords('Events', [eventRow()]);
+      airtable.fail('update', { status: 500 });
+
+      const result = await new BulkEventCreator().run({ skipVerify: true });
+
+      assert.equal(result.created, 1);
+      assert.equal(universe.calls('EventCreate').length, 1);
+      assert.equal(airtable.record('Events', recordId).status, 'Created');
+    });
+
+    it('copes with slow APIs', async () => {
+      airtable.addRecords('Events', [eventRow({ title: 'One' }), eventRow({ title: 'Two' })]);
+      universe.delay('*', 50);
+      airtable.delay('update', 50);
+
+      const result = await new BulkEventCreator().run({ skipVerify: true });
+
+      assert.equal(result.created, 2);
+      const report = JSON.parse(fs.readFileSync(path.join(result.report, 'report.json'), 'utf8'));
+      const create = report.apiCalls.find(call => call.operation === 'EventCreate');
+      assert.equal(create.count, 2);
+      assert.ok(create.avgMs >= 50, `EventCreate averaged ${create.avgMs}ms`);
+    });
+  });
+});
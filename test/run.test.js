@@ -0,0 +1,251 @@
+import { eventRow, isolate, startMocks } from './helpers.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import BulkEventCreator from '../src/index.js';
+
+describe('BulkEventCreator.run() end to end', () => {
+  let mocks;
+  let universe;
+  let airtable;
+
+  before(async () => {
+    mocks = await startMocks();
+    ({ universe, airtable } = mocks);
+  });
+
+  after(() => mocks.stop());
+
+  beforeEach(() => {
+    universe.reset();
+    airtable.reset();
+    isolate();
+  });
+
+  it('creates pending rows, publishes when asked and writes the results back', async () => {
+    const [draftId, publishedId] = airtable.addRecords('Events', [
+      eventRow({ title: 'Jazz Night' }),
+      eventRow({ title: 'Blues Night', publish: true })
+    ]);
+
+    const result = await new BulkEventCreator().run();
+
+    assert.equal(result.error, undefined);
+    assert.deepEqual({ total: result.total, valid: result.valid, created: result.created, failed: result.failed }, { total: 2, valid: 2, created: 2, failed: 0 });
+    assert.equal(universe.events.size, 2);
+    assert.equal(universe.calls('EventPublish').length, 1);
+
+    const draft = airtable.record('Events', draftId);
+    const draftEvent = universe.events.get(draft.universeEventId);
+    assert.equal(draft.status, 'Created');
+    assert.equal(draft.universeUrl, `${universe.url}/${draftEvent.slug}`);
+    assert.equal(draftEvent.title, 'Jazz Night');
+    assert.equal(draftEvent.state, 'DRAFT');
+    assert.equal(draftEvent.rates.nodes[0].name, 'General Admission');
+
+    const published = airtable.record('Events', publishedId);
+    assert.equal(universe.events.get(published.universeEventId).state, 'POSTED');
+    assert.equal(published.universeState, 'POSTED');
+
+    // Read back right after the run
+    assert.equal(result.verification.matched, 2);
+    assert.equal(draft.verification, 'OK');
+  });
+
+  it('leaves created rows alone on the next run', async () => {
+    airtable.addRecords('Events', [eventRow()]);
+    const creator = new BulkEventCreator();
+
+    await creator.run();
+    const again = await creator.run();
+
+    assert.equal(again.total, 0);
+    assert.equal(universe.calls('EventCreate').length, 1);
+  });
+
+  it('compacts the journal after clean runs', async () => {
+    const creator = new BulkEventCreator();
+    const lines = () => fs.readFileSync(process.env.JOURNAL_FILE, 'utf8').split('\n').filter(Boolean).length;
+
+    for (const title of ['One', 'Two', 'Three']) {
+      airtable.addRecords('Events', [eventRow({ title })]);
+      await creator.run({ skipVerify: true });
+      // Only the run that just finished is left; the next run drops it
+      assert.equal(lines(), 3);
+    }
+  });
+
+  it('leaves the journal alone while another process holds a row lock', async () => {
+    const creator = new BulkEventCreator();
+    const lines = () => fs.readFileSync(process.env.JOURNAL_FILE, 'utf8').split('\n').filter(Boolean).length;
+    airtable.addRecords('Events', [eventRow()]);
+    await creator.run({ skipVerify: true });
+
+    // The parent process is alive, so its lock isn't stale
+    const lockFile = path.join(process.env.LOCK_DIR, 'recOther.lock');
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+    await creator.run({ skipVerify: true });
+    assert.equal(lines(), 3);
+
+    fs.rmSync(lockFile);
+    await creator.run({ skipVerify: true });
+    assert.equal(fs.readFileSync(process.env.JOURNAL_FILE, 'utf8'), '');
+  });
+
+  it('marks invalid rows as errors without sending them', async () => {
+    const [validId, invalidId] = airtable.addRecords('Events', [
+      eventRow(),
+      eventRow({ title: 'Backwards', startTime: '23:00', endTime: '19:00' })
+    ]);
+
+    const result = await new BulkEventCreator().run({ skipVerify: true });
+
+    assert.deepEqual({ valid: result.valid, invalid: result.invalid, created: result.created }, { valid: 1, invalid: 1, created: 1 });
+    assert.equal(universe.calls('EventCreate').length, 1);
+    assert.equal(airtable.record('Events', validId).status, 'Created');
+
+    const invalid = airtable.record('Events', invalidId);
+    assert.equal(invalid.status, 'Error');
+    assert.equal(invalid.errorCategory, 'validation');
+    assert.equal(invalid.failedStep, 'validate');
+    assert.match(invalid.errorMessage, /Event end must be after event start/);
+  });
+
+  it('writes a run report when every row is invalid', async () => {
+    airtable.addRecords('Events', [eventRow({ startTime: '23:00', endTime: '19:00' })]);
+
+    const result = await new BulkEventCreator().run({ skipVerify: true });
+
+    assert.equal(result.invalid, 1);
+    const report = JSON.parse(fs.readFileSync(path.join(result.report, 'report.json'), 'utf8'));
+    assert.equal(report.events[0].outcome, 'invalid');
+  });
+
+  it('gives each run under one run ID its own report', async () => {
+    const [fixedId] = airtable.addRecords('Events', [eventRow({ title: 'Fixed', startTime: '23:00', endTime: '19:00' })]);
+    const creator = new BulkEventCreator();
+    const first = await creator.run({ skipVerify: true });
+    airtable.update('Events', fixedId, { startTime: '19:00', endTime: '23:00' });
+    const retry = await creator.run({ retryErrors: true, editedOnly: true, skipVerify: true });
+
+    assert.notEqual(first.report, retry.report);
+    const read = result => JSON.parse(fs.readFileSync(path.join(result.report, 'report.json'), 'utf8'));
+    const [firstReport, retryReport] = [read(first), read(retry)];
+    assert.equal(firstReport.runId, retryReport.runId);
+    assert.deepEqual([firstReport.command, firstReport.events[0].outcome], ['create', 'invalid']);
+    assert.deepEqual([retryReport.command, retryReport.events[0].outcome], ['retry-errors', 'created']);
+    assert.equal(retryReport.reportId, `${retryReport.runId}-2`);
+  });
+
+  it('leaves no rate limiter listeners behind after runs with nothing to process', async () => {
+    const creator = new BulkEventCreator();
+    const limiters = [creator.universe.limiter, creator.source.limiter];
+    const before = limiters.map(limiter => limiter.listeners.size);
+
+    await creator.run();
+    await creator.run();
+
+    assert.deepEqual(limiters.map(limiter => limiter.listeners.size), before);
+  });
+
+  it('retries only error rows edited since they failed', async () => {
+    const [fixedId, untouchedId] = airtable.addRecords('Events', [
+      eventRow({ title: 'Fixed', startTime: '23:00', endTime: '19:00' }),
+      eventRow({ title: 'Untouched', startTime: '23:00', endTime: '19:00' })
+    ]);
+    const creator = new BulkEventCreator();
+    await creator.run({ skipVerify: true });
+
+    airtable.update('Events', fixedId, { startTime: '19:00', endTime: '23:00' });
+    const retry = await creator.run({ retryErrors: true, editedOnly: true, skipVerify: true });
+
+    assert.deepEqual({ total: retry.total, created: retry.created }, { total: 1, created: 1 });
+    const fixed = airtable.record('Events', fixedId);
+    assert.equal(fixed.status, 'Created');
+    assert.equal(fixed.errorMessage, undefined);
+    assert.match(fixed.errorHistory, /validation\/validate: Event end must be after event start/);
+    assert.equal(airtable.record('Events', untouchedId).status, 'Error');
+  });
+
+  it('sends nothing and writes nothing in a dry run', async () => {
+    const [recordId] = airtable.addRecords('Events', [eventRow()]);
+
+    const result = await new BulkEventCreator().run({ dryRun: true });
+
+    assert.deepEqual({ total: result.total, valid: result.valid, created: result.created, dryRun: result.dryRun }, { total: 1, valid: 1, created: 0, dryRun: true });
+    assert.equal(universe.calls('EventCreate').length, 0);
+    assert.equal(airtable.calls('update').length, 0);
+    assert.equal(airtable.record('Events', recordId).status, undefined);
+  });
+
+  it('creates one event per occurrence for recurring rows in EVENTS mode', async () => {
+    const row = eventRow({ recurrence: 'WEEKLY', recurrenceCount: 3, recurrenceMode: 'EVENTS' });
+    const [recordId] = airtable.addRecords('Events', [row]);
+
+    const result = await new BulkEventCreator().run();
+
+    assert.equal(result.created, 1);
+    assert.equal(universe.events.size, 3);
+    const ids = airtable.record('Events', recordId).universeEventId.split(', ');
+    assert.equal(ids.length, 3);
+    assert.deepEqual(ids.map(id => universe.events.get(id).timeSlots.nodes.length), [1, 1, 1]);
+    assert.equal(result.verification.matched, 1);
+  });
+
+  it('syncs row edits to created events', async () => {
+    const [recordId] = airtable.addRecords('Events', [eventRow()]);
+    const creator = new BulkEventCreator();
+    await creator.run({ skipVerify: true });
+
+    // The first sync records the payload hash; only later edits are pushed
+    await creator.sync();
+    airtable.update('Events', recordId, { venueName: 'Roy Thomson Hall', ratePrice: 30 });
+    const result = await creator.sync();
+
+    assert.deepEqual({ changed: result.changed, updated: result.updated, failed: result.failed }, { changed: 1, updated: 1, failed: 0 });
+    const event = universe.events.get(airtable.record('Events', recordId).universeEventId);
+    assert.equal(event.venueName, 'Roy Thomson Hall');
+    assert.deepEqual(event.rates.nodes.map(rate => [rate.name, rate.price]), [['General Admission', 30]]);
+
+    const unchanged = await creator.sync();
+    assert.equal(unchanged.changed, 0);
+  });
+
+  it('verifies created events and finds events without a row', async () => {
+    const [recordId] = airtable.addRecords('Events', [eventRow()]);
+    const creator = new BulkEventCreator();
+    await creator.run({ skipVerify: true });
+
+    universe.events.get(airtable.record('Events', recordId).universeEventId).venueName = 'Somewhere Else';
+    universe.createEvent('host-1', { event: { title: 'Made by hand' } });
+    const result = await creator.verify();
+
+    assert.deepEqual({ total: result.total, mismatched: result.mismatched, orphans: result.orphans }, { total: 1, mismatched: 1, orphans: 1 });
+    assert.match(airtable.record('Events', recordId).verification, /venueName: expected Massey Hall, got Somewhere Else/);
+  });
+
+  it('applies lifecycle actions to created rows', async () => {
+    const [recordId] = airtable.addRecords('Events', [eventRow()]);
+    const creator = new BulkEventCreator();
+    await creator.run({ skipVerify: true });
+
+    const published = await creator.publish();
+    const cancelled = await creator.lifecycle('cancel');
+
+    assert.deepEqual([published.changed, cancelled.changed], [1, 1]);
+    const row = airtable.record('Events', recordId);
+    assert.equal(universe.events.get(row.universeEventId).state, 'CANCELLED');
+    assert.equal(row.universeState, 'CANCELLED');
+  });
+
+  it('reports a source it cannot read', async () => {
+    airtable.fail('select', { status: 401 });
+
+    const result = await new BulkEventCreator().run();
+
+    assert.match(result.error, /valid api key/);
+    assert.equal(universe.calls('EventCreate').length, 0);
+  });
+});
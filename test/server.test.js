@@ -0,0 +1,111 @@
+import { eventRow, isolate, startMocks } from './helpers.js';
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import BulkEventCreator from '../src/index.js';
+import { TriggerServer } from '../src/server.js';
+import { redact } from '../src/utils/logger.js';
+
+const SECRET = 'test-trigger-secret';
+
+describe('TriggerServer', () => {
+  let mocks;
+  let universe;
+  let airtable;
+  let server;
+
+  before(async () => {
+    mocks = await startMocks();
+    ({ universe, airtable } = mocks);
+  });
+
+  after(() => mocks.stop());
+
+  beforeEach(() => {
+    universe.reset();
+    airtable.reset();
+    isolate();
+  });
+
+  afterEach(() => server?.close());
+
+  async function start(creator = new BulkEventCreator()) {
+    server = await new TriggerServer(creator, { secret: SECRET, port: 0 }).listen();
+    return server;
+  }
+
+  async function trigger(recordId, action) {
+    const response = await fetch(`http://127.0.0.1:${server.port}/records/${recordId}/${action}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${SECRET}` }
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('creates a row once however often it is triggered', async () => {
+    const [recordId] = airtable.addRecords('Events', [eventRow()]);
+    await start();
+
+    const first = await trigger(recordId, 'create');
+    const second = await trigger(recordId, 'create');
+
+    assert.deepEqual([first.status, second.status], [201, 200]);
+    assert.equal(second.body.universeEventId, first.body.universeEventId);
+    assert.equal(universe.events.size, 1);
+  });
+
+  it('does not create again after a create whose outcome was unknown', async () => {
+    const [recordId] = airtable.addRecords('Events', [eventRow()]);
+    await start();
+
+    // Universe creates the event, the connection drops, and the lookup fails too
+    universe.fail('EventCreate', { drop: true, afterCommit: true });
+    universe.fail('HostedEvents', { status: 500 }, 2);
+    const unknown = await trigger(recordId, 'create');
+    assert.equal(unknown.status, 502);
+    assert.match(unknown.body.error, /Create outcome unknown/);
+
+    // Still can't tell: the row waits instead of being created again
+    const waiting = await trigger(recordId, 'create');
+    assert.equal(waiting.status, 409);
+
+    // Once Universe answers, the event it already has is used
+    const retried = await trigger(recordId, 'create');
+    assert.equal(retried.status, 201);
+    assert.equal(universe.calls('EventCreate').length, 1);
+    assert.equal(universe.events.size, 1);
+    const [event] = universe.events.values();
+    assert.equal(retried.body.universeEventId, event.id);
+    assert.equal(airtable.record('Events', recordId).universeEventId, event.id);
+  });
+
+  it('settles unfinished creates from the journal before taking requests', async () => {
+    const [recordId] = airtable.addRecords('Events', [eventRow()]);
+    universe.fail('EventCreate', { drop: true, afterCommit: true });
+    universe.fail('HostedEvents', { status: 500 });
+    await new BulkEventCreator().run({ skipVerify: true });
+    assert.equal(airtable.record('Events', recordId).universeEventId, undefined);
+
+    await start();
+
+    const [event] = universe.events.values();
+    assert.equal(airtable.record('Events', recordId).universeEventId, event.id);
+    assert.equal(airtable.record('Events', recordId).status, 'Created');
+  });
+});
+
+describe('trigger secret redaction', () => {
+  it('masks the secret and ?token= in logged text', () => {
+    const configured = process.env.TRIGGER_SECRET;
+    process.env.TRIGGER_SECRET = 'configured-trigger-secret';
+    try {
+      assert.equal(
+        redact('GET https://triggers.example.com/records/rec1/create?token=abc123&view=1 failed'),
+        'GET https://triggers.example.com/records/rec1/create?token=[REDACTED]&view=1 failed'
+      );
+      assert.deepEqual(redact({ message: 'secret configured-trigger-secret rejected' }), { message: 'secret [REDACTED] rejected' });
+    } finally {
+      if (configured === undefined) delete process.env.TRIGGER_SECRET;
+      else process.env.TRIGGER_SECRET = configured;
+    }
+  });
+});
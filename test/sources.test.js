@@ -0,0 +1,52 @@
+import { eventRow, isolate } from './helpers.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import JsonEventSource from '../src/sources/json.js';
+
+describe('file sources', () => {
+  let file;
+
+  beforeEach(() => {
+    const dir = isolate();
+    fs.mkdirSync(dir, { recursive: true });
+    file = path.join(dir, 'events.json');
+  });
+
+  const write = rows => fs.writeFileSync(file, JSON.stringify(rows));
+
+  it('keeps results attached to their row when rows are re-sorted', async () => {
+    write([eventRow({ id: 'jazz', title: 'Jazz Night' }), eventRow({ id: 'blues', title: 'Blues Night' })]);
+    const source = new JsonEventSource(file);
+    await source.markAsCreated('jazz', 'evt-1', 'https://example.com/jazz');
+
+    write([eventRow({ id: 'new', title: 'Folk Night' }), eventRow({ id: 'blues', title: 'Blues Night' }), eventRow({ id: 'jazz', title: 'Jazz Night' })]);
+
+    assert.deepEqual((await source.getEventsToSync()).map(event => [event.title, event.universeEventId]), [['Jazz Night', 'evt-1']]);
+    assert.deepEqual((await source.getUnprocessedEvents()).map(event => event.title), ['Folk Night', 'Blues Night']);
+  });
+
+  it('refuses rows without an id when results go to the companion file', async () => {
+    write([eventRow({ id: 'jazz' }), eventRow(), eventRow()]);
+
+    await assert.rejects(new JsonEventSource(file).getUnprocessedEvents(), /Rows 2, 3 of events\.json have no id/);
+  });
+
+  it('refuses ids used by more than one row', async () => {
+    write([eventRow({ id: 'jazz' }), eventRow({ id: 'jazz' })]);
+
+    await assert.rejects(new JsonEventSource(file, { writeMode: 'inplace' }).getEvents(), /Ids jazz appear more than once/);
+  });
+
+  it('identifies rows by position when results are written into the file', async () => {
+    write([eventRow({ title: 'Jazz Night' }), eventRow({ title: 'Blues Night' })]);
+    const source = new JsonEventSource(file, { writeMode: 'inplace' });
+
+    await source.markAsCreated('row-2', 'evt-2', 'https://example.com/blues');
+
+    const rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(rows[1].universeEventId, 'evt-2');
+    assert.deepEqual((await source.getUnprocessedEvents()).map(event => event.recordId), ['row-1']);
+  });
+});
@@ -0,0 +1,117 @@
+import { eventRow } from './helpers.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import UniverseService from '../src/services/universe.js';
+import { sanitizeHtml } from '../src/utils/description.js';
+import { DEFAULT_CATEGORY_ID, DEFAULT_LATITUDE, DEFAULT_LONGITUDE } from '../src/utils/schema.js';
+
+const universe = new UniverseService();
+
+describe('transformToEventCreateInput', () => {
+  it('maps row fields onto the event input', () => {
+    const input = universe.transformToEventCreateInput(eventRow({ recordId: 'rec1', privacy: 'Private', maxQuantity: 4, transactionCurrency: 'CAD' }));
+
+    assert.match(input.clientMutationId, /^event-create-\d+-\w+-rec1$/);
+    assert.equal(input.publish, false);
+    assert.equal(input.event.title, 'Jazz Night');
+    assert.equal(input.event.venueName, 'Massey Hall');
+    assert.equal(input.event.address, '178 Victoria St, Toronto, ON');
+    assert.equal(input.event.latitude, 43.6543);
+    assert.equal(input.event.longitude, -79.3788);
+    assert.equal(input.event.privacy, 'unlisted');
+    assert.equal(input.event.maxQuantity, 4);
+    assert.equal(input.event.transactionCurrency, 'CAD');
+    assert.deepEqual(input.event.category, { id: DEFAULT_CATEGORY_ID });
+    assert.match(input.event.descriptionHtml, /<strong>jazz<\/strong>/);
+    assert.equal('cityName' in input.event, false);
+  });
+
+  it('falls back to the default location and category', () => {
+    const input = universe.transformToEventCreateInput(eventRow({ latitude: '', longitude: null, categoryId: undefined }));
+
+    assert.equal(input.event.latitude, DEFAULT_LATITUDE);
+    assert.equal(input.event.longitude, DEFAULT_LONGITUDE);
+    assert.deepEqual(input.event.category, { id: DEFAULT_CATEGORY_ID });
+  });
+
+  it('only sends checkboxes that are ticked', () => {
+    const input = universe.transformToEventCreateInput(eventRow({ virtual: true, allowWaitlist: false, publish: true }));
+
+    assert.equal(input.event.virtual, true);
+    assert.equal('allowWaitlist' in input.event, false);
+    assert.equal(input.publish, true);
+  });
+
+  it('resolves times in the event timezone, across DST', () => {
+    const summer = universe.transformToEventCreateInput(eventRow({ startDate: '2030-07-15', endDate: '2030-07-15' }));
+    const winter = universe.transformToEventCreateInput(eventRow({ startDate: '2030-01-15', endDate: '2030-01-15' }));
+    const vancouver = universe.transformToEventCreateInput(eventRow({ startDate: '2030-07-15', endDate: '2030-07-15', timezone: 'America/Vancouver' }));
+
+    assert.deepEqual(summer.event.timeSlots, [{ startAt: '2030-07-15T19:30:00-04:00', endAt: '2030-07-15T23:00:00-04:00' }]);
+    assert.deepEqual(winter.event.timeSlots, [{ startAt: '2030-01-15T19:30:00-05:00', endAt: '2030-01-15T23:00:00-05:00' }]);
+    assert.equal(vancouver.event.timeSlots[0].startAt, '2030-07-15T19:30:00-07:00');
+  });
+
+  it('keeps multi-day events in one time slot', () => {
+    const input = universe.transformToEventCreateInput(eventRow({ startDate: '2030-07-15', startTime: '23:00', endDate: '2030-07-16', endTime: '14:00' }));
+
+    assert.deepEqual(input.event.timeSlots, [{ startAt: '2030-07-15T23:00:00-04:00', endAt: '2030-07-16T14:00:00-04:00' }]);
+  });
+
+  it('adds a time slot per occurrence of a recurring row (excluded dates count towards the count)', () => {
+    const input = universe.transformToEventCreateInput(eventRow({
+      startDate: '2030-07-04',
+      endDate: '2030-07-04',
+      recurrence: 'WEEKLY',
+      recurrenceCount: 4,
+      recurrenceExclusions: '2030-07-11'
+    }));
+
+    assert.deepEqual(input.event.timeSlots.map(slot => slot.startAt), [
+      '2030-07-04T19:30:00-04:00',
+      '2030-07-18T19:30:00-04:00',
+      '2030-07-25T19:30:00-04:00'
+    ]);
+  });
+
+  it('wraps rates in attributes, from columns or a rates list', () => {
+    const single = universe.transformToEventCreateInput(eventRow());
+    assert.deepEqual(single.event.rates, [{
+      attributes: { name: 'General Admission', price: 25, capacity: 100, description: '', state: 'ACTIVE' }
+    }]);
+
+    const listed = universe.transformToEventCreateInput(eventRow({
+      rates: JSON.stringify([
+        { name: 'Early Bird', price: 15, capacity: 20, saleEnd: '2030-07-01', maxPerOrder: 2 },
+        { name: 'Comp', price: 0, hidden: true }
+      ])
+    }));
+    assert.deepEqual(listed.event.rates.map(rate => rate.attributes), [
+      { name: 'Early Bird', price: 15, capacity: 20, description: '', state: 'ACTIVE', endAt: '2030-07-01T00:00:00-04:00', maxQuantity: 2 },
+      { name: 'Comp', price: 0, capacity: null, description: '', state: 'HIDDEN' }
+    ]);
+  });
+
+  it('sends no time slot or rate when the row has none', () => {
+    const input = universe.transformToEventCreateInput(eventRow({ endTime: '', rateName: '', ratePrice: '' }));
+
+    assert.deepEqual(input.event.timeSlots, []);
+    assert.deepEqual(input.event.rates, []);
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('keeps "=" in unquoted attribute values', () => {
+    assert.equal(
+      sanitizeHtml('<p><a href=https://example.com/tickets?a=1&b=2>Tickets</a></p>'),
+      '<p><a href="https://example.com/tickets?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">Tickets</a></p>'
+    );
+  });
+
+  it('does not end a tag at a ">" inside a quoted attribute value', () => {
+    assert.equal(
+      sanitizeHtml('<p><a href="https://example.com/" title="Doors > 7pm">Tickets</a> and <img alt="1 > 0" src="a.png">more</p>'),
+      '<p><a href="https://example.com/" title="Doors &gt; 7pm" target="_blank" rel="noopener noreferrer">Tickets</a> and more</p>'
+    );
+  });
+});
@@ -0,0 +1,110 @@
+import { eventRow } from './helpers.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ValidatorService from '../src/services/validator.js';
+import { UniverseAccounts } from '../src/services/accounts.js';
+import { TemplateLibrary } from '../src/utils/templates.js';
+
+const validator = new ValidatorService();
+
+describe('ValidatorService', () => {
+  it('accepts a complete row', () => {
+    const result = validator.validateEvent(eventRow());
+
+    assert.equal(result.isValid, true, result.errors.join('; '));
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('accepts a row without a city and never warns about one', () => {
+    assert.equal(validator.validateEvent(eventRow({ cityName: '' })).isValid, true);
+    assert.deepEqual(validator.validateEvent(eventRow()).warnings.filter(warning => warning.includes('not sent')), []);
+  });
+
+  it('reports every missing required field', () => {
+    const result = validator.validateEvent(eventRow({ title: '', address: '  ', venueName: undefined }));
+
+    assert.equal(result.isValid, false);
+    for (const label of ['Title', 'Address', 'Venue name']) {
+      assert.ok(result.errors.includes(`${label} is required`), `missing "${label} is required" in ${result.errors}`);
+    }
+  });
+
+  it('rejects bad times, dates and timezones', () => {
+    assert.ok(validator.validateEvent(eventRow({ startTime: '7:30pm' })).errors.includes('Start time must be in HH:MM format (e.g., 19:30)'));
+    assert.ok(validator.validateEvent(eventRow({ endDate: '2030-13-01' })).errors.includes('End date must be a valid date (YYYY-MM-DD)'));
+    assert.match(validator.validateEvent(eventRow({ timezone: 'Mars/Olympus' })).errors.join(), /not a valid IANA timezone/);
+  });
+
+  it('requires the end to be after the start, allowing multi-day events', () => {
+    const backwards = validator.validateEvent(eventRow({ startTime: '23:00', endTime: '19:00' }));
+    assert.ok(backwards.errors.includes('Event end must be after event start (supports multi-day events)'));
+
+    const row = eventRow();
+    const overnight = validator.validateEvent({ ...row, startTime: '23:00', endDate: row.endDate.replace(/15$/, '16'), endTime: '02:00' });
+    assert.equal(overnight.isValid, true, overnight.errors.join('; '));
+  });
+
+  it('checks field ranges from the schema', () => {
+    const result = validator.validateEvent(eventRow({ latitude: 120, privacy: 'SECRET' }));
+
+    assert.equal(result.isValid, false);
+    assert.ok(result.errors.some(error => error.startsWith('Latitude')), result.errors.join('; '));
+    assert.ok(result.errors.some(error => error.startsWith('Privacy')), result.errors.join('; '));
+  });
+
+  it('warns about rows relying on fallbacks', () => {
+    const result = validator.validateEvent(eventRow({ latitude: '', longitude: '', categoryId: '', timezone: '' }));
+
+    assert.equal(result.isValid, true, result.errors.join('; '));
+    assert.ok(result.warnings.some(warning => warning.startsWith('No latitude/longitude')));
+    assert.ok(result.warnings.some(warning => warning.startsWith('No category')));
+    assert.ok(result.warnings.some(warning => warning.startsWith('No timezone set')));
+  });
+
+  it('rejects rates that are not valid JSON', () => {
+    const result = validator.validateEvent(eventRow({ rates: '[{"name": "VIP"' }));
+
+    assert.equal(result.isValid, false);
+    assert.match(result.errors.join(), /Rates field is not valid JSON/);
+  });
+
+  it('names the template an inherited error came from', () => {
+    const templates = new TemplateLibrary([{ name: 'Broken Venue', fields: { latitude: 200 } }]);
+    const row = templates.apply(eventRow({ template: 'Broken Venue', address: '', venueName: '', cityName: '', latitude: '', longitude: '' }));
+    const result = validator.validateEvent(row);
+
+    assert.ok(result.errors.some(error => error.startsWith('Latitude') && error.endsWith('(from template "Broken Venue")')), result.errors.join('; '));
+    assert.deepEqual(result.inherited, { 'Broken Venue': ['Latitude'] });
+  });
+
+  it('fails rows naming a template that does not exist', () => {
+    const row = new TemplateLibrary([], 'templates.json').apply(eventRow({ template: 'Nowhere' }));
+
+    assert.ok(validator.validateEvent(row).errors.includes('Template "Nowhere" not found - no templates are configured (set TEMPLATES_FILE or AIRTABLE_TEMPLATES_TABLE)'));
+  });
+
+  it('checks the row account against the configured accounts', () => {
+    const accounts = new UniverseAccounts({
+      ...process.env,
+      UNIVERSE_ACCOUNT_PROMOTER_A_CLIENT_ID: 'client-a',
+      UNIVERSE_ACCOUNT_PROMOTER_A_CLIENT_SECRET: 'secret-a'
+    });
+    const withAccounts = new ValidatorService({ accounts });
+
+    assert.equal(withAccounts.validateEvent(eventRow({ account: 'Promoter A' })).isValid, true);
+    assert.equal(withAccounts.validateEvent(eventRow()).isValid, true);
+    assert.match(withAccounts.validateEvent(eventRow({ account: 'Promoter B' })).errors.join(), /Universe account "Promoter B" is not configured/);
+  });
+
+  it('splits a batch into valid and invalid rows', () => {
+    const batch = validator.validateBatch([
+      eventRow({ recordId: 'rec1' }),
+      eventRow({ recordId: 'rec2', title: '' }),
+      eventRow({ recordId: 'rec3' })
+    ]);
+
+    assert.equal(batch.totalCount, 3);
+    assert.deepEqual(batch.valid.map(result => result.recordId), ['rec1', 'rec3']);
+    assert.deepEqual(batch.invalid.map(result => result.recordId), ['rec2']);
+  });
+});
@@ -0,0 +1,107 @@
+import { eventRow, isolate, startMocks } from './helpers.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import BulkEventCreator from '../src/index.js';
+import { Watcher } from '../src/watch.js';
+import { RecordLocks } from '../src/utils/locks.js';
+
+describe('Watcher', () => {
+  let mocks;
+  let universe;
+  let airtable;
+  let dir;
+
+  before(async () => {
+    mocks = await startMocks();
+    ({ universe, airtable } = mocks);
+  });
+
+  after(() => mocks.stop());
+
+  beforeEach(() => {
+    universe.reset();
+    airtable.reset();
+    dir = isolate();
+  });
+
+  // Run the watcher until it has finished `cycles` cycles; `onCycle` runs after each one
+  async function watch(creator, cycles, onCycle = () => {}) {
+    const watcher = new Watcher(creator, { interval: 0.01, sync: true, heartbeatFile: path.join(dir, 'heartbeat.json') });
+    const cycle = watcher.cycle.bind(watcher);
+    watcher.cycle = async () => {
+      await cycle();
+      onCycle(watcher.cycles);
+      if (watcher.cycles === cycles) watcher.stop();
+    };
+    await watcher.start();
+    return watcher;
+  }
+
+  it('creates rows added between cycles and records each cycle in the heartbeat', async () => {
+    airtable.addRecords('Events', [eventRow({ title: 'First' })]);
+    const creator = new BulkEventCreator();
+
+    const watcher = await watch(creator, 3, cycles => {
+      if (cycles === 1) airtable.addRecords('Events', [eventRow({ title: 'Second' })]);
+    });
+
+    assert.equal(universe.events.size, 2);
+    assert.equal(universe.calls('EventCreate').length, 2);
+    const heartbeat = JSON.parse(fs.readFileSync(watcher.heartbeatFile, 'utf8'));
+    assert.deepEqual({ state: heartbeat.state, cycles: heartbeat.cycles }, { state: 'stopped', cycles: 3 });
+    assert.equal(heartbeat.lastCycle.created.total, 0);
+  });
+
+  it('keeps the rate limiter listeners flat across idle cycles', async () => {
+    const creator = new BulkEventCreator();
+    const limiters = [creator.universe.limiter, creator.source.limiter];
+    const counts = [];
+
+    await watch(creator, 5, () => counts.push(limiters.map(limiter => limiter.listeners.size)));
+
+    assert.equal(counts.length, 5);
+    counts.forEach(count => assert.deepEqual(count, counts[0]));
+  });
+});
+
+describe('RecordLocks', () => {
+  beforeEach(() => isolate());
+
+  it('keeps a row locked between instances until it is released or closed', () => {
+    const locks = new RecordLocks();
+    const other = new RecordLocks();
+
+    const release = locks.acquire('rec1');
+    assert.ok(release);
+    assert.equal(other.acquire('rec1'), null);
+    release();
+    assert.ok(locks.finishedSince('rec1', Date.now() - 1000));
+
+    assert.ok(other.acquire('rec2'));
+    other.close();
+    assert.ok(locks.acquire('rec2'));
+    assert.equal(locks.finishedSince('rec2', Date.now() - 1000), false);
+  });
+
+  it('only lets the journal be compacted while no other process holds a row', () => {
+    const locks = new RecordLocks();
+    // Locks of the (live) parent process stand in for another instance
+    const otherOwner = JSON.stringify({ pid: process.ppid, host: os.hostname(), acquiredAt: new Date().toISOString() });
+
+    assert.ok(locks.acquire('rec1'));
+    const release = locks.acquireJournal();
+    assert.ok(release, 'rows held by this process do not block it');
+    release();
+
+    fs.writeFileSync(locks.getFilename('rec2', 'lock'), otherOwner);
+    assert.equal(locks.acquireJournal(), null);
+    fs.rmSync(locks.getFilename('rec2', 'lock'));
+
+    fs.writeFileSync(path.join(locks.dir, 'journal.compacting'), otherOwner);
+    assert.equal(locks.acquire('rec3'), null);
+    assert.equal(fs.existsSync(locks.getFilename('rec3', 'lock')), false);
+  });
+});